@@ -15,7 +15,7 @@ async function testStravaConnection() {
 
     // Test 2: Get auth URL
     console.log('\n2. Testing auth URL generation...');
-    const authUrl = stravaAPI.getAuthUrl();
+    const authUrl = stravaAPI.getAuthUrl('debug-state');
     console.log('✅ Auth URL generated:', authUrl);
 
     // Test 3: Test with mock token (this will fail, but shows if API calls work)
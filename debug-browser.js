@@ -4,7 +4,8 @@ console.log('localStorage contents:');
 for (let i = 0; i < localStorage.length; i++) {
   const key = localStorage.key(i);
   if (key.includes('strava')) {
-    const value = localStorage.getItem(key);
+    // Never print tokens, only whether they are present
+    const value = key.includes('token') ? '[redacted]' : localStorage.getItem(key);
     console.log(`${key}:`, value);
   }
 }
@@ -18,3 +19,13 @@ fetch('http://localhost:3001/api/health')
   .catch((error) => {
     console.error('Backend connection failed:', error);
   });
+
+// Check the backend session (tokens themselves stay in the httpOnly cookie)
+fetch('http://localhost:3001/api/session', { credentials: 'include' })
+  .then((response) => response.json())
+  .then((data) => {
+    console.log('Backend session:', data);
+  })
+  .catch((error) => {
+    console.error('Backend session check failed:', error);
+  });
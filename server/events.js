@@ -0,0 +1,86 @@
+/**
+ * Events - Server-Sent Events channel from the backend to open browser tabs
+ * Each tab keeps one /api/events stream open; events are sent to one athlete's tabs or broadcast to all.
+ */
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000; // Keeps proxies from closing idle streams
+const RECONNECT_DELAY_MS = 5 * 1000;
+
+const clientsByAthlete = new Map();
+
+// The Strava API status is app-wide, so remember the last one for tabs that connect later
+let lastApiStatus = null;
+
+function writeEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Register a response as an event stream for an athlete
+ * @param {string|number} athleteId - Strava athlete id from the session
+ * @param {Object} req - Express request (used to detect the tab going away)
+ * @param {Object} res - Express response, kept open until the client disconnects
+ */
+export function openEventStream(athleteId, req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const athleteKey = String(athleteId);
+  if (!clientsByAthlete.has(athleteKey)) {
+    clientsByAthlete.set(athleteKey, new Set());
+  }
+  clientsByAthlete.get(athleteKey).add(res);
+
+  if (lastApiStatus) {
+    writeEvent(res, 'api-status', lastApiStatus);
+  }
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const clients = clientsByAthlete.get(athleteKey);
+    clients?.delete(res);
+    if (clients?.size === 0) {
+      clientsByAthlete.delete(athleteKey);
+    }
+  });
+}
+
+/**
+ * Send an event to every open tab of one athlete
+ */
+export function publishToAthlete(athleteId, type, data) {
+  for (const res of clientsByAthlete.get(String(athleteId)) || []) {
+    writeEvent(res, type, data);
+  }
+}
+
+/**
+ * Send an event to every open tab
+ */
+export function publishToAll(type, data) {
+  for (const clients of clientsByAthlete.values()) {
+    for (const res of clients) {
+      writeEvent(res, type, data);
+    }
+  }
+}
+
+/**
+ * Record the outcome of a Strava API call and tell open tabs when the status changes
+ * @param {Object} status - { status: 'available'|'rate-limited'|'error', statusCode, message }
+ */
+export function publishApiStatus(status) {
+  const changed = !lastApiStatus || lastApiStatus.status !== status.status;
+  lastApiStatus = { ...status, timestamp: new Date().toISOString() };
+
+  if (changed) {
+    publishToAll('api-status', lastApiStatus);
+  }
+}
@@ -1,12 +1,29 @@
+import crypto from 'node:crypto';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import express from 'express';
+import { openEventStream, publishApiStatus, publishToAll, publishToAthlete } from './events.js';
+import { getRateLimitBudget, recordRateLimitHeaders } from './rate-limit.js';
+import { hasStravaSession, sessionMiddleware } from './session.js';
+import { getWebhookEvents, isValidWebhookEvent, recordWebhookEvent, verifyWebhookSubscription } from './webhooks.js';
 
 // Load environment variables
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+// Point STRAVA_BASE_URL at the mock server (npm run mock:strava) to develop without network
+const STRAVA_BASE_URL = process.env.STRAVA_BASE_URL || 'https://www.strava.com';
+const STRAVA_API_BASE_URL = `${STRAVA_BASE_URL}/api/v3`;
+
+// How long a login may take between /api/oauth/state and the callback
+const OAUTH_STATE_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Refresh session tokens this many seconds before Strava says they expire
+const TOKEN_REFRESH_MARGIN_SECONDS = 5 * 60;
+
+// 'direct' hands Strava tokens to the browser (for VITE_STRAVA_API_MODE=direct); otherwise they never leave the session
+const DIRECT_TOKEN_DELIVERY = process.env.STRAVA_TOKEN_DELIVERY === 'direct';
 
 // Middleware
 app.use(
@@ -16,62 +33,226 @@ app.use(
       'http://localhost:5174', // Add additional port
     ],
     credentials: true,
+    exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Usage', 'Retry-After'],
   }),
 );
 app.use(express.json());
+app.use(sessionMiddleware);
 
 // Environment validation
-const requiredEnvVars = ['STRAVA_CLIENT_ID', 'STRAVA_CLIENT_SECRET'];
+const requiredEnvVars = ['STRAVA_CLIENT_ID', 'STRAVA_CLIENT_SECRET', 'SESSION_SECRET'];
 for (const envVar of requiredEnvVars) {
   if (!process.env[envVar]) {
     console.warn(`Warning: ${envVar} environment variable is not set`);
   }
 }
 
+/**
+ * Call Strava's OAuth token endpoint with our client credentials
+ * @param {Object} grantParams - Grant-specific parameters (code or refresh_token plus grant_type)
+ * @returns {Promise<{ok: boolean, status: number, data: Object}>}
+ */
+async function requestStravaToken(grantParams) {
+  const tokenResponse = await fetch(`${STRAVA_BASE_URL}/oauth/token`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      client_id: process.env.STRAVA_CLIENT_ID,
+      client_secret: process.env.STRAVA_CLIENT_SECRET,
+      ...grantParams,
+    }),
+  });
+
+  const data = await tokenResponse.json();
+  return { ok: tokenResponse.ok, status: tokenResponse.status, data };
+}
+
+const hasStravaCredentials = () => !!(process.env.STRAVA_CLIENT_ID && process.env.STRAVA_CLIENT_SECRET);
+
+/**
+ * Refresh the tokens held in the session and write the new ones back to the session cookie
+ * @returns {Promise<boolean>} - false if Strava rejected the refresh token (the session is cleared)
+ */
+async function refreshSessionTokens(req, res) {
+  const { ok, data: tokenData } = await requestStravaToken({
+    refresh_token: req.session.refreshToken,
+    grant_type: 'refresh_token',
+  });
+
+  if (!ok) {
+    console.error('Strava session token refresh failed:', tokenData);
+    res.clearSession();
+    return false;
+  }
+
+  res.saveSession({
+    ...req.session,
+    accessToken: tokenData.access_token,
+    refreshToken: tokenData.refresh_token || req.session.refreshToken,
+    expiresAt: tokenData.expires_at,
+  });
+  return true;
+}
+
+/**
+ * Forward the incoming /api/strava/* request to the Strava API using the session's access token
+ */
+function forwardToStrava(req) {
+  const upstreamPath = req.originalUrl.slice('/api/strava'.length);
+  const hasBody = req.method !== 'GET' && req.method !== 'HEAD';
+
+  return fetch(`${STRAVA_API_BASE_URL}${upstreamPath}`, {
+    method: req.method,
+    headers: {
+      Authorization: `Bearer ${req.session.accessToken}`,
+      ...(hasBody ? { 'Content-Type': 'application/json' } : {}),
+    },
+    body: hasBody ? JSON.stringify(req.body || {}) : undefined,
+  });
+}
+
+/**
+ * Compare two OAuth state values in constant time
+ */
+function statesMatch(expected, received) {
+  const expectedBuffer = Buffer.from(String(expected));
+  const receivedBuffer = Buffer.from(String(received));
+  return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Tell open tabs about a proxied Strava response: API status, remaining budget and freshly fetched activities
+ */
+function publishStravaResponse(req, upstreamResponse, body) {
+  const { status } = upstreamResponse;
+  if (status === 429) {
+    publishApiStatus({ status: 'rate-limited', statusCode: status, message: 'API rate limit exceeded' });
+  } else if (status >= 500) {
+    publishApiStatus({ status: 'error', statusCode: status, message: `Strava API returned ${status}` });
+  } else {
+    publishApiStatus({ status: 'available', statusCode: status });
+  }
+
+  publishToAll('ratelimit', getRateLimitBudget());
+
+  const upstreamPath = req.originalUrl.slice('/api/strava'.length);
+  if (req.method === 'GET' && upstreamResponse.ok && /^\/activities\/\d+(\?|$)/.test(upstreamPath)) {
+    try {
+      publishToAthlete(req.session.athlete?.id, 'activity', JSON.parse(body));
+    } catch (error) {
+      console.warn('Could not publish fetched activity:', error.message);
+    }
+  }
+}
+
+// OAuth state endpoint
+// Issues a random per-login state that is bound to this browser's session cookie and can be used once
+app.post('/api/oauth/state', (req, res) => {
+  const state = crypto.randomBytes(24).toString('base64url');
+
+  res.saveSession({
+    ...req.session,
+    oauthState: { value: state, createdAt: Date.now() },
+  });
+
+  res.json({ state });
+});
+
 // OAuth token exchange endpoint
+// Tokens are kept in the session cookie; they are only returned in the body when the server is configured
+// for direct delivery - never because the request asks for it
 app.post('/api/oauth/token', async (req, res) => {
   try {
-    const { code } = req.body;
+    const { code, state, scope = null } = req.body;
 
     if (!code) {
       return res.status(400).json({ error: 'Authorization code is required' });
     }
 
-    if (!process.env.STRAVA_CLIENT_ID || !process.env.STRAVA_CLIENT_SECRET) {
+    // The state is consumed on first use, so a replayed callback finds nothing to match
+    const { oauthState, ...sessionWithoutState } = req.session;
+    if (oauthState) {
+      res.saveSession(sessionWithoutState);
+    }
+
+    if (!oauthState) {
+      return res.status(400).json({
+        error: 'This sign-in link has expired or was already used. Please connect to Strava again.',
+      });
+    }
+
+    if (!state || !statesMatch(oauthState.value, state)) {
+      console.warn('OAuth state mismatch, rejecting token exchange');
+      return res.status(403).json({
+        error: 'Sign-in could not be verified (state mismatch). Please connect to Strava again.',
+      });
+    }
+
+    if (Date.now() - oauthState.createdAt > OAUTH_STATE_MAX_AGE_MS) {
+      return res.status(400).json({
+        error: 'This sign-in link has expired or was already used. Please connect to Strava again.',
+      });
+    }
+
+    if (!hasStravaCredentials()) {
       return res.status(500).json({
         error: 'Server configuration error: Strava credentials not configured',
       });
     }
 
     // Exchange authorization code for access token
-    const tokenResponse = await fetch('https://www.strava.com/oauth/token', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        client_id: process.env.STRAVA_CLIENT_ID,
-        client_secret: process.env.STRAVA_CLIENT_SECRET,
-        code,
-        grant_type: 'authorization_code',
-      }),
+    const {
+      ok,
+      status,
+      data: tokenData,
+    } = await requestStravaToken({
+      code,
+      grant_type: 'authorization_code',
     });
 
-    const tokenData = await tokenResponse.json();
-
-    if (!tokenResponse.ok) {
+    if (!ok) {
       console.error('Strava token exchange failed:', tokenData);
       return res.status(400).json({
-        error: 'Failed to exchange authorization code',
+        error:
+          status >= 400 && status < 500
+            ? 'Authorization code is invalid or was already used. Please connect to Strava again.'
+            : 'Failed to exchange authorization code',
         details: tokenData.message || 'Unknown error',
       });
     }
 
+    res.saveSession({
+      accessToken: tokenData.access_token,
+      refreshToken: tokenData.refresh_token,
+      expiresAt: tokenData.expires_at,
+      athlete: tokenData.athlete
+        ? {
+            id: tokenData.athlete.id,
+            username: tokenData.athlete.username,
+            firstname: tokenData.athlete.firstname,
+            lastname: tokenData.athlete.lastname,
+          }
+        : null,
+      // Strava reports the granted scopes on the callback URL only, not in the token response
+      scope,
+    });
+
+    if (!DIRECT_TOKEN_DELIVERY) {
+      return res.json({
+        expires_at: tokenData.expires_at,
+        scope,
+        athlete: tokenData.athlete,
+      });
+    }
+
     // Return the token data to the frontend
     res.json({
       access_token: tokenData.access_token,
       refresh_token: tokenData.refresh_token,
       expires_at: tokenData.expires_at,
+      scope,
       athlete: tokenData.athlete,
     });
   } catch (error) {
@@ -82,6 +263,189 @@ app.post('/api/oauth/token', async (req, res) => {
   }
 });
 
+// OAuth token refresh endpoint, for browsers holding their own tokens (direct delivery only)
+// In session mode the proxy refreshes the session's tokens itself, and handing out fresh tokens would leak them
+app.post('/api/oauth/refresh', async (req, res) => {
+  if (!DIRECT_TOKEN_DELIVERY) {
+    return res.status(404).json({ error: 'Token refresh is handled by the server session' });
+  }
+
+  try {
+    const { refresh_token: refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    if (!hasStravaCredentials()) {
+      return res.status(500).json({
+        error: 'Server configuration error: Strava credentials not configured',
+      });
+    }
+
+    const {
+      ok,
+      status,
+      data: tokenData,
+    } = await requestStravaToken({
+      refresh_token: refreshToken,
+      grant_type: 'refresh_token',
+    });
+
+    if (!ok) {
+      console.error('Strava token refresh failed:', tokenData);
+      // 4xx from Strava means the refresh token itself is no longer usable
+      return res.status(status >= 400 && status < 500 ? 401 : 502).json({
+        error: 'Failed to refresh access token',
+        details: tokenData.message || 'Unknown error',
+      });
+    }
+
+    // Strava may rotate the refresh token, so always hand back the latest one
+    res.json({
+      access_token: tokenData.access_token,
+      refresh_token: tokenData.refresh_token,
+      expires_at: tokenData.expires_at,
+    });
+  } catch (error) {
+    console.error('OAuth token refresh error:', error);
+    res.status(500).json({
+      error: 'Internal server error during token refresh',
+    });
+  }
+});
+
+// Current session status (never includes the tokens themselves)
+app.get('/api/session', (req, res) => {
+  if (!hasStravaSession(req.session)) {
+    return res.json({ authenticated: false });
+  }
+
+  res.json({
+    authenticated: true,
+    athlete: req.session.athlete || null,
+    expires_at: req.session.expiresAt,
+    scope: req.session.scope || null,
+  });
+});
+
+// Logout - drop the session cookie
+app.post('/api/logout', (_req, res) => {
+  res.clearSession();
+  res.json({ success: true });
+});
+
+// Current Strava API budget shared by every proxied request
+app.get('/api/ratelimit', (_req, res) => {
+  res.json(getRateLimitBudget());
+});
+
+// Strava API proxy - forwards authenticated requests using the tokens held in the session
+app.all('/api/strava/*path', async (req, res) => {
+  if (!hasStravaSession(req.session)) {
+    return res.status(401).json({ error: 'Not authenticated with Strava' });
+  }
+
+  // Don't spend a request we already know Strava will reject
+  const rateLimit = getRateLimitBudget();
+  if (rateLimit.exhausted) {
+    publishApiStatus({ status: 'rate-limited', statusCode: 429, message: 'API rate limit exceeded' });
+    return res
+      .status(429)
+      .set('Retry-After', String(rateLimit.retryAfterSeconds))
+      .json({ error: 'Strava API rate limit reached', rateLimit });
+  }
+
+  try {
+    const secondsUntilExpiry = req.session.expiresAt - Math.floor(Date.now() / 1000);
+    if (secondsUntilExpiry < TOKEN_REFRESH_MARGIN_SECONDS && !(await refreshSessionTokens(req, res))) {
+      return res.status(401).json({ error: 'Strava session expired' });
+    }
+
+    let upstreamResponse = await forwardToStrava(req);
+
+    // Token revoked or expired early - refresh once and retry
+    if (upstreamResponse.status === 401) {
+      if (!(await refreshSessionTokens(req, res))) {
+        return res.status(401).json({ error: 'Strava session expired' });
+      }
+      upstreamResponse = await forwardToStrava(req);
+    }
+
+    recordRateLimitHeaders(upstreamResponse.headers);
+
+    for (const header of ['x-ratelimit-limit', 'x-ratelimit-usage']) {
+      const value = upstreamResponse.headers.get(header);
+      if (value) {
+        res.set(header, value);
+      }
+    }
+
+    const body = await upstreamResponse.text();
+    publishStravaResponse(req, upstreamResponse, body);
+    res
+      .status(upstreamResponse.status)
+      .type(upstreamResponse.headers.get('content-type') || 'application/json')
+      .send(body);
+  } catch (error) {
+    console.error('Strava API proxy error:', error);
+    publishApiStatus({ status: 'error', statusCode: 502, message: 'Failed to reach the Strava API' });
+    res.status(502).json({
+      error: 'Failed to reach the Strava API',
+    });
+  }
+});
+
+// Strava webhook subscription validation - echo the challenge back when the verify token matches
+app.get('/api/webhook', (req, res) => {
+  const challenge = verifyWebhookSubscription(req.query);
+  if (!challenge) {
+    return res.status(403).json({ error: 'Webhook verification failed' });
+  }
+
+  console.log('Strava webhook subscription verified');
+  res.json({ 'hub.challenge': challenge });
+});
+
+// Strava webhook events - must be acknowledged with a 200 within two seconds, so only queue them here
+app.post('/api/webhook', (req, res) => {
+  if (!isValidWebhookEvent(req.body)) {
+    console.warn('Ignoring unexpected webhook payload:', req.body);
+    return res.status(400).json({ error: 'Invalid webhook event' });
+  }
+
+  const event = recordWebhookEvent(req.body);
+  console.log('Strava webhook event received:', {
+    id: event.id,
+    objectType: event.objectType,
+    aspectType: event.aspectType,
+    objectId: event.objectId,
+  });
+  publishToAthlete(event.ownerId, 'webhook', event);
+  res.json({ received: true });
+});
+
+// Pending webhook events for the signed-in athlete, newer than the `after` cursor
+app.get('/api/webhook/events', (req, res) => {
+  const athleteId = req.session.athlete?.id;
+  if (!athleteId) {
+    return res.status(401).json({ error: 'Not authenticated with Strava' });
+  }
+
+  const after = Number.parseInt(req.query.after, 10) || 0;
+  res.json(getWebhookEvents(athleteId, after));
+});
+
+// Server-Sent Events stream for the signed-in athlete's open tabs
+app.get('/api/events', (req, res) => {
+  const athleteId = req.session.athlete?.id;
+  if (!athleteId) {
+    return res.status(401).json({ error: 'Not authenticated with Strava' });
+  }
+
+  openEventStream(athleteId, req, res);
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({
@@ -99,11 +463,15 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Backend server running on port ${PORT}`);
   console.log(`🌍 CORS enabled for: ${process.env.FRONTEND_URL || 'http://localhost:5173'} and http://localhost:5174`);
 
-  if (!process.env.STRAVA_CLIENT_ID || !process.env.STRAVA_CLIENT_SECRET) {
+  if (!hasStravaCredentials()) {
     console.log('⚠️  To use Strava OAuth, create a .env file with:');
     console.log('   STRAVA_CLIENT_ID=your_client_id');
     console.log('   STRAVA_CLIENT_SECRET=your_client_secret');
   } else {
     console.log('✅ Strava OAuth configured');
   }
+
+  if (process.env.STRAVA_BASE_URL) {
+    console.log(`🧪 Using Strava at ${STRAVA_BASE_URL}`);
+  }
 });
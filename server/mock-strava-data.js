@@ -0,0 +1,315 @@
+/**
+ * Mock Strava Data - Seeded fixture data for the mock Strava server
+ * The same seed always produces the same athlete and activities, so runs are reproducible.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const MOCK_ATHLETE_ID = 1234567;
+
+const RUN_NAMES = [
+  'Morning Run',
+  'Easy Run',
+  'Tempo Run',
+  'Long Run',
+  'Recovery Jog',
+  'Track Intervals',
+  'Hill Repeats',
+];
+const RIDE_NAMES = ['Morning Ride', 'Commute', 'Gravel Loop', 'Evening Ride'];
+const OTHER_NAMES = { Swim: ['Pool Swim', 'Open Water Swim'], Walk: ['Lunch Walk', 'Evening Walk'] };
+
+const PRIVATE_NOTES = [
+  'Legs felt heavy for the first 3k, loosened up after.',
+  'Left calf tight again - keep an eye on it.',
+  'Slept badly, HR higher than usual.',
+  'New shoes, felt great. Negative split.',
+  'Windy on the way back, ran by effort.',
+  'Fueling: one gel at 45 min worked well.',
+  'Stopped twice for traffic lights.',
+];
+
+/**
+ * Small deterministic PRNG (mulberry32)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+export function createAthlete() {
+  return {
+    id: MOCK_ATHLETE_ID,
+    username: 'mock_runner',
+    resource_state: 3,
+    firstname: 'Mock',
+    lastname: 'Runner',
+    city: 'Boulder',
+    state: 'Colorado',
+    country: 'United States',
+    sex: 'F',
+    premium: false,
+    summit: false,
+    created_at: '2018-03-01T12:00:00Z',
+    updated_at: new Date().toISOString(),
+    profile_medium: '',
+    profile: '',
+    measurement_preference: 'meters',
+    weight: 60,
+  };
+}
+
+function createActivity(random, id, startDate) {
+  const typeRoll = random();
+  const type = typeRoll < 0.7 ? 'Run' : typeRoll < 0.85 ? 'Ride' : typeRoll < 0.93 ? 'Swim' : 'Walk';
+
+  // Distances in meters and speeds in m/s, roughly what each sport looks like
+  const profile = {
+    Run: { distance: 4000 + random() * 20000, speed: 2.6 + random() * 1.4, names: RUN_NAMES },
+    Ride: { distance: 15000 + random() * 70000, speed: 6 + random() * 3, names: RIDE_NAMES },
+    Swim: { distance: 1000 + random() * 2500, speed: 0.7 + random() * 0.3, names: OTHER_NAMES.Swim },
+    Walk: { distance: 2000 + random() * 5000, speed: 1.2 + random() * 0.4, names: OTHER_NAMES.Walk },
+  }[type];
+
+  const distance = Math.round(profile.distance * 10) / 10;
+  const movingTime = Math.round(distance / profile.speed);
+  const visibility = random() < 0.1 ? 'only_me' : random() < 0.2 ? 'followers_only' : 'everyone';
+
+  return {
+    id,
+    resource_state: 3,
+    athlete: { id: MOCK_ATHLETE_ID, resource_state: 1 },
+    name: pick(random, profile.names),
+    distance,
+    moving_time: movingTime,
+    elapsed_time: movingTime + Math.round(random() * 600),
+    total_elevation_gain: type === 'Swim' ? 0 : Math.round(random() * (type === 'Ride' ? 900 : 250)),
+    type,
+    sport_type: type,
+    start_date: new Date(startDate).toISOString(),
+    start_date_local: new Date(startDate).toISOString(),
+    timezone: '(GMT-07:00) America/Denver',
+    achievement_count: Math.floor(random() * 4),
+    kudos_count: Math.floor(random() * 25),
+    comment_count: Math.floor(random() * 3),
+    athlete_count: 1,
+    trainer: false,
+    commute: type === 'Ride' && random() < 0.3,
+    manual: false,
+    private: visibility === 'only_me',
+    visibility,
+    flagged: false,
+    gear_id: type === 'Run' ? pick(random, ['g1001', 'g1002']) : type === 'Ride' ? 'b2001' : null,
+    average_speed: Math.round((distance / movingTime) * 1000) / 1000,
+    max_speed: Math.round((distance / movingTime) * 1.4 * 1000) / 1000,
+    has_heartrate: type !== 'Swim',
+    average_heartrate: type !== 'Swim' ? Math.round(130 + random() * 35) : undefined,
+    max_heartrate: type !== 'Swim' ? Math.round(165 + random() * 20) : undefined,
+    calories: Math.round(distance * 0.06),
+    description: random() < 0.3 ? 'Nice conditions today.' : null,
+    private_note: random() < 0.45 ? pick(random, PRIVATE_NOTES) : null,
+    map: { id: `a${id}`, summary_polyline: '', resource_state: 3 },
+  };
+}
+
+/**
+ * Generate the athlete's activity history, newest first
+ * @param {Object} [options]
+ * @param {number} [options.seed] - PRNG seed
+ * @param {number} [options.days] - How many days of history to generate
+ * @param {number} [options.now] - End of the history (defaults to now)
+ */
+export function createActivities({ seed = 42, days = 730, now = Date.now() } = {}) {
+  const random = createRandom(seed);
+  const activities = [];
+  let nextId = 9000000000;
+
+  for (let day = days; day >= 0; day--) {
+    // About five sessions a week, occasionally two in a day
+    const sessions = random() < 0.3 ? 0 : random() < 0.1 ? 2 : 1;
+    for (let session = 0; session < sessions; session++) {
+      const startOfDay = Math.floor((now - day * DAY_MS) / DAY_MS) * DAY_MS;
+      const startDate = startOfDay + (6 + session * 10 + random() * 3) * 60 * 60 * 1000;
+      if (startDate > now) continue;
+      activities.push(createActivity(random, nextId++, startDate));
+    }
+  }
+
+  return activities.sort((a, b) => new Date(b.start_date) - new Date(a.start_date));
+}
+
+/**
+ * Strip a detailed activity down to what Strava returns in activity lists
+ */
+export function toSummaryActivity(activity) {
+  const summary = { ...activity, resource_state: 2 };
+  for (const detailOnlyField of ['description', 'private_note', 'calories']) {
+    delete summary[detailOnlyField];
+  }
+  return summary;
+}
+
+const GEAR = [
+  { id: 'g1001', name: 'Daily Trainers', brand_name: 'Brooks', model_name: 'Ghost 15', primary: true },
+  { id: 'g1002', name: 'Race Shoes', brand_name: 'Nike', model_name: 'Vaporfly 3', primary: false },
+  { id: 'b2001', name: 'Road Bike', brand_name: 'Canyon', model_name: 'Endurace', primary: true, frame_type: 3 },
+];
+
+/**
+ * Build /gear/:id, with the distance Strava would total from the activity history
+ * @returns {Object|null} - null for an unknown gear id
+ */
+export function createGear(gearId, activities) {
+  const gear = GEAR.find((candidate) => candidate.id === gearId);
+  if (!gear) return null;
+
+  const distance = activities
+    .filter((activity) => activity.gear_id === gearId)
+    .reduce((sum, activity) => sum + activity.distance, 0);
+
+  return {
+    ...gear,
+    resource_state: 3,
+    nickname: gear.name,
+    retired: false,
+    distance,
+    converted_distance: Math.round(distance / 100) / 10,
+    description: null,
+  };
+}
+
+/**
+ * Build /athletes/:id/stats totals from the activity history
+ */
+export function createAthleteStats(activities, now = Date.now()) {
+  const recentCutoff = now - 28 * DAY_MS;
+  const yearStart = new Date(new Date(now).getUTCFullYear(), 0, 1).getTime();
+
+  const totals = (type, since = 0) => {
+    const matching = activities.filter(
+      (activity) => activity.type === type && new Date(activity.start_date).getTime() >= since,
+    );
+    return {
+      count: matching.length,
+      distance: matching.reduce((sum, activity) => sum + activity.distance, 0),
+      moving_time: matching.reduce((sum, activity) => sum + activity.moving_time, 0),
+      elapsed_time: matching.reduce((sum, activity) => sum + activity.elapsed_time, 0),
+      elevation_gain: matching.reduce((sum, activity) => sum + activity.total_elevation_gain, 0),
+      achievement_count: matching.reduce((sum, activity) => sum + activity.achievement_count, 0),
+    };
+  };
+
+  const longest = (type) =>
+    activities
+      .filter((activity) => activity.type === type)
+      .reduce((max, activity) => Math.max(max, activity.distance), 0);
+
+  return {
+    biggest_ride_distance: longest('Ride'),
+    biggest_climb_elevation_gain: activities.reduce((max, activity) => Math.max(max, activity.total_elevation_gain), 0),
+    recent_ride_totals: totals('Ride', recentCutoff),
+    recent_run_totals: totals('Run', recentCutoff),
+    recent_swim_totals: totals('Swim', recentCutoff),
+    ytd_ride_totals: totals('Ride', yearStart),
+    ytd_run_totals: totals('Run', yearStart),
+    ytd_swim_totals: totals('Swim', yearStart),
+    all_ride_totals: totals('Ride'),
+    all_run_totals: totals('Run'),
+    all_swim_totals: totals('Swim'),
+  };
+}
+
+// Upper bounds of the five heart rate zones; the last zone is open-ended (-1), as in /zones
+const HEARTRATE_ZONE_MAXES = [123, 153, 169, 184, -1];
+const STREAM_SAMPLE_SECONDS = 5;
+
+/**
+ * Build the key_by_type=true /activities/:id/streams response
+ * Seeded by the activity id, so every request for an activity returns the same streams.
+ */
+export function createActivityStreams(activity) {
+  const random = createRandom(activity.id);
+  const samples = Math.max(2, Math.ceil(activity.moving_time / STREAM_SAMPLE_SECONDS) + 1);
+  const streams = { time: [], distance: [], altitude: [], heartrate: [], cadence: [] };
+  let altitude = 1600 + random() * 100;
+
+  for (let index = 0; index < samples; index++) {
+    const progress = index / (samples - 1);
+    streams.time.push(Math.min(activity.moving_time, index * STREAM_SAMPLE_SECONDS));
+    // Pace varies a little around the average so splits aren't all identical
+    streams.distance.push(
+      Math.round(activity.distance * (progress + Math.sin(progress * Math.PI * 4) * 0.01) * 10) / 10,
+    );
+    altitude += (random() - 0.5) * 2;
+    streams.altitude.push(Math.round(altitude * 10) / 10);
+    if (activity.has_heartrate) {
+      streams.heartrate.push(Math.round(activity.average_heartrate - 12 + progress * 20 + (random() - 0.5) * 6));
+    }
+    streams.cadence.push(activity.type === 'Run' ? Math.round(84 + random() * 8) : Math.round(80 + random() * 15));
+  }
+  if (!activity.has_heartrate) delete streams.heartrate;
+
+  return Object.fromEntries(
+    Object.entries(streams).map(([type, data]) => [
+      type,
+      { data, series_type: 'distance', original_size: data.length, resolution: 'high' },
+    ]),
+  );
+}
+
+/**
+ * Build /activities/:id/laps - auto-laps every kilometer, like a watch would record
+ */
+export function createActivityLaps(activity) {
+  const lapCount = Math.max(1, Math.ceil(activity.distance / 1000));
+  return Array.from({ length: lapCount }, (_, index) => {
+    const distance = Math.min(1000, activity.distance - index * 1000);
+    const elapsedTime = Math.round(distance / activity.average_speed);
+    return {
+      id: activity.id * 100 + index,
+      resource_state: 2,
+      name: `Lap ${index + 1}`,
+      activity: { id: activity.id, resource_state: 1 },
+      athlete: { id: MOCK_ATHLETE_ID, resource_state: 1 },
+      lap_index: index + 1,
+      split: index + 1,
+      distance: Math.round(distance * 10) / 10,
+      elapsed_time: elapsedTime,
+      moving_time: elapsedTime,
+      average_speed: activity.average_speed,
+      total_elevation_gain: Math.round((activity.total_elevation_gain / lapCount) * 10) / 10,
+      average_heartrate: activity.average_heartrate,
+    };
+  });
+}
+
+/**
+ * Build /activities/:id/zones - time in each heart rate zone
+ */
+export function createActivityZones(activity) {
+  if (!activity.has_heartrate) return [];
+
+  const random = createRandom(activity.id + 1);
+  const weights = HEARTRATE_ZONE_MAXES.map(() => random());
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  return [
+    {
+      type: 'heartrate',
+      sensor_based: true,
+      distribution_buckets: HEARTRATE_ZONE_MAXES.map((max, index) => ({
+        min: index === 0 ? 0 : HEARTRATE_ZONE_MAXES[index - 1],
+        max,
+        time: Math.round((activity.moving_time * weights[index]) / totalWeight),
+      })),
+    },
+  ];
+}
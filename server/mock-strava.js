@@ -0,0 +1,368 @@
+/**
+ * Mock Strava - A self-contained fake Strava for offline development and automated tests
+ * Serves the OAuth endpoints and the parts of the v3 API the app uses, with seeded fixture data,
+ * optional latency, expiring tokens (401) and Strava-style rate limiting (429 + X-RateLimit-* headers).
+ *
+ * Run with `npm run mock:strava`, then point the app at it:
+ *   STRAVA_BASE_URL=http://localhost:3002 (backend) and VITE_STRAVA_BASE_URL=http://localhost:3002 (frontend)
+ *
+ * Behaviour can be changed at runtime through the /mock endpoints (see below) so tests can set up scenarios.
+ */
+
+import crypto from 'node:crypto';
+import express from 'express';
+import {
+  MOCK_ATHLETE_ID,
+  createActivities,
+  createActivityLaps,
+  createActivityStreams,
+  createActivityZones,
+  createAthlete,
+  createAthleteStats,
+  createGear,
+  toSummaryActivity,
+} from './mock-strava-data.js';
+
+const PORT = process.env.MOCK_STRAVA_PORT || 3002;
+const SHORT_TERM_WINDOW_MS = 15 * 60 * 1000;
+
+const parseRateLimit = (value) => (value ? value.split(',').map((part) => Number.parseInt(part, 10)) : [100, 1000]);
+
+const defaultConfig = () => ({
+  latencyMs: Number.parseInt(process.env.MOCK_STRAVA_LATENCY_MS || '0', 10),
+  rateLimit: parseRateLimit(process.env.MOCK_STRAVA_RATE_LIMIT), // [15-minute, daily]
+  tokenTtlSeconds: Number.parseInt(process.env.MOCK_STRAVA_TOKEN_TTL_SECONDS || String(6 * 60 * 60), 10),
+  seed: Number.parseInt(process.env.MOCK_STRAVA_SEED || '42', 10),
+});
+
+let config = defaultConfig();
+let state = createState();
+
+function createState() {
+  return {
+    athlete: createAthlete(),
+    activities: createActivities({ seed: config.seed }),
+    authorizationCodes: new Map(), // code -> { scope, used }
+    accessTokens: new Map(), // token -> { scope, expiresAt }
+    refreshTokens: new Map(), // token -> { scope }
+    usage: { shortTerm: 0, daily: 0, shortTermWindow: null, dailyWindow: null },
+    forcedFailures: [], // statuses to return for the next API requests, e.g. [401, 429]
+  };
+}
+
+const randomToken = () => crypto.randomBytes(20).toString('hex');
+
+function issueTokens(scope) {
+  const accessToken = randomToken();
+  const refreshToken = randomToken();
+  const expiresAt = Math.floor(Date.now() / 1000) + config.tokenTtlSeconds;
+
+  state.accessTokens.set(accessToken, { scope, expiresAt });
+  state.refreshTokens.set(refreshToken, { scope });
+
+  return {
+    token_type: 'Bearer',
+    access_token: accessToken,
+    refresh_token: refreshToken,
+    expires_at: expiresAt,
+    expires_in: config.tokenTtlSeconds,
+  };
+}
+
+/**
+ * Count a request against the 15-minute and daily windows, Strava style
+ * @returns {boolean} - false when the request is over the limit
+ */
+function spendRateLimit() {
+  const now = Date.now();
+  const shortTermWindow = Math.floor(now / SHORT_TERM_WINDOW_MS);
+  const dailyWindow = new Date(now).toISOString().slice(0, 10);
+
+  if (state.usage.shortTermWindow !== shortTermWindow) {
+    state.usage.shortTermWindow = shortTermWindow;
+    state.usage.shortTerm = 0;
+  }
+  if (state.usage.dailyWindow !== dailyWindow) {
+    state.usage.dailyWindow = dailyWindow;
+    state.usage.daily = 0;
+  }
+
+  // Strava counts rejected requests too
+  state.usage.shortTerm++;
+  state.usage.daily++;
+
+  const [shortTermLimit, dailyLimit] = config.rateLimit;
+  return state.usage.shortTerm <= shortTermLimit && state.usage.daily <= dailyLimit;
+}
+
+function setRateLimitHeaders(res) {
+  res.set('X-RateLimit-Limit', config.rateLimit.join(','));
+  res.set('X-RateLimit-Usage', `${state.usage.shortTerm},${state.usage.daily}`);
+}
+
+const canReadPrivate = (scope) => scope.includes('activity:read_all');
+const canReadActivities = (scope) => scope.includes('activity:read') || canReadPrivate(scope);
+const canWriteActivities = (scope) => scope.includes('activity:write');
+
+// Fields PUT /activities/:id accepts (private_note included, as the app writes it)
+const UPDATABLE_ACTIVITY_FIELDS = [
+  'name',
+  'description',
+  'private_note',
+  'commute',
+  'trainer',
+  'gear_id',
+  'sport_type',
+];
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+
+// Simulated network latency
+app.use((_req, _res, next) => {
+  if (config.latencyMs > 0) {
+    setTimeout(next, config.latencyMs);
+  } else {
+    next();
+  }
+});
+
+// OAuth consent screen - approves immediately and redirects back with a code
+app.get('/oauth/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state: oauthState, scope = 'read' } = req.query;
+  if (!redirectUri) {
+    return res.status(400).json({ message: 'Bad Request', errors: [{ field: 'redirect_uri', code: 'invalid' }] });
+  }
+
+  const code = randomToken();
+  const grantedScope = ['read', ...scope.split(',').filter((part) => part && part !== 'read')].join(',');
+  state.authorizationCodes.set(code, { scope: grantedScope, used: false });
+
+  const callback = new URL(redirectUri);
+  callback.searchParams.set('state', oauthState || '');
+  callback.searchParams.set('code', code);
+  callback.searchParams.set('scope', grantedScope);
+  res.redirect(callback.toString());
+});
+
+// OAuth token endpoint - authorization_code and refresh_token grants
+app.post('/oauth/token', (req, res) => {
+  const { grant_type: grantType, code, refresh_token: refreshToken } = req.body;
+
+  if (grantType === 'authorization_code') {
+    const authorization = state.authorizationCodes.get(code);
+    if (!authorization || authorization.used) {
+      return res.status(400).json({
+        message: 'Bad Request',
+        errors: [{ resource: 'AuthorizationCode', field: 'code', code: 'invalid' }],
+      });
+    }
+    authorization.used = true;
+    return res.json({ ...issueTokens(authorization.scope), athlete: { ...state.athlete, resource_state: 2 } });
+  }
+
+  if (grantType === 'refresh_token') {
+    const grant = state.refreshTokens.get(refreshToken);
+    if (!grant) {
+      return res.status(400).json({
+        message: 'Bad Request',
+        errors: [{ resource: 'RefreshToken', field: 'refresh_token', code: 'invalid' }],
+      });
+    }
+    state.refreshTokens.delete(refreshToken);
+    return res.json(issueTokens(grant.scope));
+  }
+
+  res.status(400).json({ message: 'Bad Request', errors: [{ field: 'grant_type', code: 'invalid' }] });
+});
+
+// Authentication, forced failures and rate limiting for every API route
+const api = express.Router();
+
+api.use((req, res, next) => {
+  const forcedStatus = state.forcedFailures.shift();
+  const withinLimit = spendRateLimit();
+  setRateLimitHeaders(res);
+
+  if (forcedStatus === 429 || !withinLimit) {
+    return res
+      .status(429)
+      .json({ message: 'Rate Limit Exceeded', errors: [{ resource: 'Application', code: 'exceeded' }] });
+  }
+  if (forcedStatus) {
+    return res.status(forcedStatus).json({ message: `Mock failure (${forcedStatus})`, errors: [] });
+  }
+
+  const token = req.get('Authorization')?.replace(/^Bearer /, '');
+  const grant = token && state.accessTokens.get(token);
+  if (!grant || grant.expiresAt < Math.floor(Date.now() / 1000)) {
+    return res.status(401).json({
+      message: 'Authorization Error',
+      errors: [{ resource: 'Athlete', field: 'access_token', code: 'invalid' }],
+    });
+  }
+
+  req.grant = grant;
+  next();
+});
+
+const visibleActivities = (scope) =>
+  state.activities.filter((activity) => canReadPrivate(scope) || activity.visibility !== 'only_me');
+
+api.get('/athlete', (_req, res) => {
+  res.json(state.athlete);
+});
+
+api.get('/athlete/activities', (req, res) => {
+  if (!canReadActivities(req.grant.scope)) {
+    return res
+      .status(401)
+      .json({ message: 'Authorization Error', errors: [{ field: 'activity:read_permission', code: 'missing' }] });
+  }
+
+  const page = Math.max(1, Number.parseInt(req.query.page || '1', 10));
+  const perPage = Math.min(200, Math.max(1, Number.parseInt(req.query.per_page || '30', 10)));
+  const before = req.query.before ? Number.parseInt(req.query.before, 10) * 1000 : null;
+  const after = req.query.after ? Number.parseInt(req.query.after, 10) * 1000 : null;
+
+  const matching = visibleActivities(req.grant.scope).filter((activity) => {
+    const startTime = new Date(activity.start_date).getTime();
+    return (!before || startTime < before) && (!after || startTime > after);
+  });
+
+  res.json(matching.slice((page - 1) * perPage, page * perPage).map(toSummaryActivity));
+});
+
+// Look up the :id activity, or answer 404 and return null
+function findActivity(req, res) {
+  const activity = visibleActivities(req.grant.scope).find((candidate) => String(candidate.id) === req.params.id);
+  if (!activity) {
+    res
+      .status(404)
+      .json({ message: 'Resource Not Found', errors: [{ resource: 'Activity', field: 'id', code: 'not found' }] });
+    return null;
+  }
+  return activity;
+}
+
+api.get('/activities/:id', (req, res) => {
+  const activity = findActivity(req, res);
+  if (activity) res.json(activity);
+});
+
+api.put('/activities/:id', (req, res) => {
+  if (!canWriteActivities(req.grant.scope)) {
+    return res
+      .status(401)
+      .json({ message: 'Authorization Error', errors: [{ field: 'activity:write_permission', code: 'missing' }] });
+  }
+
+  const activity = findActivity(req, res);
+  if (!activity) return;
+
+  for (const field of UPDATABLE_ACTIVITY_FIELDS) {
+    if (req.body[field] !== undefined) {
+      activity[field] = req.body[field];
+    }
+  }
+  res.json(activity);
+});
+
+// Only key_by_type=true is supported; that is the shape the app asks for
+api.get('/activities/:id/streams', (req, res) => {
+  const activity = findActivity(req, res);
+  if (!activity) return;
+
+  const keys = (req.query.keys || 'distance,time').split(',');
+  const streams = createActivityStreams(activity);
+  // Strava always includes distance and time, whatever keys were asked for
+  res.json(
+    Object.fromEntries(
+      Object.entries(streams).filter(([type]) => keys.includes(type) || type === 'distance' || type === 'time'),
+    ),
+  );
+});
+
+api.get('/activities/:id/laps', (req, res) => {
+  const activity = findActivity(req, res);
+  if (activity) res.json(createActivityLaps(activity));
+});
+
+api.get('/activities/:id/zones', (req, res) => {
+  const activity = findActivity(req, res);
+  if (activity) res.json(createActivityZones(activity));
+});
+
+api.get('/gear/:id', (req, res) => {
+  const gear = createGear(req.params.id, state.activities);
+  if (!gear) {
+    return res
+      .status(404)
+      .json({ message: 'Resource Not Found', errors: [{ resource: 'Gear', field: 'id', code: 'not found' }] });
+  }
+  res.json(gear);
+});
+
+api.get('/athletes/:id/stats', (req, res) => {
+  if (req.params.id !== String(MOCK_ATHLETE_ID)) {
+    return res
+      .status(403)
+      .json({ message: 'Forbidden', errors: [{ resource: 'Athlete', field: 'id', code: 'forbidden' }] });
+  }
+  res.json(createAthleteStats(visibleActivities(req.grant.scope)));
+});
+
+app.use('/api/v3', api);
+
+// Test controls
+// GET /mock/state - current config and usage
+app.get('/mock/state', (_req, res) => {
+  res.json({
+    config,
+    usage: state.usage,
+    activities: state.activities.length,
+    activeAccessTokens: state.accessTokens.size,
+    pendingFailures: state.forcedFailures,
+  });
+});
+
+// POST /mock/config - { latencyMs, rateLimit: [15-minute, daily], tokenTtlSeconds }
+app.post('/mock/config', (req, res) => {
+  const { latencyMs, rateLimit, tokenTtlSeconds } = req.body;
+  config = {
+    ...config,
+    ...(latencyMs !== undefined ? { latencyMs: Number(latencyMs) } : {}),
+    ...(rateLimit !== undefined ? { rateLimit: rateLimit.map(Number) } : {}),
+    ...(tokenTtlSeconds !== undefined ? { tokenTtlSeconds: Number(tokenTtlSeconds) } : {}),
+  };
+  res.json({ config });
+});
+
+// POST /mock/fail - { statuses: [401, 429, 500] } returned by the next API requests, in order
+app.post('/mock/fail', (req, res) => {
+  state.forcedFailures.push(...(req.body.statuses || []).map(Number));
+  res.json({ pendingFailures: state.forcedFailures });
+});
+
+// POST /mock/expire-tokens - make every issued access token expire now (next API call gets a 401)
+app.post('/mock/expire-tokens', (_req, res) => {
+  for (const grant of state.accessTokens.values()) {
+    grant.expiresAt = 0;
+  }
+  res.json({ expired: state.accessTokens.size });
+});
+
+// POST /mock/reset - back to the seeded data, default config and zero usage
+app.post('/mock/reset', (_req, res) => {
+  config = defaultConfig();
+  state = createState();
+  res.json({ config });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Mock Strava running on http://localhost:${PORT}`);
+  console.log(
+    `   ${state.activities.length} activities for athlete ${MOCK_ATHLETE_ID}, rate limit ${config.rateLimit.join(',')}`,
+  );
+});
@@ -0,0 +1,57 @@
+/**
+ * Rate Limit - Shared accounting of the Strava API budget
+ * Strava limits are per application, so every proxied request spends from the same 15-minute and daily budget.
+ * Usage is read from the X-RateLimit-Limit / X-RateLimit-Usage headers ("<15-minute>,<daily>").
+ */
+
+import { describeWindow, parseRateLimitHeaders } from '../src/lib/rate-limit-windows.js';
+
+const budget = {
+  shortTerm: null, // { limit, usage, resetsAt }
+  daily: null,
+  updatedAt: null,
+};
+
+/**
+ * Record the budget reported by a Strava response
+ * @param {Headers} headers - Response headers from the Strava API
+ */
+export function recordRateLimitHeaders(headers) {
+  const now = Date.now();
+  const windows = parseRateLimitHeaders(headers, now);
+  if (!windows) return;
+
+  budget.shortTerm = windows.shortTerm;
+  budget.daily = windows.daily;
+  budget.updatedAt = now;
+}
+
+// The window as sent to the frontend, with resetsAt as an ISO string
+function describeWindowForClient(window, now) {
+  const described = describeWindow(window, now);
+  return described && { ...described, resetsAt: new Date(described.resetsAt).toISOString() };
+}
+
+/**
+ * Get the current budget snapshot
+ * @returns {Object} - { shortTerm, daily, updatedAt, exhausted, retryAfterSeconds }
+ */
+export function getRateLimitBudget() {
+  const now = Date.now();
+  const shortTerm = describeWindowForClient(budget.shortTerm, now);
+  const daily = describeWindowForClient(budget.daily, now);
+
+  const exhaustedWindows = [shortTerm, daily].filter((window) => window && window.remaining === 0);
+  const retryAfterMs = exhaustedWindows.reduce(
+    (latest, window) => Math.max(latest, new Date(window.resetsAt).getTime() - now),
+    0,
+  );
+
+  return {
+    shortTerm,
+    daily,
+    updatedAt: budget.updatedAt ? new Date(budget.updatedAt).toISOString() : null,
+    exhausted: exhaustedWindows.length > 0,
+    retryAfterSeconds: Math.ceil(retryAfterMs / 1000),
+  };
+}
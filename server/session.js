@@ -0,0 +1,132 @@
+/**
+ * Session - Encrypted, cookie-backed session storage for Strava tokens
+ * Tokens are sealed with AES-256-GCM and stored in an httpOnly cookie so the browser never sees them
+ */
+
+import crypto from 'node:crypto';
+
+const SESSION_COOKIE_NAME = 'strava_session';
+const SESSION_MAX_AGE_SECONDS = 30 * 24 * 60 * 60; // 30 days
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+
+let encryptionKey = null;
+
+/**
+ * Derive the encryption key from SESSION_SECRET (or a per-process random key as a fallback)
+ */
+function getEncryptionKey() {
+  if (!encryptionKey) {
+    const secret = process.env.SESSION_SECRET;
+    if (!secret) {
+      console.warn('Warning: SESSION_SECRET is not set, sessions will not survive a server restart');
+    }
+    encryptionKey = crypto
+      .createHash('sha256')
+      .update(secret || crypto.randomBytes(32))
+      .digest();
+  }
+  return encryptionKey;
+}
+
+/**
+ * Encrypt session data into a cookie-safe string
+ * @param {Object} data - Session data
+ * @returns {string} - base64url(iv | authTag | ciphertext)
+ */
+function sealSession(data) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+/**
+ * Decrypt a cookie value back into session data
+ * @param {string} value - Sealed cookie value
+ * @returns {Object|null} - Session data, or null if the cookie is invalid or tampered with
+ */
+function unsealSession(value) {
+  try {
+    const buffer = Buffer.from(value, 'base64url');
+    const iv = buffer.subarray(0, IV_LENGTH);
+    const authTag = buffer.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH);
+    const ciphertext = buffer.subarray(IV_LENGTH + AUTH_TAG_LENGTH);
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(authTag);
+    const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    return JSON.parse(plaintext);
+  } catch (error) {
+    console.warn('Session: Ignoring invalid session cookie', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Parse the Cookie header into a name/value map
+ */
+function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const separatorIndex = part.indexOf('=');
+    if (separatorIndex === -1) continue;
+    const name = part.slice(0, separatorIndex).trim();
+    const value = part.slice(separatorIndex + 1).trim();
+    if (name) {
+      cookies[name] = decodeURIComponent(value);
+    }
+  }
+  return cookies;
+}
+
+function buildCookie(value, maxAgeSeconds) {
+  const attributes = [
+    `${SESSION_COOKIE_NAME}=${value}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${maxAgeSeconds}`,
+  ];
+  if (process.env.NODE_ENV === 'production') {
+    attributes.push('Secure');
+  }
+  return attributes.join('; ');
+}
+
+/**
+ * Set the session cookie, replacing one already written during this request
+ */
+function setSessionCookie(res, cookie) {
+  const existing = [res.getHeader('Set-Cookie') || []].flat();
+  const others = existing.filter((header) => !String(header).startsWith(`${SESSION_COOKIE_NAME}=`));
+  res.setHeader('Set-Cookie', [...others, cookie]);
+}
+
+/**
+ * Express middleware that exposes the decrypted session as req.session
+ * and adds res.saveSession(data) / res.clearSession() helpers
+ */
+export function sessionMiddleware(req, res, next) {
+  const cookies = parseCookies(req.headers.cookie);
+  req.session = (cookies[SESSION_COOKIE_NAME] && unsealSession(cookies[SESSION_COOKIE_NAME])) || {};
+
+  res.saveSession = (data) => {
+    req.session = data;
+    setSessionCookie(res, buildCookie(sealSession(data), SESSION_MAX_AGE_SECONDS));
+  };
+
+  res.clearSession = () => {
+    req.session = {};
+    setSessionCookie(res, buildCookie('', 0));
+  };
+
+  next();
+}
+
+/**
+ * Check whether a session holds Strava tokens
+ */
+export function hasStravaSession(session) {
+  return !!(session?.accessToken && session.refreshToken);
+}
@@ -0,0 +1,89 @@
+/**
+ * Webhooks - Receives Strava push subscription events and queues them per athlete
+ * The frontend pulls its athlete's events with a cursor, so several tabs or devices can each catch up.
+ * Events are kept in memory only; after a restart the frontend falls back to its normal refresh.
+ */
+
+const MAX_EVENTS_PER_ATHLETE = 500;
+const EVENT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const eventsByAthlete = new Map();
+let lastEventId = 0;
+
+/**
+ * Event ids are time based so a cursor kept by the frontend stays meaningful across server restarts
+ */
+function nextEventId() {
+  lastEventId = Math.max(Date.now(), lastEventId + 1);
+  return lastEventId;
+}
+
+function pruneEvents(events, now = Date.now()) {
+  const recent = events.filter((event) => now - event.receivedAt < EVENT_RETENTION_MS);
+  return recent.slice(-MAX_EVENTS_PER_ATHLETE);
+}
+
+/**
+ * Answer Strava's subscription validation request
+ * @param {Object} query - Query parameters of GET /api/webhook
+ * @returns {string|null} - The challenge to echo back, or null if the request is not ours
+ */
+export function verifyWebhookSubscription(query) {
+  const verifyToken = process.env.STRAVA_WEBHOOK_VERIFY_TOKEN;
+  if (!verifyToken || query['hub.mode'] !== 'subscribe' || query['hub.verify_token'] !== verifyToken) {
+    return null;
+  }
+  return query['hub.challenge'] || null;
+}
+
+/**
+ * Check that a POST body looks like a Strava event for our subscription
+ */
+export function isValidWebhookEvent(payload) {
+  if (!payload || !['activity', 'athlete'].includes(payload.object_type)) return false;
+  if (!['create', 'update', 'delete'].includes(payload.aspect_type)) return false;
+  if (!payload.object_id || !payload.owner_id) return false;
+
+  const subscriptionId = process.env.STRAVA_WEBHOOK_SUBSCRIPTION_ID;
+  return !subscriptionId || String(payload.subscription_id) === String(subscriptionId);
+}
+
+/**
+ * Queue an event for the athlete who owns the object
+ * @param {Object} payload - Event body as sent by Strava
+ * @returns {Object} - The recorded event
+ */
+export function recordWebhookEvent(payload) {
+  const event = {
+    id: nextEventId(),
+    objectType: payload.object_type,
+    objectId: payload.object_id,
+    aspectType: payload.aspect_type,
+    updates: payload.updates || {},
+    ownerId: payload.owner_id,
+    eventTime: payload.event_time,
+    receivedAt: Date.now(),
+  };
+
+  const ownerKey = String(event.ownerId);
+  eventsByAthlete.set(ownerKey, pruneEvents([...(eventsByAthlete.get(ownerKey) || []), event]));
+  return event;
+}
+
+/**
+ * Get an athlete's events recorded after the given cursor
+ * @param {string|number} athleteId - Strava athlete id
+ * @param {number} after - Id of the last event the caller has seen (0 for everything still kept)
+ * @returns {{events: Object[], cursor: number}} - cursor is the id to pass as `after` next time
+ */
+export function getWebhookEvents(athleteId, after = 0) {
+  const ownerKey = String(athleteId);
+  const events = pruneEvents(eventsByAthlete.get(ownerKey) || []);
+  eventsByAthlete.set(ownerKey, events);
+
+  const pending = events.filter((event) => event.id > after);
+  return {
+    events: pending,
+    cursor: pending.length > 0 ? pending[pending.length - 1].id : after,
+  };
+}
@@ -1,30 +1,69 @@
 import { AuthLanding } from '@/components/AuthLanding';
 import { MainLayout } from '@/components/MainLayout';
+import { AthleteStats } from '@/components/AthleteStats';
+import { GearPanel } from '@/components/GearPanel';
 import { PrivateNotesViewer } from '@/components/PrivateNotesViewer';
 import { WeeklyMileageTracker } from '@/components/WeeklyMileageTracker';
 import { Toaster } from '@/components/ui/sonner';
 import { useLocalStorage } from '@/hooks/use-local-storage';
+import { useLocation } from '@/hooks/use-location';
+import { useSavedSearches } from '@/hooks/use-saved-searches';
+import { useServerEvents } from '@/hooks/use-server-events';
+import { rateLimitBudget } from '@/lib/rate-limit-budget';
+import { DEFAULT_MODULE, matchRoute, modulePath, navigate, notesUrl } from '@/lib/router';
+import { deserializeDateRange } from '@/lib/saved-searches';
 import { SmartActivityCache } from '@/lib/smart-activity-cache';
-import { StravaAPI } from '@/lib/strava-api';
+import { STRAVA_API_MODE, StravaAPI } from '@/lib/strava-api';
+import {
+  BackendUnavailableError,
+  StravaAuthError,
+  StravaError,
+  StravaNotFoundError,
+  StravaRateLimitError,
+} from '@/lib/strava-errors';
+import {
+  FULL_ACCESS_SCOPES,
+  WRITE_ACCESS_SCOPES,
+  WRITE_SCOPE,
+  hasScope,
+  mergeScopes,
+  parseScopes,
+} from '@/lib/strava-scopes';
 import { useEffect, useState } from 'react';
 import { toast } from 'sonner';
 
+// In proxied mode the backend session holds the Strava tokens and the browser never sees them
+const isProxied = STRAVA_API_MODE === 'proxied';
+
 function App() {
   const [isAuthenticated, setIsAuthenticated] = useLocalStorage('strava-authenticated', false);
   const [accessToken, setAccessToken] = useLocalStorage('strava-access-token', null);
+  const [refreshToken, setRefreshToken] = useLocalStorage('strava-refresh-token', null);
+  const [tokenExpiresAt, setTokenExpiresAt] = useLocalStorage('strava-token-expires-at', null);
+  const [hasSession, setHasSession] = useLocalStorage('strava-session-active', false);
+  const [grantedScope, setGrantedScope] = useLocalStorage('strava-granted-scope', null);
   const [isLoading, setIsLoading] = useState(true);
-  const [currentModule, setCurrentModule] = useState('private-notes');
   const [smartCache, setSmartCache] = useState(null);
   const [apiStatus, setApiStatus] = useState('available');
   const [apiStatusDetails, setApiStatusDetails] = useState(null);
-  const [lastApiActivity, setLastApiActivity] = useState(null);
+
+  // The module (and activity) to show comes from the path, e.g. /mileage or /activity/123
+  const location = useLocation();
+  const route = matchRoute(location.pathname);
+  const currentModule = route.module;
+
+  // Whether we can talk to Strava (as opposed to demo mode)
+  const isConnected = isProxied ? hasSession : !!accessToken;
 
   // Debug: Log initial state
   console.log('App: Initial state', {
     isAuthenticated,
+    apiMode: STRAVA_API_MODE,
+    isConnected,
     hasAccessToken: !!accessToken,
     accessTokenPrefix: accessToken ? accessToken.substring(0, 8) + '...' : 'none',
-    localStorageToken: localStorage.getItem('strava-access-token'),
+    hasRefreshToken: !!refreshToken,
+    tokenExpiresAt: tokenExpiresAt ? new Date(tokenExpiresAt * 1000).toISOString() : 'unknown',
     localStorageAuth: localStorage.getItem('strava-authenticated'),
     currentModule,
     timestamp: new Date().toISOString(),
@@ -32,40 +71,58 @@ function App() {
 
   // Function to update API status from actual API calls
   const updateApiStatus = (success, error = null) => {
-    const now = Date.now();
-    setLastApiActivity(now);
-
     if (success) {
       setApiStatus('available');
       setApiStatusDetails(null);
+    } else if (error instanceof StravaRateLimitError) {
+      setApiStatus('rate-limited');
+      setApiStatusDetails({
+        type: 'rate-limited',
+        message: 'API rate limit exceeded',
+        statusCode: error.status ?? 429,
+        details: error.resetsAt
+          ? `${error.message}. Requests resume after ${error.resetsAt.toLocaleTimeString()}.`
+          : error.message,
+      });
+    } else if (error instanceof StravaNotFoundError) {
+      // A deleted or hidden activity says nothing about the API being unhealthy
+      return;
     } else if (error) {
-      if (error.status === 429 || error.message.includes('rate') || error.message.includes('429')) {
-        setApiStatus('rate-limited');
-        setApiStatusDetails({
-          type: 'rate-limited',
-          message: 'API rate limit exceeded',
-          statusCode: error.status,
-          details: error.message,
-        });
-      } else {
-        setApiStatus('error');
-        setApiStatusDetails({
-          type: 'error',
-          message: error.message || 'Unknown API error',
-          statusCode: error.status || 'Unknown',
-          details: `${error.status ? `HTTP ${error.status}: ` : ''}${error.message || 'Unknown error occurred'}`,
-        });
-      }
+      setApiStatus('error');
+      setApiStatusDetails({
+        type: 'error',
+        message: error.message || 'Unknown API error',
+        statusCode: error.status || 'Unknown',
+        details: `${error.status ? `HTTP ${error.status}: ` : ''}${error.message || 'Unknown error occurred'}${
+          error instanceof StravaError && error.endpoint ? ` (${error.endpoint})` : ''
+        }`,
+      });
+    }
+  };
+
+  // Persist tokens renewed by StravaAPI so the session survives past the 6-hour access token lifetime
+  const handleTokenRefresh = (tokenData) => {
+    console.log('App: Storing refreshed Strava tokens', {
+      expiresAt: tokenData.expires_at ? new Date(tokenData.expires_at * 1000).toISOString() : 'unknown',
+    });
+    setAccessToken(tokenData.access_token);
+    if (tokenData.refresh_token) {
+      setRefreshToken(tokenData.refresh_token);
     }
+    setTokenExpiresAt(tokenData.expires_at || null);
   };
 
-  // Initialize smart cache when access token is available
+  // Options for StravaAPI clients created outside the smart cache
+  const getApiOptions = () =>
+    isProxied ? { proxied: true } : { refreshToken, expiresAt: tokenExpiresAt, onTokenRefresh: handleTokenRefresh };
+
+  // Initialize smart cache when connected to Strava
   useEffect(() => {
-    if (accessToken && !smartCache) {
+    if (isConnected && !smartCache) {
       console.log('App: Initializing shared smart cache');
       const initializeSmartCache = async () => {
         try {
-          const cache = new SmartActivityCache(accessToken, updateApiStatus);
+          const cache = new SmartActivityCache(isProxied ? null : accessToken, updateApiStatus, getApiOptions());
           await cache.database.initPromise;
           setSmartCache(cache);
           console.log('App: Shared smart cache initialized');
@@ -74,11 +131,34 @@ function App() {
         }
       };
       initializeSmartCache();
-    } else if (!accessToken && smartCache) {
+    } else if (!isConnected && smartCache) {
       console.log('App: Clearing shared smart cache');
       setSmartCache(null);
     }
-  }, [accessToken, smartCache, updateApiStatus]);
+  }, [isConnected, smartCache, updateApiStatus]);
+
+  // Replay edits queued while offline or rate-limited once Strava is reachable again
+  useEffect(() => {
+    if (!smartCache) return;
+
+    const flushOutbox = () =>
+      smartCache.outbox.flush().catch((error) => {
+        console.warn('App: Failed to replay queued edits', { error: error.message });
+      });
+
+    if (apiStatus === 'available') {
+      flushOutbox();
+    }
+    window.addEventListener('online', flushOutbox);
+    return () => window.removeEventListener('online', flushOutbox);
+  }, [smartCache, apiStatus]);
+
+  // Keep the shared cache on the latest tokens when they are refreshed outside of it
+  useEffect(() => {
+    if (smartCache && accessToken) {
+      smartCache.updateTokens({ accessToken, refreshToken, expiresAt: tokenExpiresAt });
+    }
+  }, [smartCache, accessToken, refreshToken, tokenExpiresAt]);
 
   useEffect(() => {
     const handleAuthFlow = async () => {
@@ -86,6 +166,7 @@ function App() {
       const urlParams = new URLSearchParams(window.location.search);
       const code = urlParams.get('code');
       const state = urlParams.get('state');
+      const scope = urlParams.get('scope');
       const error = urlParams.get('error');
 
       if (error) {
@@ -96,9 +177,18 @@ function App() {
         return;
       }
 
-      if (code && state === 'strava_auth') {
+      if (code) {
+        // Only accept callbacks for a login this tab started (login CSRF / replayed links)
+        const stravaAPI = new StravaAPI(null, { proxied: isProxied });
+        if (!stravaAPI.verifyAuthState(state)) {
+          toast.error('Authentication failed: this sign-in link is invalid or was already used. Please connect again.');
+          window.history.replaceState({}, document.title, window.location.pathname);
+          await validateStoredToken();
+          return;
+        }
+
         // Exchange code for tokens using backend
-        await handleTokenExchange(code);
+        await handleTokenExchange(code, state, scope);
       } else {
         // If we have a stored token, validate it
         await validateStoredToken();
@@ -109,10 +199,61 @@ function App() {
     setTimeout(handleAuthFlow, 100);
   }, []); // Keep empty dependency array but use async function inside
 
+  const validateSession = async () => {
+    // Tokens left over from direct mode must not linger in the browser
+    if (localStorage.getItem('strava-access-token') || localStorage.getItem('strava-refresh-token')) {
+      console.log('validateSession: Removing browser-held tokens, the backend session is used instead');
+      setAccessToken(null);
+      setRefreshToken(null);
+      setTokenExpiresAt(null);
+    }
+
+    const storedSessionFlag = localStorage.getItem('strava-session-active');
+    const hadSession = storedSessionFlag ? JSON.parse(storedSessionFlag) : false;
+
+    try {
+      const stravaAPI = new StravaAPI(null, { proxied: true });
+      const session = await stravaAPI.getSession();
+
+      console.log('validateSession: Session status received', {
+        authenticated: session.authenticated,
+        athleteId: session.athlete?.id,
+        expiresAt: session.expires_at ? new Date(session.expires_at * 1000).toISOString() : 'unknown',
+      });
+
+      if (session.authenticated) {
+        setHasSession(true);
+        if (session.scope) {
+          setGrantedScope(session.scope);
+        }
+      } else if (hadSession) {
+        console.log('validateSession: Backend session is gone, clearing authentication state');
+        setHasSession(false);
+        setIsAuthenticated(false);
+        toast.error('Your Strava session has expired. Please sign in again.');
+      }
+    } catch (error) {
+      // Keep the current state; cached data stays usable and API calls will report the outage
+      console.warn('validateSession: Backend session check failed', {
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const validateStoredToken = async () => {
+    if (isProxied) {
+      await validateSession();
+      return;
+    }
+
     // Get the current token from localStorage, not from closure
     const currentToken = localStorage.getItem('strava-access-token');
     const parsedToken = currentToken ? JSON.parse(currentToken) : null;
+    const storedRefreshToken = localStorage.getItem('strava-refresh-token');
+    const storedExpiresAt = localStorage.getItem('strava-token-expires-at');
 
     if (!parsedToken) {
       console.log('validateStoredToken: No access token found, skipping validation');
@@ -138,8 +279,12 @@ function App() {
     console.log('validateStoredToken: Starting token validation with stored token');
 
     try {
-      // Try to make a simple API call to validate the token
-      const stravaAPI = new StravaAPI(parsedToken);
+      // Try to make a simple API call to validate the token (expired tokens are refreshed on the way)
+      const stravaAPI = new StravaAPI(parsedToken, {
+        refreshToken: storedRefreshToken ? JSON.parse(storedRefreshToken) : null,
+        expiresAt: storedExpiresAt ? JSON.parse(storedExpiresAt) : null,
+        onTokenRefresh: handleTokenRefresh,
+      });
       const athlete = await stravaAPI.getAthlete();
       // Token is valid, keep authentication state
       console.log('validateStoredToken: Token validation successful', {
@@ -156,16 +301,25 @@ function App() {
         timestamp: new Date().toISOString(),
       });
 
+      // Only a rejected token means signing in again; outages and rate limits keep the session
+      if (!(error instanceof StravaAuthError)) {
+        updateApiStatus(false, error);
+        setIsLoading(false);
+        return;
+      }
+
       // Token is invalid, clear authentication state
       console.log('validateStoredToken: Clearing invalid authentication state');
       setIsAuthenticated(false);
       setAccessToken(null);
+      setRefreshToken(null);
+      setTokenExpiresAt(null);
       toast.error('Your Strava session has expired. Please sign in again.');
       setIsLoading(false);
     }
   };
 
-  const handleTokenExchange = async (code) => {
+  const handleTokenExchange = async (code, state, scope) => {
     console.log('handleTokenExchange: Starting OAuth token exchange', {
       codeLength: code ? code.length : 0,
       hasCode: !!code,
@@ -173,8 +327,10 @@ function App() {
     });
 
     try {
-      const stravaAPI = new StravaAPI();
-      const tokenData = await stravaAPI.exchangeCodeForToken(code);
+      const stravaAPI = new StravaAPI(null, { proxied: isProxied });
+      const tokenData = await stravaAPI.exchangeCodeForToken(code, state, scope);
+      // The stored profile may be another athlete's
+      await SmartActivityCache.clearAthleteProfile();
 
       console.log('handleTokenExchange: Token exchange successful', {
         hasAccessToken: !!tokenData.access_token,
@@ -184,14 +340,18 @@ function App() {
         expiresAt: tokenData.expires_at ? new Date(tokenData.expires_at * 1000).toISOString() : 'unknown',
       });
 
-      // Store token and mark as authenticated
-      setAccessToken(tokenData.access_token);
+      // Store tokens (or note the backend session) and mark as authenticated
+      if (isProxied) {
+        setHasSession(true);
+      } else {
+        setAccessToken(tokenData.access_token);
+        setRefreshToken(tokenData.refresh_token || null);
+        setTokenExpiresAt(tokenData.expires_at || null);
+      }
+      setGrantedScope(tokenData.scope || scope || null);
       setIsAuthenticated(true);
 
       toast.success('Successfully connected to Strava!');
-
-      // Clean up URL
-      window.history.replaceState({}, document.title, window.location.pathname);
     } catch (error) {
       console.error('handleTokenExchange: Authentication failed', {
         error: error.message,
@@ -201,82 +361,172 @@ function App() {
         timestamp: new Date().toISOString(),
         stack: error.stack,
       });
-      toast.error('Authentication failed: ' + error.message);
+      if (error instanceof BackendUnavailableError) {
+        toast.error('Authentication server is unavailable. Please check that it is running and try again.');
+      } else {
+        toast.error('Authentication failed: ' + error.message);
+      }
     } finally {
+      // Clean up URL - the code and state are single-use, so never leave them around for a reload
+      window.history.replaceState({}, document.title, window.location.pathname);
       setIsLoading(false);
     }
   };
 
+  // Send the athlete back through Strava's consent screen asking for private activities too
+  // (and for edit access when they opt in to editing from the viewer), keeping the scopes already granted
+  const handleScopeUpgrade = async (scopes = FULL_ACCESS_SCOPES) => {
+    try {
+      await new StravaAPI(null, { proxied: isProxied }).startAuthorization({
+        scopes: mergeScopes(parseScopes(grantedScope), scopes),
+        forcePrompt: true,
+      });
+    } catch (error) {
+      console.error('handleScopeUpgrade: Failed to start re-authorization', { error: error.message });
+      toast.error(`Connection Error: ${error.message}`);
+    }
+  };
+
   const handleAuthSuccess = () => {
     setIsAuthenticated(true);
     toast.success('Welcome to Strava Connect!');
   };
 
-  // Monitor API status with intelligent frequency
-  useEffect(() => {
-    if (!accessToken) return;
-
-    const checkApiStatus = async () => {
-      const now = Date.now();
-      const fifteenMinutes = 15 * 60 * 1000; // 15 minutes in milliseconds
+  // Pull Strava webhook events queued by the backend so new, edited and deleted activities
+  // reach the cache without re-listing activities from Strava
+  const syncWebhookEvents = async () => {
+    if (!smartCache) return;
 
-      // Only make a test call if it's been more than 15 minutes since last API activity
-      if (lastApiActivity && now - lastApiActivity < fifteenMinutes) {
-        console.log('API status check: Skipping test call, recent activity detected', {
-          timeSinceLastActivity: Math.round((now - lastApiActivity) / 1000 / 60),
-          minutesUntilNextCheck: Math.round((fifteenMinutes - (now - lastApiActivity)) / 1000 / 60),
-        });
-        return;
-      }
-
-      console.log('API status check: Making test call to verify API status');
-      try {
-        const api = new StravaAPI(accessToken);
-        // Try a lightweight API call to check status
-        await api.getAthlete();
-        updateApiStatus(true);
-      } catch (error) {
-        console.error('API status check failed:', error);
-        updateApiStatus(false, error);
+    try {
+      const result = await smartCache.syncWebhookEvents();
+      if (result.deauthorized) {
+        console.log('App: Athlete revoked access on Strava, signing out');
+        clearAuthentication();
+        toast.error('Access to Strava was revoked. Please connect again.');
       }
-    };
+    } catch (error) {
+      console.warn('App: Webhook event sync failed', { error: error.message });
+    }
+  };
 
-    // Check status immediately and then every 5 minutes (but actual calls limited by 15-minute rule)
-    checkApiStatus();
-    const interval = setInterval(checkApiStatus, 5 * 60 * 1000); // Check every 5 minutes
+  // API status as seen by the backend proxy, shared by every open tab
+  const handleServerApiStatus = ({ status, statusCode, message }) => {
+    setApiStatus(status);
+    setApiStatusDetails(
+      status === 'available'
+        ? null
+        : {
+            type: status,
+            message,
+            statusCode,
+            details: statusCode ? `HTTP ${statusCode}: ${message}` : message,
+          },
+    );
+  };
 
-    return () => clearInterval(interval);
-  }, [accessToken, lastApiActivity]);
+  // Live updates from the backend instead of polling Strava
+  useServerEvents(isConnected && !!smartCache, {
+    'api-status': handleServerApiStatus,
+    ratelimit: (snapshot) => rateLimitBudget.updateFromSnapshot(snapshot),
+    webhook: () => syncWebhookEvents(),
+    activity: (activity) => smartCache?.applyActivityUpdate(activity),
+    // Catch up on events queued while the stream was closed
+    onOpen: () => syncWebhookEvents(),
+  });
 
-  const handleLogout = () => {
-    console.log('handleLogout: User logout initiated', {
+  const clearAuthentication = () => {
+    console.log('clearAuthentication: Clearing authentication state', {
       wasAuthenticated: isAuthenticated,
       hadToken: !!accessToken,
+      hadSession: hasSession,
       timestamp: new Date().toISOString(),
     });
 
+    if (isProxied && hasSession) {
+      new StravaAPI(null, { proxied: true }).logout().catch((error) => {
+        console.warn('clearAuthentication: Failed to clear backend session', { error: error.message });
+      });
+    }
+
     setIsAuthenticated(false);
+    setHasSession(false);
     setAccessToken(null);
+    setRefreshToken(null);
+    setTokenExpiresAt(null);
+    setGrantedScope(null);
     // Clear any stored data
     localStorage.clear();
+    SmartActivityCache.clearAthleteProfile();
 
-    console.log('handleLogout: Authentication state cleared');
+    console.log('clearAuthentication: Authentication state cleared');
+  };
+
+  const handleLogout = () => {
+    console.log('handleLogout: User logout initiated');
+    clearAuthentication();
     toast.success('Successfully logged out');
   };
 
+  const { savedSearches, counts: savedSearchCounts } = useSavedSearches(smartCache);
+
+  // Paths no route knows show the default module; put that in the address bar too
+  useEffect(() => {
+    if (!route.known) {
+      console.log('App: Unknown path, showing the default module', { pathname: location.pathname });
+      navigate(modulePath(DEFAULT_MODULE), { replace: true });
+    }
+  }, [route.known, location.pathname]);
+
+  const handleModuleChange = (module) => {
+    navigate(modulePath(module));
+  };
+
+  const handleSavedSearchSelect = (savedSearch) => {
+    console.log('handleSavedSearchSelect: Opening saved search', { id: savedSearch.id, name: savedSearch.name });
+    navigate(
+      notesUrl({
+        query: savedSearch.query,
+        dateRange: deserializeDateRange(savedSearch.date_range),
+        units: savedSearch.units,
+      }),
+    );
+  };
+
+  const canWriteActivities = isConnected && hasScope(parseScopes(grantedScope), WRITE_SCOPE);
+
   const renderCurrentModule = () => {
     switch (currentModule) {
       case 'private-notes':
         return (
-          <PrivateNotesViewer accessToken={accessToken} smartCache={smartCache} updateApiStatus={updateApiStatus} />
+          <PrivateNotesViewer
+            isConnected={isConnected}
+            smartCache={smartCache}
+            updateApiStatus={updateApiStatus}
+            canWrite={canWriteActivities}
+            onRequestWriteAccess={() => handleScopeUpgrade(WRITE_ACCESS_SCOPES)}
+            activityId={route.activityId}
+            savedSearches={savedSearches}
+          />
         );
       case 'weekly-mileage':
         return (
-          <WeeklyMileageTracker accessToken={accessToken} smartCache={smartCache} updateApiStatus={updateApiStatus} />
+          <WeeklyMileageTracker isConnected={isConnected} smartCache={smartCache} updateApiStatus={updateApiStatus} />
         );
+      case 'athlete-stats':
+        return <AthleteStats isConnected={isConnected} smartCache={smartCache} />;
+      case 'gear':
+        return <GearPanel isConnected={isConnected} smartCache={smartCache} />;
       default:
         return (
-          <PrivateNotesViewer accessToken={accessToken} smartCache={smartCache} updateApiStatus={updateApiStatus} />
+          <PrivateNotesViewer
+            isConnected={isConnected}
+            smartCache={smartCache}
+            updateApiStatus={updateApiStatus}
+            canWrite={canWriteActivities}
+            onRequestWriteAccess={() => handleScopeUpgrade(WRITE_ACCESS_SCOPES)}
+            activityId={route.activityId}
+            savedSearches={savedSearches}
+          />
         );
     }
   };
@@ -295,9 +545,14 @@ function App() {
         <MainLayout
           onLogout={handleLogout}
           currentModule={currentModule}
-          onModuleChange={setCurrentModule}
+          onModuleChange={handleModuleChange}
           apiStatus={apiStatus}
           apiStatusDetails={apiStatusDetails}
+          grantedScopes={isConnected ? parseScopes(grantedScope) : null}
+          onUpgradeScopes={() => handleScopeUpgrade()}
+          savedSearches={savedSearches}
+          savedSearchCounts={savedSearchCounts}
+          onSavedSearchSelect={handleSavedSearchSelect}
         >
           {renderCurrentModule()}
         </MainLayout>
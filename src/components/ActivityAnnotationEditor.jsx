@@ -0,0 +1,236 @@
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  EMPTY_ANNOTATION,
+  MAX_RATING,
+  RPE_SCALE,
+  activityAnnotations,
+  normalizeTags,
+} from '@/lib/activity-annotations';
+import { Save, Star, Tag, Trash2 } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { toast } from 'sonner';
+
+const RATING_VALUES = Array.from({ length: MAX_RATING }, (_, index) => index + 1);
+
+// Clicks inside the popover must not open the card or row it sits on (React events bubble through portals)
+const stopPropagation = (event) => event.stopPropagation();
+
+const toDraft = (annotation) => ({
+  tags: (annotation?.tags || []).join(', '),
+  rating: annotation?.rating || null,
+  rpe: annotation?.rpe || null,
+  follow_up: annotation?.follow_up || '',
+});
+
+/**
+ * Stars, RPE and tags of an annotation in one line (nothing for an activity without one)
+ */
+export function AnnotationSummary({ annotation, className = '' }) {
+  if (!annotation) return null;
+
+  return (
+    <div className={`flex items-center gap-1 flex-wrap ${className}`}>
+      {annotation.rating > 0 && (
+        <span className="flex items-center text-yellow-500" title={`${annotation.rating} of ${MAX_RATING} stars`}>
+          {RATING_VALUES.filter((value) => value <= annotation.rating).map((value) => (
+            <Star key={value} className="h-3 w-3 fill-current" />
+          ))}
+        </span>
+      )}
+      {annotation.rpe > 0 && (
+        <Badge variant="outline" className="text-xs">
+          RPE {annotation.rpe}
+        </Badge>
+      )}
+      {annotation.tags?.map((tag) => (
+        <Badge key={tag} variant="secondary" className="text-xs">
+          #{tag}
+        </Badge>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Form for the athlete's local tags, rating, RPE and follow-up on one activity
+ * These stay on this device and are never written to the Strava activity.
+ */
+export function ActivityAnnotationEditor({ activityId, onSaved }) {
+  const [draft, setDraft] = useState(() => toDraft(activityAnnotations.get(activityId)));
+  const [isSaving, setIsSaving] = useState(false);
+  const knownTags = activityAnnotations.getTagCounts().map(({ tag }) => tag);
+  const draftTags = normalizeTags(draft.tags);
+
+  useEffect(() => {
+    let isCurrent = true;
+    activityAnnotations.load().then(() => {
+      if (isCurrent) setDraft(toDraft(activityAnnotations.get(activityId)));
+    });
+    return () => {
+      isCurrent = false;
+    };
+  }, [activityId]);
+
+  const save = async (changes) => {
+    setIsSaving(true);
+    try {
+      const saved = await activityAnnotations.update(activityId, changes);
+      setDraft(toDraft(saved));
+      toast.success(saved ? 'Annotation saved' : 'Annotation cleared');
+      onSaved?.(saved);
+    } catch (error) {
+      console.error('ActivityAnnotationEditor: Failed to save annotation', { activityId, error });
+      toast.error(`Failed to save annotation: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const addTag = (tag) => setDraft((current) => ({ ...current, tags: [...draftTags, tag].join(', ') }));
+
+  return (
+    <div className="space-y-3">
+      <div className="space-y-1">
+        <Label>Rating</Label>
+        <div className="flex items-center gap-1">
+          {RATING_VALUES.map((value) => (
+            <button
+              key={value}
+              type="button"
+              aria-label={`${value} star${value === 1 ? '' : 's'}`}
+              className="text-yellow-500 disabled:opacity-50"
+              disabled={isSaving}
+              // Clicking the current rating again clears it
+              onClick={() => setDraft((current) => ({ ...current, rating: current.rating === value ? null : value }))}
+            >
+              <Star className={`h-5 w-5 ${draft.rating >= value ? 'fill-current' : ''}`} />
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-1">
+        <Label>Perceived exertion (RPE)</Label>
+        <Select
+          value={draft.rpe ? String(draft.rpe) : 'none'}
+          onValueChange={(value) =>
+            setDraft((current) => ({ ...current, rpe: value === 'none' ? null : Number(value) }))
+          }
+          disabled={isSaving}
+        >
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="none">Not set</SelectItem>
+            {RPE_SCALE.map((step) => (
+              <SelectItem key={step.value} value={String(step.value)}>
+                {step.value} - {step.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <div className="space-y-1">
+        <Label htmlFor={`annotation-tags-${activityId}`}>Tags</Label>
+        <Input
+          id={`annotation-tags-${activityId}`}
+          placeholder="tempo, race, new-shoes"
+          value={draft.tags}
+          onChange={(event) => setDraft((current) => ({ ...current, tags: event.target.value }))}
+          disabled={isSaving}
+        />
+        {knownTags.some((tag) => !draftTags.includes(tag)) && (
+          <div className="flex flex-wrap gap-1">
+            {knownTags
+              .filter((tag) => !draftTags.includes(tag))
+              .slice(0, 8)
+              .map((tag) => (
+                <Badge key={tag} variant="outline" className="text-xs cursor-pointer" onClick={() => addTag(tag)}>
+                  +{tag}
+                </Badge>
+              ))}
+          </div>
+        )}
+      </div>
+
+      <div className="space-y-1">
+        <Label htmlFor={`annotation-follow-up-${activityId}`}>Follow-up</Label>
+        <Textarea
+          id={`annotation-follow-up-${activityId}`}
+          placeholder="e.g. Check left knee after next long run"
+          value={draft.follow_up}
+          onChange={(event) => setDraft((current) => ({ ...current, follow_up: event.target.value }))}
+          disabled={isSaving}
+          rows={3}
+        />
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <Button variant="outline" size="sm" onClick={() => save(EMPTY_ANNOTATION)} disabled={isSaving}>
+          <Trash2 className="h-4 w-4 mr-1" />
+          Clear
+        </Button>
+        <Button size="sm" onClick={() => save(draft)} disabled={isSaving}>
+          <Save className="h-4 w-4 mr-1" />
+          {isSaving ? 'Saving...' : 'Save'}
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Annotation button for activity cards and table rows, opening the editor in a popover
+ */
+export function AnnotationPopover({ activity, annotation }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <Popover open={isOpen} onOpenChange={setIsOpen}>
+      <PopoverTrigger asChild>
+        <Button
+          variant="ghost"
+          size="sm"
+          className="h-7 px-2 text-xs text-muted-foreground"
+          onClick={stopPropagation}
+          title="Annotate (stays on this device)"
+        >
+          <Tag className="h-3 w-3 mr-1" />
+          {annotation ? 'Edit' : 'Annotate'}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-80" align="end" onClick={stopPropagation}>
+        <ActivityAnnotationEditor activityId={activity.id} onSaved={() => setIsOpen(false)} />
+      </PopoverContent>
+    </Popover>
+  );
+}
+
+/**
+ * Annotation card of the activity detail view
+ */
+export function ActivityAnnotationsCard({ activity }) {
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <CardTitle className="text-lg flex items-center gap-2">
+          <Tag className="h-5 w-5 text-primary" />
+          Your Annotations
+        </CardTitle>
+        <p className="text-xs text-muted-foreground">Only stored on this device - never sent to Strava</p>
+      </CardHeader>
+      <CardContent>
+        <ActivityAnnotationEditor activityId={activity.id} />
+      </CardContent>
+    </Card>
+  );
+}
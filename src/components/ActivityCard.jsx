@@ -1,10 +1,13 @@
+import { AnnotationPopover, AnnotationSummary } from '@/components/ActivityAnnotationEditor';
+import { HighlightedText } from '@/components/HighlightedText';
 import { Badge } from '@/components/ui/badge';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { formatDistance, formatDuration, formatElevation, formatPace } from '@/lib/strava-api';
+import { buildSnippet } from '@/lib/text-search';
 import { format } from 'date-fns';
 import { Calendar, Clock, MapPin, TrendingUp } from 'lucide-react';
 
-export function ActivityCard({ activity, onClick, units = 'metric' }) {
+export function ActivityCard({ activity, annotation, searchTokens = [], onClick, units = 'metric' }) {
   const getActivityIcon = (type) => {
     switch (type.toLowerCase()) {
       case 'run':
@@ -48,7 +51,9 @@ export function ActivityCard({ activity, onClick, units = 'metric' }) {
           <div className="flex items-center gap-3">
             <span className="text-2xl">{getActivityIcon(activity.type)}</span>
             <div>
-              <CardTitle className="text-lg font-semibold line-clamp-1">{activity.name}</CardTitle>
+              <CardTitle className="text-lg font-semibold line-clamp-1">
+                <HighlightedText text={activity.name} queryTokens={searchTokens} />
+              </CardTitle>
               <div className="flex items-center gap-2 mt-1">
                 <Calendar className="h-4 w-4 text-muted-foreground" />
                 <span className="text-sm text-muted-foreground">
@@ -107,13 +112,20 @@ export function ActivityCard({ activity, onClick, units = 'metric' }) {
               <span className="text-xs font-medium text-blue-700 dark:text-blue-300">Private Notes</span>
             </div>
             <p className="text-xs text-blue-900 dark:text-blue-100 line-clamp-2">
-              {activity.private_note
-                ? activity.private_note.length > 80
-                  ? `${activity.private_note.substring(0, 80)}...`
-                  : activity.private_note
-                : 'N/A'}
+              <HighlightedText text={activity.private_note} queryTokens={searchTokens} maxLength={80} fallback="N/A" />
             </p>
           </div>
+          {buildSnippet(activity.description, searchTokens) && (
+            <p className="mt-2 text-xs text-muted-foreground line-clamp-2">
+              <HighlightedText text={activity.description} queryTokens={searchTokens} maxLength={80} />
+            </p>
+          )}
+        </div>
+
+        {/* Local annotations */}
+        <div className="flex items-center justify-between gap-2 mt-3">
+          <AnnotationSummary annotation={annotation} />
+          <AnnotationPopover activity={activity} annotation={annotation} />
         </div>
 
         {activity.achievement_count > 0 && (
@@ -1,45 +1,149 @@
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Checkbox } from '@/components/ui/checkbox';
 import { DateRangePicker } from '@/components/ui/date-range-picker';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
 import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Textarea } from '@/components/ui/textarea';
+import { MAX_RATING } from '@/lib/activity-annotations';
+import { DEFAULT_FILTERS } from '@/lib/activity-query';
+import { TEXT_MATCH_MODE, formatSynonymGroups, parseSynonymGroups } from '@/lib/text-search';
 import { format } from 'date-fns';
-import { X } from 'lucide-react';
+import { AlertCircle, BookmarkPlus, Search, Settings2, X } from 'lucide-react';
 import { useState } from 'react';
 
+const RATING_OPTIONS = Array.from({ length: MAX_RATING }, (_, index) => index + 1);
+
+const MATCH_MODE_OPTIONS = [
+  { value: TEXT_MATCH_MODE.ALL, label: 'All words' },
+  { value: TEXT_MATCH_MODE.ANY, label: 'Any word' },
+  { value: TEXT_MATCH_MODE.EXACT, label: 'Exact phrase' },
+];
+
+/**
+ * Synonym groups, one per line, edited as text and saved on demand
+ */
+function SynonymsEditor({ synonyms, onSave }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState('');
+
+  const handleOpenChange = (open) => {
+    if (open) setDraft(formatSynonymGroups(synonyms));
+    setIsOpen(open);
+  };
+
+  const handleSave = () => {
+    onSave(parseSynonymGroups(draft));
+    setIsOpen(false);
+  };
+
+  return (
+    <Popover open={isOpen} onOpenChange={handleOpenChange}>
+      <PopoverTrigger asChild>
+        <Button variant="outline" size="sm" className="h-8">
+          <Settings2 className="h-3 w-3 mr-1" />
+          Synonyms ({synonyms.length})
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="start" className="w-80 space-y-3">
+        <div className="space-y-1">
+          <label htmlFor="search-synonyms" className="text-sm font-medium">
+            Synonyms
+          </label>
+          <p className="text-xs text-muted-foreground">
+            One group per line, words separated by commas. Searching for any word in a group finds the others.
+          </p>
+        </div>
+        <Textarea
+          id="search-synonyms"
+          rows={6}
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder="hammy, hamstring"
+          className="font-mono text-xs"
+        />
+        <div className="flex justify-end gap-2">
+          <Button variant="outline" size="sm" onClick={() => setIsOpen(false)}>
+            Cancel
+          </Button>
+          <Button size="sm" onClick={handleSave}>
+            Save
+          </Button>
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+}
+
+const QUERY_EXAMPLE = 'type:run distance>10km note:"shin" -title:commute date:2024-03..2024-06 has:note';
+
+/**
+ * The filter query bar and the form fields that read and write it
+ * Form fields show the query's clauses; changing one rewrites its clause and leaves the rest of the query as typed.
+ */
 export function ActivityFilters({
   filters,
   onFiltersChange,
+  query = '',
+  onQueryChange,
+  queryErrors = [],
+  clauseCount = 0,
   onDateRangeChange,
   dateRange,
   availableActivityTypes = [],
+  availableTags = [],
+  textMatch,
+  onTextMatchChange,
+  onSaveSearch,
+  savedSearchName = '',
 }) {
+  const [isSaveDialogOpen, setIsSaveDialogOpen] = useState(false);
+  const [saveName, setSaveName] = useState('');
+
   const handleFilterChange = (key, value) => {
     const newFilters = { ...filters, [key]: value };
     onFiltersChange(newFilters);
   };
 
+  const clearFilter = (key) => {
+    handleFilterChange(key, DEFAULT_FILTERS[key]);
+  };
+
   const clearFilters = () => {
-    const clearedFilters = {
-      activityType: 'all',
-      minDistance: '',
-      maxDistance: '',
-      titleKeywords: '',
-      notesKeywords: '',
-    };
-    onFiltersChange(clearedFilters);
+    onQueryChange('');
   };
 
   const clearDateRange = () => {
     onDateRangeChange({ from: null, to: null });
   };
 
-  const activeFilterCount = Object.entries(filters).filter(
-    ([key, value]) => value && value.toString().trim() !== '' && !(key === 'activityType' && value === 'all'),
-  ).length;
+  // Every clause counts, including the ones the form fields can't show (e.g. "-title:commute")
+  const activeFilterCount = clauseCount;
   const hasDateRange = dateRange && (dateRange.from || dateRange.to);
 
+  const openSaveDialog = () => {
+    setSaveName(savedSearchName);
+    setIsSaveDialogOpen(true);
+  };
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    if (!saveName.trim()) return;
+    onSaveSearch(saveName.trim());
+    setIsSaveDialogOpen(false);
+  };
+
   return (
     <Card className="mb-4">
       <CardHeader className="pb-3">
@@ -51,6 +155,12 @@ export function ActivityFilters({
                 {activeFilterCount + (hasDateRange ? 1 : 0)} active
               </Badge>
             )}
+            {onSaveSearch && (activeFilterCount > 0 || hasDateRange) && (
+              <Button variant="outline" size="sm" onClick={openSaveDialog} disabled={queryErrors.length > 0}>
+                <BookmarkPlus className="h-3 w-3 mr-1" />
+                Save
+              </Button>
+            )}
             {(activeFilterCount > 0 || hasDateRange) && (
               <Button
                 variant="outline"
@@ -68,6 +178,76 @@ export function ActivityFilters({
         </div>
       </CardHeader>
       <CardContent className="space-y-4">
+        {/* Filter query - plain words search names, notes and descriptions */}
+        <div className="space-y-2">
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground" />
+            <Input
+              type="search"
+              aria-label="Filter query"
+              aria-invalid={queryErrors.length > 0}
+              placeholder="Search, or filter like type:run distance>10km has:note"
+              value={query}
+              onChange={(e) => onQueryChange(e.target.value)}
+              className={`pl-9 font-mono text-sm ${queryErrors.length > 0 ? 'border-destructive focus-visible:ring-destructive' : ''}`}
+              spellCheck={false}
+            />
+          </div>
+          {queryErrors.length > 0 ? (
+            <ul className="space-y-1">
+              {queryErrors.map((error) => (
+                <li key={error.start} className="flex items-start gap-1.5 text-xs text-destructive">
+                  <AlertCircle className="h-3.5 w-3.5 mt-0.5 shrink-0" />
+                  <span>
+                    <code className="rounded bg-destructive/10 px-1">{query.slice(error.start, error.end)}</code>{' '}
+                    (column {error.start + 1}): {error.message}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-xs text-muted-foreground">
+              Fields: type, title, note, desc, tag, label, has, distance, elevation, time, rating, rpe, date. Prefix a
+              clause with - to exclude it, e.g. <code>{QUERY_EXAMPLE}</code>
+            </p>
+          )}
+
+          {/* How the query's words match names, notes and descriptions */}
+          {textMatch && onTextMatchChange && (
+            <div className="flex flex-wrap items-center gap-4">
+              <div className="flex items-center gap-2">
+                <label htmlFor="filter-match-mode" className="text-xs text-muted-foreground">
+                  Match
+                </label>
+                <Select value={textMatch.mode} onValueChange={(mode) => onTextMatchChange({ mode })}>
+                  <SelectTrigger id="filter-match-mode" className="h-8 w-36 text-xs">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {MATCH_MODE_OPTIONS.map((option) => (
+                      <SelectItem key={option.value} value={option.value}>
+                        {option.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="flex items-center gap-2">
+                <Checkbox
+                  id="filter-fuzzy"
+                  checked={textMatch.fuzzy}
+                  disabled={textMatch.mode === TEXT_MATCH_MODE.EXACT}
+                  onCheckedChange={(checked) => onTextMatchChange({ fuzzy: checked === true })}
+                />
+                <Label htmlFor="filter-fuzzy" className="text-xs font-normal">
+                  Tolerate typos
+                </Label>
+              </div>
+              <SynonymsEditor synonyms={textMatch.synonyms} onSave={(synonyms) => onTextMatchChange({ synonyms })} />
+            </div>
+          )}
+        </div>
+
         {/* Date Range Filter */}
         <div className="space-y-2">
           <label className="text-sm font-medium">Date Range</label>
@@ -86,7 +266,11 @@ export function ActivityFilters({
           <div className="space-y-2">
             <label className="text-sm font-medium">Activity Type</label>
             <Select
-              value={filters.activityType || 'all'}
+              value={
+                availableActivityTypes.find((type) => type.toLowerCase() === filters.activityType.toLowerCase()) ||
+                filters.activityType ||
+                'all'
+              }
               onValueChange={(value) => handleFilterChange('activityType', value)}
             >
               <SelectTrigger>
@@ -151,10 +335,102 @@ export function ActivityFilters({
           </div>
         </div>
 
+        {/* Local annotation filters */}
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+          <div className="space-y-2">
+            <label htmlFor="filter-annotation-tag" className="text-sm font-medium">
+              Tag
+            </label>
+            <Select
+              value={filters.annotationTag || 'all'}
+              onValueChange={(value) => handleFilterChange('annotationTag', value)}
+            >
+              <SelectTrigger id="filter-annotation-tag">
+                <SelectValue placeholder="Any tag" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">Any tag</SelectItem>
+                {availableTags.map(({ tag, count }) => (
+                  <SelectItem key={tag} value={tag}>
+                    #{tag} ({count})
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-2">
+            <label htmlFor="filter-min-rating" className="text-sm font-medium">
+              Min Rating
+            </label>
+            <Select
+              value={filters.minRating || 'all'}
+              onValueChange={(value) => handleFilterChange('minRating', value)}
+            >
+              <SelectTrigger id="filter-min-rating">
+                <SelectValue placeholder="Any rating" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">Any rating</SelectItem>
+                {RATING_OPTIONS.map((rating) => (
+                  <SelectItem key={rating} value={String(rating)}>
+                    {'★'.repeat(rating)} or more
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-2">
+            <label htmlFor="filter-min-rpe" className="text-sm font-medium">
+              Min RPE
+            </label>
+            <Input
+              id="filter-min-rpe"
+              type="number"
+              min="1"
+              max="10"
+              placeholder="1"
+              value={filters.minRpe || ''}
+              onChange={(e) => handleFilterChange('minRpe', e.target.value)}
+              className="text-sm"
+            />
+          </div>
+
+          <div className="space-y-2">
+            <label htmlFor="filter-max-rpe" className="text-sm font-medium">
+              Max RPE
+            </label>
+            <Input
+              id="filter-max-rpe"
+              type="number"
+              min="1"
+              max="10"
+              placeholder="10"
+              value={filters.maxRpe || ''}
+              onChange={(e) => handleFilterChange('maxRpe', e.target.value)}
+              className="text-sm"
+            />
+          </div>
+        </div>
+
         {(activeFilterCount > 0 || hasDateRange) && (
           <div className="pt-2 border-t">
             <div className="flex items-center gap-2 flex-wrap">
               <span className="text-sm font-medium text-muted-foreground">Active filters:</span>
+              {filters.search && (
+                <Badge variant="secondary" className="text-xs">
+                  Search: "{filters.search}"
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="ml-1 h-auto p-0 text-xs"
+                    onClick={() => clearFilter('search')}
+                  >
+                    <X className="h-3 w-3" />
+                  </Button>
+                </Badge>
+              )}
               {filters.activityType && filters.activityType !== 'all' && (
                 <Badge variant="secondary" className="text-xs">
                   Type: {filters.activityType}
@@ -162,7 +438,7 @@ export function ActivityFilters({
                     variant="ghost"
                     size="sm"
                     className="ml-1 h-auto p-0 text-xs"
-                    onClick={() => handleFilterChange('activityType', 'all')}
+                    onClick={() => clearFilter('activityType')}
                   >
                     <X className="h-3 w-3" />
                   </Button>
@@ -175,7 +451,7 @@ export function ActivityFilters({
                     variant="ghost"
                     size="sm"
                     className="ml-1 h-auto p-0 text-xs"
-                    onClick={() => handleFilterChange('minDistance', '')}
+                    onClick={() => clearFilter('minDistance')}
                   >
                     <X className="h-3 w-3" />
                   </Button>
@@ -188,7 +464,7 @@ export function ActivityFilters({
                     variant="ghost"
                     size="sm"
                     className="ml-1 h-auto p-0 text-xs"
-                    onClick={() => handleFilterChange('maxDistance', '')}
+                    onClick={() => clearFilter('maxDistance')}
                   >
                     <X className="h-3 w-3" />
                   </Button>
@@ -201,7 +477,7 @@ export function ActivityFilters({
                     variant="ghost"
                     size="sm"
                     className="ml-1 h-auto p-0 text-xs"
-                    onClick={() => handleFilterChange('titleKeywords', '')}
+                    onClick={() => clearFilter('titleKeywords')}
                   >
                     <X className="h-3 w-3" />
                   </Button>
@@ -214,7 +490,61 @@ export function ActivityFilters({
                     variant="ghost"
                     size="sm"
                     className="ml-1 h-auto p-0 text-xs"
-                    onClick={() => handleFilterChange('notesKeywords', '')}
+                    onClick={() => clearFilter('notesKeywords')}
+                  >
+                    <X className="h-3 w-3" />
+                  </Button>
+                </Badge>
+              )}
+              {filters.noteTag && filters.noteTag !== 'all' && (
+                <Badge variant="secondary" className="text-xs">
+                  Note tag: {filters.noteTag}
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="ml-1 h-auto p-0 text-xs"
+                    onClick={() => clearFilter('noteTag')}
+                  >
+                    <X className="h-3 w-3" />
+                  </Button>
+                </Badge>
+              )}
+              {filters.annotationTag && filters.annotationTag !== 'all' && (
+                <Badge variant="secondary" className="text-xs">
+                  Tag: #{filters.annotationTag}
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="ml-1 h-auto p-0 text-xs"
+                    onClick={() => clearFilter('annotationTag')}
+                  >
+                    <X className="h-3 w-3" />
+                  </Button>
+                </Badge>
+              )}
+              {filters.minRating && filters.minRating !== 'all' && (
+                <Badge variant="secondary" className="text-xs">
+                  Rating: {filters.minRating}+
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="ml-1 h-auto p-0 text-xs"
+                    onClick={() => clearFilter('minRating')}
+                  >
+                    <X className="h-3 w-3" />
+                  </Button>
+                </Badge>
+              )}
+              {(filters.minRpe || filters.maxRpe) && (
+                <Badge variant="secondary" className="text-xs">
+                  RPE: {filters.minRpe || 1} - {filters.maxRpe || 10}
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="ml-1 h-auto p-0 text-xs"
+                    onClick={() =>
+                      onFiltersChange({ ...filters, minRpe: DEFAULT_FILTERS.minRpe, maxRpe: DEFAULT_FILTERS.maxRpe })
+                    }
                   >
                     <X className="h-3 w-3" />
                   </Button>
@@ -233,6 +563,41 @@ export function ActivityFilters({
           </div>
         )}
       </CardContent>
+
+      <Dialog open={isSaveDialogOpen} onOpenChange={setIsSaveDialogOpen}>
+        <DialogContent>
+          <form onSubmit={handleSave} className="space-y-4">
+            <DialogHeader>
+              <DialogTitle>Save search</DialogTitle>
+              <DialogDescription>
+                The filters and date range show up in the sidebar under this name. Saving under an existing name
+                replaces that search.
+              </DialogDescription>
+            </DialogHeader>
+            <div className="space-y-2">
+              <label htmlFor="saved-search-name" className="text-sm font-medium">
+                Name
+              </label>
+              <Input
+                id="saved-search-name"
+                placeholder="e.g. Long runs with notes"
+                value={saveName}
+                onChange={(e) => setSaveName(e.target.value)}
+                autoFocus
+              />
+              {query && <code className="block text-xs text-muted-foreground break-all">{query}</code>}
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setIsSaveDialogOpen(false)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={!saveName.trim()}>
+                Save
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
     </Card>
   );
 }
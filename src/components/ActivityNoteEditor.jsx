@@ -0,0 +1,216 @@
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { useEditOutbox } from '@/hooks/use-edit-outbox';
+import { OUTBOX_STATUS } from '@/lib/edit-outbox';
+import { ActivityConflictError, StravaAuthError, StravaError } from '@/lib/strava-errors';
+import { AlertTriangle, Lock, Pencil, Save, X } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { toast } from 'sonner';
+
+const toDraft = (activity) => ({
+  name: activity?.name || '',
+  description: activity?.description || '',
+  private_note: activity?.private_note || '',
+});
+
+/**
+ * Private note card of the activity detail view, with an editor that saves name, description and note to Strava
+ * Editing needs the opt-in activity:write scope; without it the card offers to request it.
+ */
+export function ActivityNoteEditor({ activity, smartCache, isConnected, canWrite, onRequestWriteAccess }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [draft, setDraft] = useState(() => toDraft(activity));
+  // The activity as it was when editing started - what a remote change is detected against
+  const [base, setBase] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  const outboxEntries = useEditOutbox(smartCache);
+  const queuedEdit = outboxEntries.find(
+    (entry) =>
+      entry.activityId === String(activity?.id) &&
+      [OUTBOX_STATUS.PENDING, OUTBOX_STATUS.CONFLICTED, OUTBOX_STATUS.FAILED].includes(entry.status),
+  );
+
+  // Leave edit mode when another activity is opened
+  useEffect(() => {
+    setIsEditing(false);
+    setConflict(null);
+  }, [activity?.id]);
+
+  const startEditing = () => {
+    setDraft(toDraft(activity));
+    setBase(activity);
+    setConflict(null);
+    setIsEditing(true);
+  };
+
+  const cancelEditing = () => {
+    setIsEditing(false);
+    setConflict(null);
+  };
+
+  const save = async ({ force = false } = {}) => {
+    // Only send what changed, so an untouched field can't overwrite someone else's edit
+    const updates = Object.fromEntries(
+      Object.entries(draft).filter(([field, value]) => value !== (base?.[field] || '')),
+    );
+    if (Object.keys(updates).length === 0) {
+      setIsEditing(false);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      if (!force && smartCache.outbox.shouldQueue()) {
+        await queueEdit(updates);
+        return;
+      }
+
+      await smartCache.updateActivity(activity.id, updates, { base, force });
+      console.log('ActivityNoteEditor: Saved activity', { activityId: activity.id, fields: Object.keys(updates) });
+      toast.success('Saved to Strava');
+      setIsEditing(false);
+      setConflict(null);
+    } catch (error) {
+      if (error instanceof ActivityConflictError) {
+        setConflict({ remote: error.remote, fields: error.fields });
+        return;
+      }
+      // Offline, rate-limited or Strava down - keep the edit and send it later
+      if (error instanceof StravaError && error.isRetryable) {
+        await queueEdit(updates, { force });
+        return;
+      }
+
+      console.error('ActivityNoteEditor: Failed to save activity', {
+        activityId: activity.id,
+        error: error.message,
+        errorType: error.name,
+      });
+      if (error instanceof StravaAuthError || (error instanceof StravaError && error.status === 403)) {
+        toast.error('Strava did not allow the change. Grant edit access and try again.');
+      } else {
+        toast.error(`Failed to save: ${error.message}`);
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const queueEdit = async (updates, { force = false } = {}) => {
+    await smartCache.outbox.enqueue(activity, updates, base, { force });
+    toast.info('Strava is not reachable right now. Your edit is saved and will sync automatically.');
+    setIsEditing(false);
+    setConflict(null);
+  };
+
+  // Save the draft over whatever is on Strava now
+  const overwriteRemote = () => save({ force: true });
+
+  // The cache already holds Strava's version after a conflict, so dropping the draft is enough
+  const discardDraft = () => {
+    setConflict(null);
+    setIsEditing(false);
+  };
+
+  const updateDraft = (field) => (event) => setDraft((current) => ({ ...current, [field]: event.target.value }));
+
+  return (
+    <Card className="bg-blue-50 dark:bg-blue-950 border-blue-200 dark:border-blue-800">
+      <CardHeader className="pb-3">
+        <div className="flex items-center justify-between">
+          <CardTitle className="text-lg flex items-center gap-2">
+            <span className="text-blue-600 dark:text-blue-400">📝</span>
+            Private Notes
+            {queuedEdit && (
+              <Badge variant={queuedEdit.status === OUTBOX_STATUS.PENDING ? 'secondary' : 'destructive'}>
+                {queuedEdit.status === OUTBOX_STATUS.PENDING ? 'Waiting to sync' : 'Not synced'}
+              </Badge>
+            )}
+          </CardTitle>
+          {isConnected &&
+            !isEditing &&
+            (canWrite ? (
+              <Button variant="ghost" size="sm" onClick={startEditing} className="flex items-center gap-1">
+                <Pencil className="h-4 w-4" />
+                Edit
+              </Button>
+            ) : (
+              <Button variant="ghost" size="sm" onClick={onRequestWriteAccess} className="flex items-center gap-1">
+                <Lock className="h-4 w-4" />
+                Enable editing
+              </Button>
+            ))}
+        </div>
+      </CardHeader>
+      <CardContent>
+        {isEditing ? (
+          <div className="space-y-3">
+            {conflict && (
+              <Alert variant="destructive">
+                <AlertTriangle className="h-4 w-4" />
+                <AlertTitle>Changed on Strava while you were editing</AlertTitle>
+                <AlertDescription>
+                  {conflict.fields.includes('private_note') && (
+                    <p className="mb-2 whitespace-pre-wrap">Note on Strava: {conflict.remote.private_note || 'N/A'}</p>
+                  )}
+                  <div className="flex gap-2">
+                    <Button size="sm" variant="destructive" onClick={overwriteRemote} disabled={isSaving}>
+                      Overwrite with mine
+                    </Button>
+                    <Button size="sm" variant="outline" onClick={discardDraft} disabled={isSaving}>
+                      Keep Strava's version
+                    </Button>
+                  </div>
+                </AlertDescription>
+              </Alert>
+            )}
+            <div className="space-y-1">
+              <Label htmlFor="activity-name">Name</Label>
+              <Input id="activity-name" value={draft.name} onChange={updateDraft('name')} disabled={isSaving} />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="activity-description">Description</Label>
+              <Textarea
+                id="activity-description"
+                value={draft.description}
+                onChange={updateDraft('description')}
+                disabled={isSaving}
+                rows={3}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="activity-private-note">Private note</Label>
+              <Textarea
+                id="activity-private-note"
+                value={draft.private_note}
+                onChange={updateDraft('private_note')}
+                disabled={isSaving}
+                rows={5}
+              />
+            </div>
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" size="sm" onClick={cancelEditing} disabled={isSaving}>
+                <X className="h-4 w-4 mr-1" />
+                Cancel
+              </Button>
+              <Button size="sm" onClick={() => save()} disabled={isSaving || !!conflict}>
+                <Save className="h-4 w-4 mr-1" />
+                {isSaving ? 'Saving...' : 'Save'}
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <p className="text-sm whitespace-pre-wrap text-blue-900 dark:text-blue-100">
+            {activity?.private_note || 'N/A'}
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
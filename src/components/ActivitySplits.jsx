@@ -0,0 +1,211 @@
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Skeleton } from '@/components/ui/skeleton';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import {
+  SPLIT_DISTANCE,
+  computeSplits,
+  fromStravaSplits,
+  getHeartrateZones,
+  summarizeHeartrate,
+} from '@/lib/activity-splits';
+import { REQUEST_PRIORITY } from '@/lib/request-scheduler';
+import { formatDistance, formatDuration, formatElevation, formatPace } from '@/lib/strava-api';
+import { isAbortError } from '@/lib/strava-errors';
+import { HeartPulse } from 'lucide-react';
+import { useEffect, useMemo, useState } from 'react';
+
+// Zone 1 (easy) to zone 5 (max)
+const ZONE_COLORS = ['bg-slate-400', 'bg-sky-500', 'bg-emerald-500', 'bg-amber-500', 'bg-red-500'];
+const SKELETON_ROWS = ['split-1', 'split-2', 'split-3', 'split-4', 'split-5'];
+
+function formatSplitTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${Math.round(seconds % 60)
+    .toString()
+    .padStart(2, '0')}`;
+}
+
+/**
+ * Per-km / per-mile splits, heart rate and laps for one activity
+ * Streams, laps and zones are loaded lazily through the smart cache the first time an activity is opened.
+ */
+export function ActivitySplits({ activity, smartCache, isConnected, units }) {
+  const [details, setDetails] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    setDetails(null);
+    if (!isConnected || !smartCache || !activity?.id) return;
+
+    const controller = new AbortController();
+    setIsLoading(true);
+
+    smartCache
+      .getActivityDetails(activity.id, { priority: REQUEST_PRIORITY.INTERACTIVE, signal: controller.signal })
+      .then((loadedDetails) => {
+        console.log('ActivitySplits: Activity details loaded', {
+          activityId: activity.id,
+          hasStreams: !!loadedDetails.streams?.distance,
+          laps: loadedDetails.laps?.length ?? null,
+        });
+        setDetails(loadedDetails);
+      })
+      .catch((error) => {
+        if (isAbortError(error)) return;
+        console.warn('ActivitySplits: Failed to load activity details', {
+          activityId: activity.id,
+          error: error.message,
+        });
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) {
+          setIsLoading(false);
+        }
+      });
+
+    // Leaving the activity cancels fetches nobody else is waiting for
+    return () => controller.abort();
+  }, [activity?.id, isConnected, smartCache]);
+
+  const splits = useMemo(() => {
+    const fromStreams = computeSplits(details?.streams, SPLIT_DISTANCE[units] || SPLIT_DISTANCE.metric);
+    if (fromStreams.length > 0) return fromStreams;
+
+    // No streams (demo mode, or not fetched yet) - use the splits Strava includes in the detailed activity
+    return fromStravaSplits(units === 'imperial' ? activity?.splits_standard : activity?.splits_metric);
+  }, [details, activity, units]);
+
+  const heartrate = useMemo(() => {
+    const fromStreams = summarizeHeartrate(details?.streams);
+    if (fromStreams) return fromStreams;
+    return activity?.average_heartrate
+      ? { average: Math.round(activity.average_heartrate), max: activity.max_heartrate ?? null }
+      : null;
+  }, [details, activity]);
+
+  const zones = useMemo(() => getHeartrateZones(details?.zones), [details]);
+  const laps = details?.laps || [];
+
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <CardTitle className="text-lg flex items-center gap-2">
+          <HeartPulse className="h-5 w-5 text-red-500" />
+          Splits & Heart Rate
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {isLoading ? (
+          <div className="space-y-2">
+            <Skeleton className="h-6 w-1/2" />
+            {SKELETON_ROWS.map((row) => (
+              <Skeleton key={row} className="h-8 w-full" />
+            ))}
+          </div>
+        ) : (
+          <>
+            {heartrate && (
+              <div className="flex gap-6 text-sm">
+                <div>
+                  <span className="text-muted-foreground">Avg HR </span>
+                  <span className="font-semibold">{heartrate.average} bpm</span>
+                </div>
+                {heartrate.max && (
+                  <div>
+                    <span className="text-muted-foreground">Max HR </span>
+                    <span className="font-semibold">{heartrate.max} bpm</span>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {zones.length > 0 && (
+              <div className="space-y-1">
+                <div className="flex h-3 w-full overflow-hidden rounded-full">
+                  {zones.map((zone) => (
+                    <div
+                      key={zone.zone}
+                      className={ZONE_COLORS[zone.zone - 1] || ZONE_COLORS[ZONE_COLORS.length - 1]}
+                      style={{ width: `${zone.share * 100}%` }}
+                      title={`Z${zone.zone} (${zone.max ? `${zone.min}-${zone.max}` : `${zone.min}+`} bpm): ${formatDuration(zone.time)}`}
+                    />
+                  ))}
+                </div>
+                <div className="flex justify-between text-xs text-muted-foreground">
+                  {zones.map((zone) => (
+                    <span key={zone.zone}>
+                      Z{zone.zone} {Math.round(zone.share * 100)}%
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {splits.length > 0 ? (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>{units === 'imperial' ? 'Mile' : 'Km'}</TableHead>
+                    <TableHead>Time</TableHead>
+                    <TableHead>Pace</TableHead>
+                    <TableHead>Elev</TableHead>
+                    <TableHead>HR</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {splits.map((split) => (
+                    <TableRow key={split.split}>
+                      <TableCell className="font-medium">
+                        {split.distance < (SPLIT_DISTANCE[units] || SPLIT_DISTANCE.metric) * 0.95
+                          ? formatDistance(split.distance, units)
+                          : split.split}
+                      </TableCell>
+                      <TableCell>{formatSplitTime(split.elapsedTime)}</TableCell>
+                      <TableCell>{formatPace(split.distance, split.elapsedTime, units)}</TableCell>
+                      <TableCell>
+                        {split.elevationDifference !== null ? formatElevation(split.elevationDifference, units) : '--'}
+                      </TableCell>
+                      <TableCell>{split.averageHeartrate ? Math.round(split.averageHeartrate) : '--'}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            ) : (
+              <p className="text-sm text-muted-foreground">
+                {isConnected ? 'No split data recorded for this activity.' : 'Connect to Strava to see splits.'}
+              </p>
+            )}
+
+            {laps.length > 1 && (
+              <div>
+                <h4 className="text-sm font-medium mb-2">Laps</h4>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Lap</TableHead>
+                      <TableHead>Distance</TableHead>
+                      <TableHead>Time</TableHead>
+                      <TableHead>Pace</TableHead>
+                      <TableHead>HR</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {laps.map((lap) => (
+                      <TableRow key={lap.id ?? lap.lap_index}>
+                        <TableCell className="font-medium">{lap.lap_index}</TableCell>
+                        <TableCell>{formatDistance(lap.distance, units)}</TableCell>
+                        <TableCell>{formatSplitTime(lap.elapsed_time)}</TableCell>
+                        <TableCell>{formatPace(lap.distance, lap.moving_time ?? lap.elapsed_time, units)}</TableCell>
+                        <TableCell>{lap.average_heartrate ? Math.round(lap.average_heartrate) : '--'}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
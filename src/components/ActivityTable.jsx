@@ -1,9 +1,62 @@
+import { AnnotationPopover, AnnotationSummary } from '@/components/ActivityAnnotationEditor';
+import { HighlightedText } from '@/components/HighlightedText';
 import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import {
+  DropdownMenu,
+  DropdownMenuCheckboxItem,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { useTablePreferences } from '@/hooks/use-table-preferences';
+import {
+  SORT_DIRECTION,
+  TABLE_COLUMNS,
+  getGearName,
+  getTableColumn,
+  sortActivities,
+  tablePreferences,
+  toggleSort,
+} from '@/lib/activity-table-columns';
 import { formatDistance, formatDuration, formatElevation, formatPace } from '@/lib/strava-api';
+import { buildSnippet } from '@/lib/text-search';
 import { format } from 'date-fns';
+import { ArrowDown, ArrowUp, ArrowUpDown, Columns3 } from 'lucide-react';
+import { useMemo } from 'react';
+
+const HEADER_CLASSES = {
+  type: 'w-12',
+  name: 'min-w-[200px]',
+  notes: 'min-w-[250px]',
+  annotations: 'min-w-[160px]',
+};
+
+/**
+ * Activities as table rows
+ * Headers sort the rows (shift-click adds a tie-breaker) and the Columns menu picks what's shown; both are
+ * remembered for the athlete whose activities these are.
+ */
+export function ActivityTable({
+  activities,
+  annotations = new Map(),
+  searchTokens = [],
+  onClick,
+  units = 'metric',
+  gearNames,
+}) {
+  const athleteId = activities?.find((activity) => activity.athlete?.id)?.athlete?.id ?? null;
+  const { columns: visibleColumnIds, sort } = useTablePreferences(athleteId);
+
+  const columns = TABLE_COLUMNS.filter((column) => visibleColumnIds.includes(column.id));
+  const sortedActivities = useMemo(
+    () => sortActivities(activities || [], sort, { gearNames }),
+    [activities, sort, gearNames],
+  );
 
-export function ActivityTable({ activities, onClick, units = 'metric' }) {
   const getActivityIcon = (type) => {
     switch (type.toLowerCase()) {
       case 'run':
@@ -37,12 +90,129 @@ export function ActivityTable({ activities, onClick, units = 'metric' }) {
     }
   };
 
-  const truncateText = (text, maxLength = 50) => {
-    if (!text) return 'N/A';
-    if (text.length <= maxLength) return text;
-    return `${text.substring(0, maxLength)}...`;
+  const handleSort = (event, columnId) => {
+    tablePreferences.update(athleteId, { sort: toggleSort(sort, columnId, { additive: event.shiftKey }) });
+  };
+
+  const handleColumnToggle = (columnId, visible) => {
+    tablePreferences.update(athleteId, {
+      columns: visible ? [...visibleColumnIds, columnId] : visibleColumnIds.filter((id) => id !== columnId),
+      // A hidden column doesn't keep sorting the rows
+      sort: visible ? sort : sort.filter((key) => key.column !== columnId),
+    });
+  };
+
+  const renderCell = (columnId, activity) => {
+    const annotation = annotations.get(String(activity.id));
+
+    switch (columnId) {
+      case 'type':
+        return <span className="text-lg">{getActivityIcon(activity.type)}</span>;
+      case 'name':
+        return (
+          <div className="space-y-1">
+            <div className="font-medium text-sm leading-tight">
+              <HighlightedText text={activity.name} queryTokens={searchTokens} />
+            </div>
+            <Badge className={`text-xs ${getActivityTypeColor(activity.type)}`} variant="outline">
+              {activity.sport_type || activity.type}
+            </Badge>
+          </div>
+        );
+      case 'date':
+        return <span className="text-sm">{format(new Date(activity.start_date), 'MMM dd, yyyy')}</span>;
+      case 'distance':
+        return <span className="text-sm font-medium text-primary">{formatDistance(activity.distance, units)}</span>;
+      case 'time':
+        return <span className="text-sm font-medium">{formatDuration(activity.moving_time)}</span>;
+      case 'pace':
+        return (
+          <span className="text-sm font-medium">{formatPace(activity.distance, activity.moving_time, units)}</span>
+        );
+      case 'elevation':
+        return (
+          <span className="text-sm font-medium text-success">
+            {formatElevation(activity.total_elevation_gain, units)}
+          </span>
+        );
+      case 'notes':
+        return (
+          <>
+            <div className="bg-blue-50 border border-blue-200 rounded p-2 text-xs dark:bg-blue-950/30 dark:border-blue-800/50">
+              <div className="flex items-center gap-1 mb-1">
+                <span className="text-blue-600 dark:text-blue-400">📝</span>
+                <span className="text-xs font-medium text-blue-700 dark:text-blue-300">Notes</span>
+              </div>
+              <p className="text-blue-900 dark:text-blue-100 leading-tight">
+                <HighlightedText
+                  text={activity.private_note}
+                  queryTokens={searchTokens}
+                  maxLength={60}
+                  fallback="N/A"
+                />
+              </p>
+            </div>
+            {buildSnippet(activity.description, searchTokens) && (
+              <p className="mt-1 text-xs text-muted-foreground leading-tight">
+                <HighlightedText text={activity.description} queryTokens={searchTokens} maxLength={60} />
+              </p>
+            )}
+          </>
+        );
+      case 'annotations':
+        return (
+          <div className="flex flex-col items-start gap-1">
+            <AnnotationSummary annotation={annotation} />
+            <AnnotationPopover activity={activity} annotation={annotation} />
+          </div>
+        );
+      case 'kudos':
+        return <span className="text-sm">{activity.kudos_count ?? '--'}</span>;
+      case 'heartrate':
+        return (
+          <span className="text-sm">
+            {activity.average_heartrate ? `${Math.round(activity.average_heartrate)} bpm` : '--'}
+          </span>
+        );
+      case 'suffer_score':
+        return <span className="text-sm">{activity.suffer_score ?? '--'}</span>;
+      case 'gear':
+        return <span className="text-sm">{getGearName(activity, gearNames) || '--'}</span>;
+      case 'device':
+        return <span className="text-sm">{activity.device_name || '--'}</span>;
+      default:
+        return null;
+    }
   };
 
+  const renderHeader = (column) => {
+    if (!column.value) return column.label;
+
+    const sortIndex = sort.findIndex((key) => key.column === column.id);
+    const sortKey = sort[sortIndex];
+    const SortIcon = !sortKey ? ArrowUpDown : sortKey.direction === SORT_DIRECTION.ASC ? ArrowUp : ArrowDown;
+
+    return (
+      <button
+        type="button"
+        className="inline-flex items-center gap-1 hover:text-foreground"
+        onClick={(event) => handleSort(event, column.id)}
+        title={`Sort by ${column.sortLabel || column.label.toLowerCase()} (shift-click to add as a tie-breaker)`}
+      >
+        {column.label}
+        <SortIcon className={`h-3 w-3 ${sortKey ? '' : 'opacity-40'}`} />
+        {sortKey && sort.length > 1 && <span className="text-[10px] text-muted-foreground">{sortIndex + 1}</span>}
+      </button>
+    );
+  };
+
+  const sortDescription = sort
+    .map((key) => {
+      const column = getTableColumn(key.column);
+      return `${column.sortLabel || column.label.toLowerCase()} ${key.direction === SORT_DIRECTION.ASC ? '↑' : '↓'}`;
+    })
+    .join(', then ');
+
   if (!activities || activities.length === 0) {
     return (
       <div className="text-center py-8">
@@ -52,64 +222,77 @@ export function ActivityTable({ activities, onClick, units = 'metric' }) {
   }
 
   return (
-    <div className="rounded-md border">
-      <Table>
-        <TableHeader>
-          <TableRow>
-            <TableHead className="w-12">Type</TableHead>
-            <TableHead className="min-w-[200px]">Activity</TableHead>
-            <TableHead>Date</TableHead>
-            <TableHead>Distance</TableHead>
-            <TableHead>Time</TableHead>
-            <TableHead>Pace</TableHead>
-            <TableHead>Elevation</TableHead>
-            <TableHead className="min-w-[250px]">Private Notes</TableHead>
-          </TableRow>
-        </TableHeader>
-        <TableBody>
-          {activities.map((activity) => (
-            <TableRow
-              key={activity.id}
-              className="cursor-pointer hover:bg-muted/50"
-              onClick={() => onClick && onClick(activity)}
-            >
-              <TableCell>
-                <span className="text-lg">{getActivityIcon(activity.type)}</span>
-              </TableCell>
-              <TableCell>
-                <div className="space-y-1">
-                  <div className="font-medium text-sm leading-tight">{activity.name}</div>
-                  <Badge className={`text-xs ${getActivityTypeColor(activity.type)}`} variant="outline">
-                    {activity.sport_type || activity.type}
-                  </Badge>
-                </div>
-              </TableCell>
-              <TableCell className="text-sm">{format(new Date(activity.start_date), 'MMM dd, yyyy')}</TableCell>
-              <TableCell className="text-sm font-medium text-primary">
-                {formatDistance(activity.distance, units)}
-              </TableCell>
-              <TableCell className="text-sm font-medium">{formatDuration(activity.moving_time)}</TableCell>
-              <TableCell className="text-sm font-medium">
-                {formatPace(activity.distance, activity.moving_time, units)}
-              </TableCell>
-              <TableCell className="text-sm font-medium text-success">
-                {formatElevation(activity.total_elevation_gain, units)}
-              </TableCell>
-              <TableCell>
-                <div className="bg-blue-50 border border-blue-200 rounded p-2 text-xs dark:bg-blue-950/30 dark:border-blue-800/50">
-                  <div className="flex items-center gap-1 mb-1">
-                    <span className="text-blue-600 dark:text-blue-400">📝</span>
-                    <span className="text-xs font-medium text-blue-700 dark:text-blue-300">Notes</span>
-                  </div>
-                  <p className="text-blue-900 dark:text-blue-100 leading-tight">
-                    {truncateText(activity.private_note, 60)}
-                  </p>
-                </div>
-              </TableCell>
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-xs text-muted-foreground">
+          {sort.length > 0
+            ? `Sorted by ${sortDescription}`
+            : 'Click a column header to sort, shift-click to sort by more'}
+        </p>
+        <DropdownMenu>
+          <DropdownMenuTrigger asChild>
+            <Button variant="outline" size="sm" className="h-8">
+              <Columns3 className="h-4 w-4 mr-1" />
+              Columns
+            </Button>
+          </DropdownMenuTrigger>
+          <DropdownMenuContent align="end">
+            <DropdownMenuLabel>Show columns</DropdownMenuLabel>
+            {TABLE_COLUMNS.map((column) => (
+              <DropdownMenuCheckboxItem
+                key={column.id}
+                checked={visibleColumnIds.includes(column.id)}
+                disabled={column.required}
+                onCheckedChange={(checked) => handleColumnToggle(column.id, checked)}
+                // Keep the menu open to pick several
+                onSelect={(event) => event.preventDefault()}
+              >
+                {column.label}
+              </DropdownMenuCheckboxItem>
+            ))}
+            <DropdownMenuSeparator />
+            <DropdownMenuItem onClick={() => tablePreferences.reset(athleteId)}>
+              Reset columns and sort
+            </DropdownMenuItem>
+          </DropdownMenuContent>
+        </DropdownMenu>
+      </div>
+
+      <div className="rounded-md border">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              {columns.map((column) => {
+                const sortKey = sort[0]?.column === column.id ? sort[0] : null;
+                return (
+                  <TableHead
+                    key={column.id}
+                    className={HEADER_CLASSES[column.id]}
+                    aria-sort={
+                      sortKey ? (sortKey.direction === SORT_DIRECTION.ASC ? 'ascending' : 'descending') : undefined
+                    }
+                  >
+                    {renderHeader(column)}
+                  </TableHead>
+                );
+              })}
             </TableRow>
-          ))}
-        </TableBody>
-      </Table>
+          </TableHeader>
+          <TableBody>
+            {sortedActivities.map((activity) => (
+              <TableRow
+                key={activity.id}
+                className="cursor-pointer hover:bg-muted/50"
+                onClick={() => onClick && onClick(activity)}
+              >
+                {columns.map((column) => (
+                  <TableCell key={column.id}>{renderCell(column.id, activity)}</TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </div>
     </div>
   );
 }
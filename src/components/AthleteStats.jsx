@@ -0,0 +1,215 @@
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Progress } from '@/components/ui/progress';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Skeleton } from '@/components/ui/skeleton';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { useLocalStorage } from '@/hooks/use-local-storage';
+import { STATS_PERIODS, STATS_SPORTS, reconcileAthleteStats } from '@/lib/athlete-stats';
+import { formatDistance, formatDuration, formatElevation } from '@/lib/strava-api';
+import { isAbortError } from '@/lib/strava-errors';
+import { Database, RefreshCw, Trophy, User } from 'lucide-react';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { toast } from 'sonner';
+
+const SKELETON_CARDS = ['period-recent', 'period-ytd', 'period-all'];
+
+const formatCoverage = (coverage) => (coverage === null ? '--' : `${Math.round(coverage * 100)}%`);
+
+export function AthleteStats({ isConnected, smartCache }) {
+  const [profile, setProfile] = useState(null);
+  const [cachedActivities, setCachedActivities] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [units, setUnits] = useLocalStorage('strava-units', 'metric');
+  const loadAbortRef = useRef(null);
+
+  const loadStats = async ({ refresh = false } = {}) => {
+    if (!smartCache) return;
+
+    loadAbortRef.current?.abort();
+    const abortController = new AbortController();
+    loadAbortRef.current = abortController;
+
+    try {
+      setIsLoading(true);
+      const [loadedProfile, activities] = await Promise.all([
+        smartCache.getAthleteProfile({ refresh, signal: abortController.signal }),
+        smartCache.database.getAllActivities(),
+      ]);
+      setProfile(loadedProfile);
+      setCachedActivities(activities);
+      console.log('AthleteStats: Loaded athlete stats', {
+        hasProfile: !!loadedProfile,
+        cachedActivities: activities.length,
+      });
+    } catch (error) {
+      if (isAbortError(error)) return;
+      console.error('AthleteStats: Failed to load athlete stats', error);
+      toast.error('Failed to load athlete stats');
+    } finally {
+      if (loadAbortRef.current === abortController) {
+        loadAbortRef.current = null;
+        setIsLoading(false);
+      }
+    }
+  };
+
+  useEffect(() => {
+    loadStats();
+    return () => loadAbortRef.current?.abort();
+  }, [smartCache, isConnected]);
+
+  // Cached totals move whenever activities are synced
+  useEffect(() => {
+    if (!smartCache) return;
+    return smartCache.onActivitiesChanged(async () => {
+      setCachedActivities(await smartCache.database.getAllActivities());
+    });
+  }, [smartCache]);
+
+  const rows = useMemo(
+    () => (profile?.stats ? reconcileAthleteStats(profile.stats, cachedActivities) : []),
+    [profile, cachedActivities],
+  );
+
+  const athlete = profile?.athlete;
+  // Headline: the all-time total of whichever sport the athlete does most
+  const headline = rows
+    .filter((row) => row.period === 'all' && row.coverage !== null)
+    .reduce((best, row) => (!best || row.strava.distance > best.strava.distance ? row : best), null);
+
+  return (
+    <div className="container mx-auto p-4">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-3">
+          {athlete?.profile_medium ? (
+            <img src={athlete.profile_medium} alt="" className="h-12 w-12 rounded-full" />
+          ) : (
+            <div className="h-12 w-12 rounded-full bg-muted flex items-center justify-center">
+              <User className="h-6 w-6 text-muted-foreground" />
+            </div>
+          )}
+          <div>
+            <h2 className="text-2xl font-bold">
+              {athlete ? `${athlete.firstname} ${athlete.lastname}` : 'Athlete Stats'}
+            </h2>
+            <p className="text-muted-foreground">
+              {athlete ? [athlete.city, athlete.state, athlete.country].filter(Boolean).join(', ') : 'Lifetime totals'}
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          {profile && (
+            <Badge variant="outline" className="hidden md:flex">
+              Updated {new Date(profile.fetched_at).toLocaleTimeString()}
+            </Badge>
+          )}
+          <Select value={units} onValueChange={setUnits}>
+            <SelectTrigger className="w-32">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="metric">Metric</SelectItem>
+              <SelectItem value="imperial">Imperial</SelectItem>
+            </SelectContent>
+          </Select>
+          <Button
+            variant="outline"
+            onClick={() => loadStats({ refresh: true })}
+            disabled={isLoading || !isConnected}
+            className="flex items-center gap-2"
+          >
+            <RefreshCw className={`h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
+            Refresh
+          </Button>
+        </div>
+      </div>
+
+      {isLoading && !profile ? (
+        <div className="space-y-4">
+          {SKELETON_CARDS.map((card) => (
+            <Skeleton key={card} className="h-48 w-full" />
+          ))}
+        </div>
+      ) : rows.length === 0 ? (
+        <Card>
+          <CardContent className="py-8 text-center text-muted-foreground">
+            {isConnected ? 'No stats available yet.' : 'Connect to Strava to see your lifetime stats.'}
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="space-y-6">
+          {headline && (
+            <p className="flex items-center gap-2 text-sm">
+              <Database className="h-4 w-4 text-primary" />
+              Cache covers <span className="font-semibold">{formatCoverage(headline.coverage)}</span> of all-time{' '}
+              {STATS_SPORTS.find((sport) => sport.id === headline.sport).label.toLowerCase()} distance
+            </p>
+          )}
+          {STATS_PERIODS.map((period) => (
+            <Card key={period.id}>
+              <CardHeader className="pb-3">
+                <CardTitle className="text-lg flex items-center gap-2">
+                  <Trophy className="h-5 w-5 text-primary" />
+                  {period.label}
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Sport</TableHead>
+                      <TableHead className="text-right">Activities</TableHead>
+                      <TableHead className="text-right">Distance</TableHead>
+                      <TableHead className="text-right">Moving Time</TableHead>
+                      <TableHead className="text-right">Elevation</TableHead>
+                      <TableHead className="w-48">
+                        <span className="flex items-center gap-1">
+                          <Database className="h-3 w-3" />
+                          Cache coverage
+                        </span>
+                      </TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {rows
+                      .filter((row) => row.period === period.id)
+                      .map((row) => (
+                        <TableRow key={row.sport}>
+                          <TableCell className="font-medium">
+                            {STATS_SPORTS.find((sport) => sport.id === row.sport).label}
+                          </TableCell>
+                          <TableCell className="text-right">{row.strava.count}</TableCell>
+                          <TableCell className="text-right">{formatDistance(row.strava.distance, units)}</TableCell>
+                          <TableCell className="text-right">{formatDuration(row.strava.moving_time)}</TableCell>
+                          <TableCell className="text-right">
+                            {formatElevation(row.strava.elevation_gain, units)}
+                          </TableCell>
+                          <TableCell>
+                            <div
+                              className="flex items-center gap-2"
+                              title={`Cached: ${row.cached.count} activities, ${formatDistance(row.cached.distance, units)}`}
+                            >
+                              <Progress value={Math.min(100, (row.coverage ?? 0) * 100)} className="h-2" />
+                              <span className="text-xs text-muted-foreground w-10 text-right">
+                                {formatCoverage(row.coverage)}
+                              </span>
+                            </div>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                  </TableBody>
+                </Table>
+              </CardContent>
+            </Card>
+          ))}
+          <p className="text-xs text-muted-foreground">
+            Strava's totals only include activities visible to everyone, so coverage can go above 100% when private
+            activities are cached.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
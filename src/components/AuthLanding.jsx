@@ -1,12 +1,16 @@
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Label } from '@/components/ui/label';
 import { StravaAPI } from '@/lib/strava-api';
+import { DEFAULT_SCOPES, FULL_ACCESS_SCOPES } from '@/lib/strava-scopes';
 import { Activity, Loader2, TrendingUp, Users, Zap } from 'lucide-react';
 import { useState } from 'react';
 import { toast } from 'sonner';
 
 export function AuthLanding({ onAuthSuccess }) {
   const [isCheckingConnection, setIsCheckingConnection] = useState(false);
+  const [includePrivate, setIncludePrivate] = useState(true);
 
   const handleStravaAuth = async () => {
     setIsCheckingConnection(true);
@@ -14,11 +18,8 @@ export function AuthLanding({ onAuthSuccess }) {
     try {
       const stravaAPI = new StravaAPI();
 
-      // Test backend connection first
-      await stravaAPI.testBackendConnection();
-
-      // If connection is successful, redirect to Strava
-      window.location.href = stravaAPI.getAuthUrl();
+      // Tests the backend connection first, then redirects to Strava with a fresh one-time state
+      await stravaAPI.startAuthorization({ scopes: includePrivate ? FULL_ACCESS_SCOPES : DEFAULT_SCOPES });
     } catch (error) {
       console.error('Failed to connect to backend before OAuth:', error);
       toast.error('Connection Error: ' + error.message);
@@ -114,6 +115,23 @@ export function AuthLanding({ onAuthSuccess }) {
           </Button>
         </div>
 
+        <div className="flex flex-col items-center gap-1 mt-6 text-sm">
+          <div className="flex items-center gap-2">
+            <Checkbox
+              id="include-private"
+              checked={includePrivate}
+              onCheckedChange={(checked) => setIncludePrivate(checked === true)}
+              disabled={isCheckingConnection}
+            />
+            <Label htmlFor="include-private">Include private ("Only Me") activities and their notes</Label>
+          </div>
+          {!includePrivate && (
+            <p className="text-muted-foreground">
+              Private activities and their private notes won't be shown. You can grant access later.
+            </p>
+          )}
+        </div>
+
         <div className="text-center mt-8 text-sm text-muted-foreground">
           <p>Secure OAuth 2.0 authentication • Read-only access to your activities</p>
         </div>
@@ -7,6 +7,7 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { useActivityCache } from '@/hooks/use-activity-cache';
 import { useLocalStorage } from '@/hooks/use-local-storage';
 import { StravaAPI, formatDistance, formatDuration, formatElevation, formatSpeed } from '@/lib/strava-api';
+import { StravaAuthError } from '@/lib/strava-errors';
 import { Activity, LogOut, RefreshCw, TableProperties, TrendingUp, User } from 'lucide-react';
 import { useEffect, useMemo, useState } from 'react';
 import { toast } from 'sonner';
@@ -490,13 +491,13 @@ export function Dashboard({ onLogout, accessToken }) {
         hasToken: !!accessToken,
         tokenPrefix: accessToken ? accessToken.substring(0, 8) + '...' : 'none',
         timestamp: new Date().toISOString(),
-        isAuthError: error.message.includes('Unauthorized') || error.message.includes('401'),
+        isAuthError: error instanceof StravaAuthError,
       });
 
       setIsLoading(false);
 
       // Check if it's an auth error
-      if (error.message.includes('Unauthorized') || error.message.includes('401')) {
+      if (error instanceof StravaAuthError) {
         console.warn('loadRealData: Authentication error detected, logging user out', {
           error: error.message,
           willLogout: true,
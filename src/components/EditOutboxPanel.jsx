@@ -0,0 +1,109 @@
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { useEditOutbox } from '@/hooks/use-edit-outbox';
+import { OUTBOX_STATUS } from '@/lib/edit-outbox';
+import { CloudUpload, RefreshCw } from 'lucide-react';
+import { toast } from 'sonner';
+
+const STATUS_BADGES = {
+  [OUTBOX_STATUS.PENDING]: { label: 'Pending', variant: 'secondary' },
+  [OUTBOX_STATUS.SYNCED]: { label: 'Synced', variant: 'outline' },
+  [OUTBOX_STATUS.CONFLICTED]: { label: 'Conflict', variant: 'destructive' },
+  [OUTBOX_STATUS.FAILED]: { label: 'Failed', variant: 'destructive' },
+};
+
+const FIELD_LABELS = { name: 'name', description: 'description', private_note: 'private note' };
+
+/**
+ * Edits waiting to be saved to Strava, with what happened to each one
+ * Hidden while the outbox is empty.
+ */
+export function EditOutboxPanel({ smartCache, onActivitySelect }) {
+  const entries = useEditOutbox(smartCache);
+
+  if (!smartCache || entries.length === 0) return null;
+
+  const outbox = smartCache.outbox;
+  const pendingCount = entries.filter((entry) => entry.status === OUTBOX_STATUS.PENDING).length;
+
+  // Actions report their own outcome through the entry status; only unexpected errors need a toast
+  const run = (action) => async () => {
+    try {
+      await action();
+    } catch (error) {
+      console.error('EditOutboxPanel: Outbox action failed', error);
+      toast.error(`Outbox action failed: ${error.message}`);
+    }
+  };
+
+  return (
+    <Card className="mb-6">
+      <CardHeader className="pb-3">
+        <div className="flex items-center justify-between">
+          <CardTitle className="text-lg flex items-center gap-2">
+            <CloudUpload className="h-5 w-5 text-primary" />
+            Edits to sync
+            {pendingCount > 0 && <Badge variant="secondary">{pendingCount} pending</Badge>}
+          </CardTitle>
+          <div className="flex gap-2">
+            {pendingCount > 0 && (
+              <Button variant="outline" size="sm" onClick={run(() => outbox.flush())}>
+                <RefreshCw className="h-4 w-4 mr-1" />
+                Sync now
+              </Button>
+            )}
+            {entries.some((entry) => entry.status === OUTBOX_STATUS.SYNCED) && (
+              <Button variant="ghost" size="sm" onClick={run(() => outbox.clearSynced())}>
+                Clear synced
+              </Button>
+            )}
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        {entries.map((entry) => {
+          const badge = STATUS_BADGES[entry.status];
+          return (
+            <div key={entry.id} className="flex items-center justify-between gap-3 rounded-md border p-2 text-sm">
+              <div className="min-w-0">
+                <button
+                  type="button"
+                  className="font-medium hover:underline truncate"
+                  onClick={() => onActivitySelect?.(entry.activityId)}
+                >
+                  {entry.activityName || `Activity ${entry.activityId}`}
+                </button>
+                <div className="text-xs text-muted-foreground">
+                  {Object.keys(entry.updates)
+                    .map((field) => FIELD_LABELS[field] || field)
+                    .join(', ')}{' '}
+                  · edited {new Date(entry.created_at).toLocaleString()}
+                  {entry.error && entry.status !== OUTBOX_STATUS.SYNCED && <> · {entry.error}</>}
+                </div>
+              </div>
+              <div className="flex shrink-0 items-center gap-2">
+                <Badge variant={badge.variant}>{badge.label}</Badge>
+                {entry.status === OUTBOX_STATUS.FAILED && (
+                  <Button variant="outline" size="sm" onClick={run(() => outbox.retry(entry.id))}>
+                    Retry
+                  </Button>
+                )}
+                {entry.status === OUTBOX_STATUS.CONFLICTED && (
+                  <Button variant="outline" size="sm" onClick={run(() => outbox.overwrite(entry.id))}>
+                    Overwrite Strava
+                  </Button>
+                )}
+                {entry.status !== OUTBOX_STATUS.SYNCED && (
+                  <Button variant="ghost" size="sm" onClick={run(() => outbox.discard(entry.id))}>
+                    Discard
+                  </Button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </CardContent>
+    </Card>
+  );
+}
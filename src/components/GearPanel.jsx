@@ -0,0 +1,206 @@
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Progress } from '@/components/ui/progress';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Skeleton } from '@/components/ui/skeleton';
+import { useLocalStorage } from '@/hooks/use-local-storage';
+import { DEFAULT_RETIREMENT_DISTANCE, GEAR_TYPE, getRetirementStatus } from '@/lib/gear-mileage';
+import { formatDistance } from '@/lib/strava-api';
+import { isAbortError } from '@/lib/strava-errors';
+import { AlertTriangle, Bike, Footprints, RefreshCw } from 'lucide-react';
+import { useEffect, useRef, useState } from 'react';
+import { toast } from 'sonner';
+
+const METERS_PER_UNIT = { metric: 1000, imperial: 1609.344 };
+const SKELETON_CARDS = ['gear-1', 'gear-2', 'gear-3'];
+
+export function GearPanel({ isConnected, smartCache }) {
+  const [gearMileage, setGearMileage] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [units, setUnits] = useLocalStorage('strava-units', 'metric');
+  // gearId -> retirement distance in meters (null turns the warning off)
+  const [retirementDistances, setRetirementDistances] = useLocalStorage('strava-gear-retirement', {});
+  const loadAbortRef = useRef(null);
+
+  const loadGearMileage = async ({ refresh = false } = {}) => {
+    if (!smartCache) return;
+
+    loadAbortRef.current?.abort();
+    const abortController = new AbortController();
+    loadAbortRef.current = abortController;
+
+    try {
+      setIsLoading(true);
+      const mileage = await smartCache.getGearMileage({ refresh, signal: abortController.signal });
+      setGearMileage(mileage);
+      console.log('GearPanel: Loaded gear mileage', {
+        gear: mileage.length,
+        missingDetails: mileage.filter((entry) => !entry.gear).length,
+      });
+    } catch (error) {
+      if (isAbortError(error)) return;
+      console.error('GearPanel: Failed to load gear mileage', error);
+      toast.error('Failed to load gear mileage');
+    } finally {
+      if (loadAbortRef.current === abortController) {
+        loadAbortRef.current = null;
+        setIsLoading(false);
+      }
+    }
+  };
+
+  useEffect(() => {
+    loadGearMileage();
+    return () => loadAbortRef.current?.abort();
+  }, [smartCache, isConnected]);
+
+  // Reload when synced activities change what each piece of gear has covered
+  useEffect(() => {
+    if (!smartCache) return;
+    return smartCache.onActivitiesChanged(() => loadGearMileage());
+  }, [smartCache]);
+
+  const getRetirementDistance = (entry) =>
+    entry.id in retirementDistances ? retirementDistances[entry.id] : DEFAULT_RETIREMENT_DISTANCE[entry.type];
+
+  const handleRetirementChange = (gearId, value) => {
+    const distance = Number.parseFloat(value);
+    setRetirementDistances((current) => ({
+      ...current,
+      [gearId]: Number.isFinite(distance) && distance > 0 ? Math.round(distance * METERS_PER_UNIT[units]) : null,
+    }));
+  };
+
+  const gearToRetire = gearMileage.filter(
+    (entry) =>
+      entry.type === GEAR_TYPE.SHOE &&
+      !entry.gear?.retired &&
+      getRetirementStatus(entry.distance, getRetirementDistance(entry)) === 'retire',
+  );
+
+  const getGearName = (entry) => entry.gear?.nickname || entry.gear?.name || entry.id;
+
+  return (
+    <div className="container mx-auto p-4">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-2xl font-bold">Gear</h2>
+          <p className="text-muted-foreground">Distance per shoe and bike, from your cached activities</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <Select value={units} onValueChange={setUnits}>
+            <SelectTrigger className="w-32">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="metric">Metric</SelectItem>
+              <SelectItem value="imperial">Imperial</SelectItem>
+            </SelectContent>
+          </Select>
+          <Button
+            variant="outline"
+            onClick={() => loadGearMileage({ refresh: true })}
+            disabled={isLoading || !isConnected}
+            className="flex items-center gap-2"
+          >
+            <RefreshCw className={`h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
+            Refresh
+          </Button>
+        </div>
+      </div>
+
+      {gearToRetire.length > 0 && (
+        <Alert variant="destructive" className="mb-6">
+          <AlertTriangle className="h-4 w-4" />
+          <AlertTitle>Time for new shoes</AlertTitle>
+          <AlertDescription>
+            {gearToRetire.map(getGearName).join(', ')} {gearToRetire.length === 1 ? 'has' : 'have'} passed the
+            retirement distance.
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {isLoading && gearMileage.length === 0 ? (
+        <div className="grid gap-4 md:grid-cols-2">
+          {SKELETON_CARDS.map((card) => (
+            <Skeleton key={card} className="h-40 w-full" />
+          ))}
+        </div>
+      ) : gearMileage.length === 0 ? (
+        <Card>
+          <CardContent className="py-8 text-center text-muted-foreground">
+            No gear found on cached activities. Load activities in the Private Notes Viewer first.
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="grid gap-4 md:grid-cols-2">
+          {gearMileage.map((entry) => {
+            const Icon = entry.type === GEAR_TYPE.BIKE ? Bike : Footprints;
+            const retirementDistance = getRetirementDistance(entry);
+            const status = getRetirementStatus(entry.distance, retirementDistance);
+
+            return (
+              <Card key={entry.id}>
+                <CardHeader className="pb-3">
+                  <CardTitle className="text-lg flex items-center gap-2">
+                    <Icon className="h-5 w-5 text-primary" />
+                    <span className="truncate">{getGearName(entry)}</span>
+                    {entry.gear?.primary && <Badge variant="secondary">Primary</Badge>}
+                    {entry.gear?.retired ? (
+                      <Badge variant="outline">Retired</Badge>
+                    ) : status === 'retire' ? (
+                      <Badge variant="destructive">Retire</Badge>
+                    ) : status === 'approaching' ? (
+                      <Badge variant="outline" className="border-warning text-warning">
+                        Nearly worn out
+                      </Badge>
+                    ) : null}
+                  </CardTitle>
+                  {entry.gear && (entry.gear.brand_name || entry.gear.model_name) && (
+                    <p className="text-sm text-muted-foreground">
+                      {[entry.gear.brand_name, entry.gear.model_name].filter(Boolean).join(' ')}
+                    </p>
+                  )}
+                </CardHeader>
+                <CardContent className="space-y-3">
+                  <div className="flex items-baseline justify-between">
+                    <span className="text-2xl font-bold">{formatDistance(entry.distance, units)}</span>
+                    <span className="text-sm text-muted-foreground">
+                      {entry.activityCount} {entry.activityCount === 1 ? 'activity' : 'activities'}
+                    </span>
+                  </div>
+                  {retirementDistance && (
+                    <Progress value={Math.min(100, (entry.distance / retirementDistance) * 100)} />
+                  )}
+                  <div className="text-xs text-muted-foreground">
+                    Used {new Date(entry.firstUsed).toLocaleDateString()} -{' '}
+                    {new Date(entry.lastUsed).toLocaleDateString()}
+                    {entry.gear?.distance > 0 && <> · Strava total {formatDistance(entry.gear.distance, units)}</>}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <Label htmlFor={`retire-${entry.id}`} className="text-sm whitespace-nowrap">
+                      Retire at ({units === 'imperial' ? 'mi' : 'km'})
+                    </Label>
+                    <Input
+                      id={`retire-${entry.id}`}
+                      type="number"
+                      min="0"
+                      className="h-8 w-28"
+                      placeholder="None"
+                      value={retirementDistance ? Math.round(retirementDistance / METERS_PER_UNIT[units]) : ''}
+                      onChange={(event) => handleRetirementChange(entry.id, event.target.value)}
+                    />
+                  </div>
+                </CardContent>
+              </Card>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+import { buildSnippet } from '@/lib/text-search';
+
+/**
+ * Text with the words matching the current search highlighted, cut down to the part around the first match
+ * Without a match (or a search) it shows the text truncated to maxLength, or the fallback when there is no text.
+ */
+export function HighlightedText({ text, queryTokens = [], maxLength = Number.POSITIVE_INFINITY, fallback = '' }) {
+  const snippet = buildSnippet(text, queryTokens, maxLength);
+
+  if (!snippet) {
+    if (!text) return fallback;
+    return text.length > maxLength ? `${text.substring(0, maxLength)}...` : text;
+  }
+
+  return (
+    <>
+      {snippet.map((piece) =>
+        piece.highlight ? (
+          <mark key={piece.start} className="bg-yellow-200 text-inherit rounded-sm px-0.5 dark:bg-yellow-700/60">
+            {piece.text}
+          </mark>
+        ) : (
+          piece.text
+        ),
+      )}
+    </>
+  );
+}
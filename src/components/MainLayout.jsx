@@ -1,3 +1,4 @@
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
 import { Button } from '@/components/ui/button';
 import {
   Sidebar,
@@ -12,7 +13,9 @@ import {
   SidebarTrigger,
 } from '@/components/ui/sidebar';
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip';
-import { Activity, AlertTriangle, BarChart3, LogOut, Wifi, WifiOff } from 'lucide-react';
+import { getMissingScopes } from '@/lib/strava-scopes';
+import { Activity, AlertTriangle, BarChart3, EyeOff, Footprints, LogOut, Trophy, Wifi, WifiOff } from 'lucide-react';
+import { SavedSearchesNav } from './SavedSearchesNav';
 
 export function MainLayout({
   children,
@@ -21,8 +24,14 @@ export function MainLayout({
   onModuleChange,
   apiStatus = 'available',
   apiStatusDetails = null,
+  grantedScopes = null,
+  onUpgradeScopes,
+  savedSearches = [],
+  savedSearchCounts = null,
+  onSavedSearchSelect,
 }) {
   const activeModule = currentModule;
+  const missingScopes = getMissingScopes(grantedScopes);
 
   const handleModuleChange = (moduleId) => {
     if (onModuleChange) {
@@ -82,6 +91,18 @@ export function MainLayout({
       disabled: false,
       comingSoon: false,
     },
+    {
+      id: 'athlete-stats',
+      title: 'Athlete Stats',
+      icon: Trophy,
+      description: 'Recent, year-to-date and all-time totals, and how much of them is cached',
+    },
+    {
+      id: 'gear',
+      title: 'Gear',
+      icon: Footprints,
+      description: 'Track shoe and bike mileage and when to retire them',
+    },
   ];
 
   return (
@@ -115,6 +136,14 @@ export function MainLayout({
                 );
               })}
             </SidebarMenu>
+
+            {onSavedSearchSelect && (
+              <SavedSearchesNav
+                savedSearches={savedSearches}
+                counts={savedSearchCounts}
+                onSelect={onSavedSearchSelect}
+              />
+            )}
           </SidebarContent>
 
           <SidebarFooter className="border-t border-sidebar-border">
@@ -162,7 +191,28 @@ export function MainLayout({
             </div>
           </header>
 
-          <main className="flex-1 overflow-auto">{children}</main>
+          <main className="flex-1 overflow-auto">
+            {missingScopes.length > 0 && (
+              <div className="container mx-auto px-4 pt-4">
+                <Alert>
+                  <EyeOff className="h-4 w-4" />
+                  <AlertTitle>Some of your Strava data is hidden</AlertTitle>
+                  <AlertDescription>
+                    <p>Strava didn't grant access to:</p>
+                    <ul className="list-disc pl-5 mb-3">
+                      {missingScopes.map(({ scope, description }) => (
+                        <li key={scope}>{description}</li>
+                      ))}
+                    </ul>
+                    <Button size="sm" onClick={onUpgradeScopes}>
+                      Grant access on Strava
+                    </Button>
+                  </AlertDescription>
+                </Alert>
+              </div>
+            )}
+            {children}
+          </main>
         </SidebarInset>
       </SidebarProvider>
     </TooltipProvider>
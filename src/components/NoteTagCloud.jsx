@@ -0,0 +1,65 @@
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { format } from 'date-fns';
+import { Hash } from 'lucide-react';
+
+// Font sizes from the least to the most used tag
+const TAG_SIZES = ['text-xs', 'text-sm', 'text-base', 'text-lg', 'text-xl'];
+
+const formatDateRange = (firstDate, lastDate) => {
+  const first = format(new Date(firstDate), 'MMM d, yyyy');
+  const last = format(new Date(lastDate), 'MMM d, yyyy');
+  return first === last ? first : `${first} - ${last}`;
+};
+
+/**
+ * Hashtags and @-mentions from private notes, sized by how often they are used
+ * Clicking a tag filters the activity list to the activities whose notes contain it.
+ */
+export function NoteTagCloud({ tagSummary, selectedTag, onTagSelect }) {
+  const maxCount = Math.max(1, ...tagSummary.map((entry) => entry.count));
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Hash className="h-5 w-5 text-primary" />
+          Note Tags
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {tagSummary.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            No tags yet. Write #hashtags or @mentions in your private notes to see them here.
+          </p>
+        ) : (
+          <div className="flex flex-wrap gap-x-4 gap-y-3">
+            {tagSummary.map((entry) => {
+              const size =
+                TAG_SIZES[Math.round(((entry.count - 1) / Math.max(1, maxCount - 1)) * (TAG_SIZES.length - 1))];
+              const isSelected = entry.tag === selectedTag;
+
+              return (
+                <button
+                  key={entry.tag}
+                  type="button"
+                  onClick={() => onTagSelect(entry.tag)}
+                  className={`flex flex-col items-start rounded px-2 py-1 text-left hover:bg-muted ${
+                    isSelected ? 'bg-primary/10 ring-1 ring-primary' : ''
+                  }`}
+                >
+                  <span className={`${size} font-medium ${entry.tag.startsWith('@') ? 'text-accent' : 'text-primary'}`}>
+                    {entry.tag}
+                    <span className="ml-1 text-xs text-muted-foreground">{entry.count}</span>
+                  </span>
+                  <span className="text-xs text-muted-foreground">
+                    {formatDateRange(entry.firstDate, entry.lastDate)}
+                  </span>
+                </button>
+              );
+            })}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
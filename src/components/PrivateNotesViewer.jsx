@@ -1,23 +1,64 @@
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Skeleton } from '@/components/ui/skeleton';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { useActivityAnnotations } from '@/hooks/use-activity-annotations';
 import { useLocalStorage } from '@/hooks/use-local-storage';
-import { StravaAPI, formatDistance, formatDuration, formatElevation, formatSpeed } from '@/lib/strava-api';
-import { Activity, Database, RefreshCw, TableProperties, TrendingUp, User } from 'lucide-react';
-import { useEffect, useMemo, useState } from 'react';
+import { useLocation } from '@/hooks/use-location';
+import { useSearchSettings } from '@/hooks/use-search-settings';
+import { activityAnnotations } from '@/lib/activity-annotations';
+import { EXPORT_FORMAT, downloadActivities } from '@/lib/activity-export';
+import {
+  applyFiltersToQuery,
+  getNoteTagClauses,
+  getSearchClauses,
+  matchesActivityQuery,
+  parseActivityQuery,
+  queryToFilters,
+} from '@/lib/activity-query';
+import { summarizeNoteTags } from '@/lib/note-tags';
+import { REQUEST_PRIORITY } from '@/lib/request-scheduler';
+import { activityPath, modulePath, navigate, notesParams, readNotesParams, replaceSearchParams } from '@/lib/router';
+import { savedSearches as savedSearchStore } from '@/lib/saved-searches';
+import { searchSettings } from '@/lib/search-settings';
+import { formatDistance, formatDuration, formatElevation, formatSpeed } from '@/lib/strava-api';
+import { isAbortError } from '@/lib/strava-errors';
+import { intersectSearchResults, prepareQueryTokens, searchActivitiesInMemory, tokenizeQuery } from '@/lib/text-search';
+import { Activity, Database, Download, Pause, RefreshCw, TableProperties, TrendingUp, User } from 'lucide-react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import { toast } from 'sonner';
+import { ActivityAnnotationsCard } from './ActivityAnnotationEditor';
 import { ActivityCard } from './ActivityCard';
 import { ActivityFilters } from './ActivityFilters';
+import { ActivityNoteEditor } from './ActivityNoteEditor';
+import { ActivitySplits } from './ActivitySplits';
 import { ActivityTable } from './ActivityTable';
-
-export function PrivateNotesViewer({ accessToken, smartCache }) {
-  // Debug: Log accessToken
-  console.log('PrivateNotesViewer: Received accessToken', {
-    hasToken: !!accessToken,
-    tokenPreview: accessToken ? accessToken.substring(0, 8) + '...' : 'null',
+import { EditOutboxPanel } from './EditOutboxPanel';
+import { NoteTagCloud } from './NoteTagCloud';
+
+// Wait for a pause in typing before querying the search index
+const SEARCH_DEBOUNCE_MS = 150;
+
+export function PrivateNotesViewer({
+  isConnected,
+  smartCache,
+  canWrite = false,
+  onRequestWriteAccess,
+  activityId = null,
+  savedSearches = [],
+}) {
+  // Debug: Log connection state
+  console.log('PrivateNotesViewer: Received connection state', {
+    isConnected: !!isConnected,
+    hasSmartCache: !!smartCache,
   });
 
   const [activities, setActivities] = useLocalStorage('strava-activities', []);
@@ -28,18 +69,28 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
   const [isRealData, setIsRealData] = useLocalStorage('strava-real-data', false);
   const [units, setUnits] = useLocalStorage('strava-units', 'metric');
   const [viewMode, setViewMode] = useLocalStorage('strava-view-mode', 'table');
+  const [activeTab, setActiveTab] = useState('activities');
 
-  // Filter states
-  const [filters, setFilters] = useState({
-    activityType: 'all',
-    minDistance: '',
-    maxDistance: '',
-    titleKeywords: '',
-    notesKeywords: '',
-  });
+  // Filters, date range, view mode and units are also kept in the query string, so links and reloads keep them
+  const location = useLocation();
+
+  // The filter query (e.g. "type:run distance>10km -title:commute"); the filter form fields are read from it
+  const [query, setQuery] = useState(() => readNotesParams(location.search).query);
+  // Match mode, typo tolerance and synonyms for the query's words
+  const textMatch = useSearchSettings();
+  const parsedQuery = useMemo(() => parseActivityQuery(query, { units, textMatch }), [query, units, textMatch]);
+  const filters = useMemo(() => queryToFilters(parsedQuery.clauses, units), [parsedQuery, units]);
+
+  // Form field changes are written back into the query, leaving clauses the form doesn't show alone
+  const handleFiltersChange = (newFilters) => {
+    setQuery((current) => applyFiltersToQuery(current, newFilters, units));
+  };
+
+  // The athlete's local tags, ratings and RPE per activity
+  const annotations = useActivityAnnotations();
 
   // Date range for filtering and fetching
-  const [dateRange, setDateRange] = useState({ from: null, to: null });
+  const [dateRange, setDateRange] = useState(() => readNotesParams(location.search).dateRange);
 
   // Track the date range of currently loaded activities
   const [loadedDateRange, setLoadedDateRange] = useState({ from: null, to: null });
@@ -47,48 +98,105 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
   // Cache stats for display
   const [cacheStats, setCacheStats] = useState(null);
 
-  // Filtered activities based on current filters
-  const filteredActivities = useMemo(() => {
-    let filtered = activities;
+  // gearId -> name for the table's Gear column, from gear the Gear module has cached
+  const [gearNames, setGearNames] = useState(null);
 
-    // Filter by activity type
-    if (filters.activityType && filters.activityType !== 'all') {
-      filtered = filtered.filter((activity) => activity.type.toLowerCase() === filters.activityType.toLowerCase());
-    }
+  useEffect(() => {
+    if (!smartCache) return;
 
-    // Filter by distance range
-    if (filters.minDistance) {
-      const minDistanceMeters = Number.parseFloat(filters.minDistance) * (units === 'metric' ? 1000 : 1609.34);
-      filtered = filtered.filter((activity) => activity.distance >= minDistanceMeters);
-    }
-    if (filters.maxDistance) {
-      const maxDistanceMeters = Number.parseFloat(filters.maxDistance) * (units === 'metric' ? 1000 : 1609.34);
-      filtered = filtered.filter((activity) => activity.distance <= maxDistanceMeters);
+    smartCache.database
+      .getAllGear()
+      .then((gear) => setGearNames(new Map(gear.map((entry) => [entry.id, entry.nickname || entry.name]))))
+      .catch((error) => {
+        console.error('PrivateNotesViewer: Failed to load gear names', error);
+      });
+  }, [smartCache]);
+
+  // Lets the Stop button cancel a refresh that is fetching from the API
+  const refreshAbortRef = useRef(null);
+
+  // Ranked full-text matches for the query's text clauses (null while it has none)
+  const [searchResults, setSearchResults] = useState(null);
+  const searchClauses = useMemo(() => getSearchClauses(parsedQuery.clauses), [parsedQuery]);
+
+  useEffect(() => {
+    const clauses = searchClauses.filter((clause) => clause.query.trim());
+
+    if (clauses.length === 0) {
+      setSearchResults(null);
+      return;
     }
 
-    // Filter by title keywords
-    if (filters.titleKeywords) {
-      const keywords = filters.titleKeywords
-        .toLowerCase()
-        .split(' ')
-        .filter((k) => k.length > 0);
-      filtered = filtered.filter((activity) =>
-        keywords.every((keyword) => activity.name.toLowerCase().includes(keyword)),
-      );
+    let isCurrent = true;
+    const timer = setTimeout(async () => {
+      try {
+        // The index covers every cached activity; demo data only exists in memory
+        const resultLists = await Promise.all(
+          clauses.map((clause) =>
+            smartCache
+              ? smartCache.database.searchActivities(clause.query, { fields: clause.fields, ...textMatch })
+              : searchActivitiesInMemory(activities, clause.query, { fields: clause.fields, ...textMatch }),
+          ),
+        );
+        if (isCurrent) setSearchResults(intersectSearchResults(resultLists));
+      } catch (error) {
+        console.error('PrivateNotesViewer: Search failed', error);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [smartCache, activities, searchClauses, textMatch]);
+
+  // Activities per note tag the query filters by, from the database's note_tags index (null without a cache)
+  const [noteTagIds, setNoteTagIds] = useState(null);
+  const noteTagClauses = useMemo(() => getNoteTagClauses(parsedQuery.clauses), [parsedQuery]);
+  const noteTagKey = noteTagClauses.join(' ');
+
+  useEffect(() => {
+    if (!smartCache || !noteTagKey) {
+      setNoteTagIds(null);
+      return;
     }
 
-    // Filter by notes keywords
-    if (filters.notesKeywords) {
-      const keywords = filters.notesKeywords
-        .toLowerCase()
-        .split(' ')
-        .filter((k) => k.length > 0);
-      filtered = filtered.filter(
-        (activity) =>
-          activity.private_note && keywords.every((keyword) => activity.private_note.toLowerCase().includes(keyword)),
-      );
+    let isCurrent = true;
+    const tags = noteTagKey.split(' ');
+    Promise.all(tags.map((tag) => smartCache.database.getActivityIdsWithNoteTag(tag)))
+      .then((idSets) => {
+        if (isCurrent) setNoteTagIds(new Map(tags.map((tag, index) => [tag, idSets[index]])));
+      })
+      .catch((error) => {
+        console.error('PrivateNotesViewer: Note tag lookup failed', error);
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [smartCache, activities, noteTagKey]);
+
+  // Words to highlight in the list
+  const searchTokens = useMemo(
+    () => prepareQueryTokens(tokenizeQuery(searchClauses.map((clause) => clause.query).join(' ')), textMatch),
+    [searchClauses, textMatch],
+  );
+
+  // Filtered activities based on current filters
+  const filteredActivities = useMemo(() => {
+    let filtered = activities;
+
+    // Search results, best match first - prefer the loaded copy of an activity over the cached one
+    if (searchResults) {
+      const loadedActivities = new Map(activities.map((activity) => [String(activity.id), activity]));
+      filtered = searchResults.map((result) => loadedActivities.get(result.activityId) || result.activity);
     }
 
+    // Everything else in the query (the search index only answers the text clauses, and only positively)
+    filtered = filtered.filter((activity) =>
+      matchesActivityQuery(activity, parsedQuery.clauses, { annotations, noteTagIds }),
+    );
+
     // Filter by date range if set
     if (dateRange.from && dateRange.to) {
       filtered = filtered.filter((activity) => {
@@ -98,7 +206,7 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
     }
 
     return filtered;
-  }, [activities, filters, units, dateRange]);
+  }, [activities, searchResults, annotations, noteTagIds, parsedQuery, dateRange]);
 
   // Available activity types for filter dropdown
   const availableActivityTypes = useMemo(() => {
@@ -106,6 +214,47 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
     return types.sort();
   }, [activities]);
 
+  // Hashtags and @mentions across every cached note, for the tag cloud (demo data only has the loaded notes)
+  const [cachedNoteTagSummary, setCachedNoteTagSummary] = useState(null);
+  const noteTagSummary = useMemo(
+    () => cachedNoteTagSummary || summarizeNoteTags(activities),
+    [cachedNoteTagSummary, activities],
+  );
+
+  useEffect(() => {
+    if (!smartCache) {
+      setCachedNoteTagSummary(null);
+      return;
+    }
+
+    let isCurrent = true;
+    smartCache.database
+      .getNoteTagSummary()
+      .then((summary) => {
+        if (isCurrent) setCachedNoteTagSummary(summary);
+      })
+      .catch((error) => {
+        console.error('PrivateNotesViewer: Failed to summarize note tags', error);
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [smartCache, activities]);
+
+  const handleNoteTagSelect = (tag) => {
+    handleFiltersChange({ ...filters, noteTag: filters.noteTag === tag ? 'all' : tag });
+    setActiveTab('activities');
+  };
+
+  // Tags in use, for the tag filter (recomputed when annotations change)
+  const availableTags = useMemo(() => activityAnnotations.getTagCounts(), [annotations]);
+
+  const handleExport = (format) => {
+    downloadActivities(filteredActivities, annotations, format);
+    toast.success(`Exported ${filteredActivities.length} activities`);
+  };
+
   // Stats calculations
   const stats = useMemo(() => {
     const totalDistance = filteredActivities.reduce((sum, activity) => sum + (activity.distance || 0), 0);
@@ -214,7 +363,7 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
 
   const refreshData = async () => {
     console.log('refreshData: Starting efficient cache-first data refresh', {
-      hasAccessToken: !!accessToken,
+      isConnected: !!isConnected,
       hasSmartCache: !!smartCache,
       activitiesCount: activities.length,
       dateRange: {
@@ -224,8 +373,8 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
       timestamp: new Date().toISOString(),
     });
 
-    if (!accessToken) {
-      console.log('refreshData: No access token, loading demo data');
+    if (!isConnected) {
+      console.log('refreshData: Not connected to Strava, loading demo data');
       await loadDemoData();
       return;
     }
@@ -237,6 +386,9 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
     }
 
     setIsLoading(true);
+    const abortController = new AbortController();
+    refreshAbortRef.current = abortController;
+    const { signal } = abortController;
 
     try {
       // STEP 1: Load all cached activities immediately
@@ -358,13 +510,16 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
             isDateRangeQuery: !!(dateRange.from && dateRange.to),
           });
 
-          const stravaAPI = new StravaAPI(accessToken);
+          const stravaAPI = smartCache.createStravaAPI();
 
           // Test API connection
           try {
-            await stravaAPI.getAthlete();
+            await stravaAPI.getAthlete({ signal });
             console.log('refreshData: API connection verified');
           } catch (testError) {
+            if (isAbortError(testError)) {
+              throw testError;
+            }
             console.warn('refreshData: API connection failed, using cached data only', testError.message);
             if (relevantCachedActivities.length > 0) {
               toast.info('API unavailable, showing cached activities only');
@@ -374,12 +529,24 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
             return;
           }
 
-          // Fetch activities from API for the determined range
-          const apiActivities = await stravaAPI.getActivities({
-            after: fetchAfter,
-            before: fetchBefore,
-            per_page: 200, // Fetch more for date range queries
-          });
+          // Fetch every page of activities for the determined range
+          const progressToastId = 'refresh-activities-progress';
+          let apiActivities;
+          try {
+            apiActivities = await stravaAPI.getAllActivities({
+              after: fetchAfter,
+              before: fetchBefore,
+              signal,
+              onProgress: ({ page, total }) => {
+                // Only worth showing for long ranges that need several pages
+                if (page > 1) {
+                  toast.loading(`Fetching activities from Strava... ${total} so far`, { id: progressToastId });
+                }
+              },
+            });
+          } finally {
+            toast.dismiss(progressToastId);
+          }
 
           console.log('refreshData: API activities fetched', {
             apiCount: apiActivities.length,
@@ -405,7 +572,7 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
 
             if (newActivities.length > 0) {
               // Use smart cache to efficiently get detailed data for new activities
-              const detailedNewActivities = await smartCache.loadActivitiesWithPrivateNotes(newActivities);
+              const detailedNewActivities = await smartCache.loadActivitiesWithPrivateNotes(newActivities, { signal });
 
               console.log('refreshData: New activities processed', {
                 newDetailedCount: detailedNewActivities.length,
@@ -458,6 +625,13 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
             }
           }
         } catch (apiError) {
+          if (isAbortError(apiError)) {
+            // Activities fetched before the stop are in the cache and show up on the next refresh
+            console.log('refreshData: Stopped by user, showing cached activities');
+            toast.info('Refresh stopped. Showing cached activities.');
+            return;
+          }
+
           console.warn('refreshData: API fetch failed, using cached data only', {
             error: apiError.message,
             hasCachedData: relevantCachedActivities.length > 0,
@@ -522,10 +696,18 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
       await loadDemoData();
       toast.error('Failed to load activities. Showing demo data.');
     } finally {
+      refreshAbortRef.current = null;
       setIsLoading(false);
     }
   };
 
+  const stopRefresh = () => {
+    refreshAbortRef.current?.abort();
+  };
+
+  // Stop fetching when the viewer is closed
+  useEffect(() => () => refreshAbortRef.current?.abort(), []);
+
   const loadDemoData = async () => {
     console.log('loadDemoData: Loading demo data');
 
@@ -608,19 +790,20 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
     });
   };
 
-  const handleActivitySelect = async (activity) => {
-    console.log('handleActivitySelect: Activity selected', {
+  // Load and show an activity's details (the route says which one - see handleActivitySelect)
+  const showActivity = async (activity) => {
+    console.log('showActivity: Activity selected', {
       activityId: activity.id,
       activityName: activity.name,
-      hasAccessToken: !!accessToken,
+      isConnected: !!isConnected,
     });
 
     setSelectedActivity(activity);
     setSelectedActivityDetails(null);
 
-    if (!accessToken) {
+    if (!isConnected) {
       // For demo mode, we already have all the details
-      console.log('handleActivitySelect: Demo mode, using activity data directly');
+      console.log('showActivity: Demo mode, using activity data directly');
       setSelectedActivityDetails(activity);
       return;
     }
@@ -632,30 +815,34 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
         try {
           const cachedActivity = await smartCache.database.getActivity(activity.id);
           if (cachedActivity) {
-            console.log('handleActivitySelect: Using smart cached activity data');
+            console.log('showActivity: Using smart cached activity data');
             setSelectedActivityDetails(cachedActivity);
             setIsLoadingDetails(false);
             return;
           }
         } catch (cacheError) {
-          console.warn('handleActivitySelect: Failed to check smart cache', cacheError);
+          console.warn('showActivity: Failed to check smart cache', cacheError);
         }
       }
 
-      const stravaAPI = new StravaAPI(accessToken);
-      const details = await stravaAPI.getActivity(activity.id);
+      if (!smartCache) {
+        throw new Error('Smart cache not ready');
+      }
+
+      const stravaAPI = smartCache.createStravaAPI();
+      const details = await stravaAPI.getActivity(activity.id, { priority: REQUEST_PRIORITY.INTERACTIVE });
 
       // Cache the detailed data in smart cache
       if (smartCache) {
         try {
           await smartCache.database.storeActivity(details);
-          console.log('handleActivitySelect: Stored activity in smart cache');
+          console.log('showActivity: Stored activity in smart cache');
         } catch (cacheError) {
-          console.warn('handleActivitySelect: Failed to store in smart cache', cacheError);
+          console.warn('showActivity: Failed to store in smart cache', cacheError);
         }
       }
 
-      console.log('handleActivitySelect: Activity details loaded', {
+      console.log('showActivity: Activity details loaded', {
         activityId: activity.id,
         hasPrivateNote: !!details.private_note,
         privateNoteLength: details.private_note ? details.private_note.length : 0,
@@ -663,14 +850,14 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
 
       setSelectedActivityDetails(details);
     } catch (error) {
-      console.error('handleActivitySelect: Failed to load activity details', {
+      console.error('showActivity: Failed to load activity details', {
         activityId: activity.id,
         error: error.message,
         errorType: error.constructor.name,
       });
 
       // Fallback to the activity summary data
-      console.log('handleActivitySelect: Using summary data as fallback');
+      console.log('showActivity: Using summary data as fallback');
       setSelectedActivityDetails(activity);
       toast.error('Failed to load detailed activity data. Showing summary.');
     } finally {
@@ -693,6 +880,100 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
     setDateRange(newRange);
   };
 
+  const handleActivitySelect = (activity) => {
+    showActivity(activity);
+    navigate(`${activityPath(activity.id)}${location.search}`, { state: { fromList: true } });
+  };
+
+  // Back to the list: the entry the list came from if there is one, otherwise (a deep link) the list in its place
+  const closeActivity = () => {
+    if (location.state?.fromList) {
+      window.history.back();
+    } else {
+      navigate(`${modulePath('private-notes')}${location.search}`, { replace: true });
+    }
+  };
+
+  // Open the activity a link points at - loaded, cached, or fetched from Strava
+  const openingActivityIdRef = useRef(null);
+  const openActivityById = async (id) => {
+    const loadedActivity = activities.find((activity) => String(activity.id) === id);
+    if (loadedActivity) {
+      showActivity(loadedActivity);
+      return;
+    }
+
+    // Wait for the smart cache when connected
+    if (isConnected && !smartCache) return;
+    if (openingActivityIdRef.current === id) return;
+    openingActivityIdRef.current = id;
+
+    console.log('openActivityById: Activity not loaded, looking it up', { activityId: id, isConnected: !!isConnected });
+    try {
+      // The id comes from the URL as a string; the cache finds it whichever form it was stored under
+      let activity = smartCache ? await smartCache.getCachedActivity(id) : null;
+      if (!activity && isConnected) {
+        setIsLoadingDetails(true);
+        activity = await smartCache.createStravaAPI().getActivity(id, { priority: REQUEST_PRIORITY.INTERACTIVE });
+        await smartCache.storeActivity(activity);
+      }
+
+      if (activity) {
+        setSelectedActivity(activity);
+        setSelectedActivityDetails(activity);
+      } else {
+        toast.error('That activity is not available here');
+        navigate(`${modulePath('private-notes')}${location.search}`, { replace: true });
+      }
+    } catch (error) {
+      console.error('openActivityById: Failed to load activity', { activityId: id, error: error.message });
+      toast.error('Failed to load the activity');
+      navigate(`${modulePath('private-notes')}${location.search}`, { replace: true });
+    } finally {
+      openingActivityIdRef.current = null;
+      setIsLoadingDetails(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!activityId) {
+      setSelectedActivity(null);
+      setSelectedActivityDetails(null);
+      return;
+    }
+    if (selectedActivity && String(selectedActivity.id) === activityId) return;
+    openActivityById(activityId);
+  }, [activityId, smartCache, isConnected]);
+
+  // Follow the query string when it changes under us (back/forward, a saved search, a pasted link)
+  useEffect(() => {
+    const params = readNotesParams(location.search);
+    const current = notesParams({ dateRange });
+    const linked = notesParams({ dateRange: params.dateRange });
+
+    setQuery(params.query);
+    if (Object.keys(linked).some((name) => linked[name] !== current[name])) {
+      handleDateRangeChange(params.dateRange);
+    }
+    if (params.viewMode && params.viewMode !== viewMode) setViewMode(params.viewMode);
+    if (params.units && params.units !== units) setUnits(params.units);
+  }, [location.search]);
+
+  // ...and keep it up to date (replacing the history entry - filter edits aren't steps to go back through)
+  useEffect(() => {
+    replaceSearchParams(notesParams({ query, dateRange, viewMode, units }));
+  }, [query, dateRange, viewMode, units]);
+
+  const handleSaveSearch = async (name) => {
+    try {
+      const saved = await savedSearchStore.save({ name, query, dateRange, units });
+      toast.success(`Saved search "${saved.name}"`);
+    } catch (error) {
+      console.error('PrivateNotesViewer: Failed to save search', error);
+      toast.error('Could not save the search');
+    }
+  };
+
   // Load cache stats when smartCache is available
   useEffect(() => {
     if (smartCache) {
@@ -710,10 +991,38 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
     }
   }, [smartCache]);
 
+  // Apply activities created, edited or deleted on Strava (pushed via webhooks) to the loaded list
+  useEffect(() => {
+    if (!smartCache) return;
+
+    return smartCache.onActivitiesChanged(({ upserted, deletedIds }) => {
+      const changedIds = new Set([...deletedIds, ...upserted.map((activity) => String(activity.id))]);
+      const updatedActivities = [...activities.filter((activity) => !changedIds.has(String(activity.id))), ...upserted];
+      updatedActivities.sort((a, b) => new Date(b.start_date) - new Date(a.start_date));
+
+      console.log('PrivateNotesViewer: Applying activity changes from Strava', {
+        upserted: upserted.length,
+        deleted: deletedIds.length,
+      });
+      setActivities(updatedActivities);
+
+      if (selectedActivity && changedIds.has(String(selectedActivity.id))) {
+        const updatedSelection = upserted.find((activity) => String(activity.id) === String(selectedActivity.id));
+        if (updatedSelection) {
+          setSelectedActivity(updatedSelection);
+          setSelectedActivityDetails(updatedSelection);
+        } else {
+          // Deleted on Strava - its route leads nowhere now
+          navigate(`${modulePath('private-notes')}${window.location.search}`, { replace: true });
+        }
+      }
+    });
+  }, [smartCache, activities, selectedActivity]);
+
   // Load initial data
   useEffect(() => {
     console.log('useEffect: Initial data load triggered', {
-      hasAccessToken: !!accessToken,
+      isConnected: !!isConnected,
       hasSmartCache: !!smartCache,
       activitiesCount: activities.length,
       isRealData,
@@ -721,23 +1030,23 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
     });
 
     const loadInitialData = async () => {
-      if (accessToken) {
-        // Wait for smart cache to be initialized if access token is available
+      if (isConnected) {
+        // Wait for smart cache to be initialized if connected to Strava
         if (smartCache) {
-          console.log('useEffect: Access token and smart cache available, fetching real data');
+          console.log('useEffect: Connected and smart cache available, fetching real data');
           await refreshData();
         } else {
-          console.log('useEffect: Access token available but smart cache not ready yet');
+          console.log('useEffect: Connected but smart cache not ready yet');
         }
       } else if (activities.length === 0) {
-        // Only load demo data if no access token and no activities
-        console.log('useEffect: No access token, loading demo data');
+        // Only load demo data if not connected and no activities
+        console.log('useEffect: Not connected, loading demo data');
         await loadDemoData();
       }
     };
 
     loadInitialData();
-  }, [accessToken, smartCache]); // Added smartCache dependency
+  }, [isConnected, smartCache]); // Added smartCache dependency
 
   // Refresh data when date range changes and we need additional data
   useEffect(() => {
@@ -752,7 +1061,7 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
     return (
       <div className="container mx-auto p-4">
         <div className="mb-4">
-          <Button variant="outline" onClick={() => setSelectedActivity(null)} className="mb-4">
+          <Button variant="outline" onClick={closeActivity} className="mb-4">
             ← Back to Activities
           </Button>
         </div>
@@ -815,20 +1124,21 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
                     </div>
                   </div>
 
-                  <div className="mt-8">
-                    <Card className="bg-blue-50 dark:bg-blue-950 border-blue-200 dark:border-blue-800">
-                      <CardHeader className="pb-3">
-                        <CardTitle className="text-lg flex items-center gap-2">
-                          <span className="text-blue-600 dark:text-blue-400">📝</span>
-                          Private Notes
-                        </CardTitle>
-                      </CardHeader>
-                      <CardContent>
-                        <p className="text-sm whitespace-pre-wrap text-blue-900 dark:text-blue-100">
-                          {selectedActivityDetails.private_note || 'N/A'}
-                        </p>
-                      </CardContent>
-                    </Card>
+                  <div className="mt-8 grid grid-cols-1 md:grid-cols-2 gap-6 items-start">
+                    <ActivityNoteEditor
+                      activity={selectedActivityDetails}
+                      smartCache={smartCache}
+                      isConnected={isConnected}
+                      canWrite={canWrite}
+                      onRequestWriteAccess={onRequestWriteAccess}
+                    />
+                    <ActivitySplits
+                      activity={selectedActivityDetails}
+                      smartCache={smartCache}
+                      isConnected={isConnected}
+                      units={units}
+                    />
+                    <ActivityAnnotationsCard activity={selectedActivityDetails} />
                   </div>
                 </>
               ) : (
@@ -848,12 +1158,12 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
       {/* Header with controls */}
       <div className="flex items-center justify-between mb-6">
         <div className="flex items-center gap-3">
-          {!accessToken && (
+          {!isConnected && (
             <Badge variant="outline" className="bg-yellow-100 text-yellow-800 border-yellow-300">
               Demo Mode
             </Badge>
           )}
-          {accessToken && isRealData && (
+          {isConnected && isRealData && (
             <Badge variant="outline" className="bg-green-100 text-green-800 border-green-300">
               Live Data
             </Badge>
@@ -873,6 +1183,24 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
             <RefreshCw className={`mr-2 h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
             Refresh
           </Button>
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button variant="outline" disabled={filteredActivities.length === 0}>
+                <Download className="mr-2 h-4 w-4" />
+                Export
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              <DropdownMenuItem onClick={() => handleExport(EXPORT_FORMAT.CSV)}>CSV (spreadsheet)</DropdownMenuItem>
+              <DropdownMenuItem onClick={() => handleExport(EXPORT_FORMAT.JSON)}>JSON</DropdownMenuItem>
+            </DropdownMenuContent>
+          </DropdownMenu>
+          {isLoading && (
+            <Button variant="outline" onClick={stopRefresh}>
+              <Pause className="mr-2 h-4 w-4" />
+              Stop
+            </Button>
+          )}
 
           {/* Smart Cache Status */}
           {smartCache && cacheStats && (
@@ -887,6 +1215,15 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
         </div>
       </div>
 
+      {/* Edits waiting to reach Strava */}
+      <EditOutboxPanel
+        smartCache={smartCache}
+        onActivitySelect={(activityId) => {
+          const activity = activities.find((candidate) => String(candidate.id) === activityId);
+          if (activity) handleActivitySelect(activity);
+        }}
+      />
+
       {/* Stats Overview */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
         <Card>
@@ -927,7 +1264,7 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
         </Card>
       </div>
 
-      <Tabs defaultValue="activities" className="space-y-4">
+      <Tabs value={activeTab} onValueChange={setActiveTab} className="space-y-4">
         <div className="flex items-center justify-between">
           <TabsList>
             <TabsTrigger value="activities">Recent Activities</TabsTrigger>
@@ -960,10 +1297,19 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
           {/* Activity Filters */}
           <ActivityFilters
             filters={filters}
-            onFiltersChange={setFilters}
+            onFiltersChange={handleFiltersChange}
+            query={query}
+            onQueryChange={setQuery}
+            queryErrors={parsedQuery.errors}
+            clauseCount={parsedQuery.clauses.length}
             dateRange={dateRange}
             onDateRangeChange={handleDateRangeChange}
             availableActivityTypes={availableActivityTypes}
+            availableTags={availableTags}
+            textMatch={textMatch}
+            onTextMatchChange={(changes) => searchSettings.update(changes)}
+            onSaveSearch={handleSaveSearch}
+            savedSearchName={savedSearches.find((savedSearch) => savedSearch.query === query)?.name || ''}
           />
 
           {isLoading ? (
@@ -997,13 +1343,22 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
               </CardContent>
             </Card>
           ) : viewMode === 'table' ? (
-            <ActivityTable activities={filteredActivities} onActivitySelect={handleActivitySelect} units={units} />
+            <ActivityTable
+              activities={filteredActivities}
+              annotations={annotations}
+              searchTokens={searchTokens}
+              onClick={handleActivitySelect}
+              units={units}
+              gearNames={gearNames}
+            />
           ) : (
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
               {filteredActivities.map((activity) => (
                 <ActivityCard
                   key={activity.id}
                   activity={activity}
+                  annotation={annotations.get(String(activity.id))}
+                  searchTokens={searchTokens}
                   onClick={() => handleActivitySelect(activity)}
                   units={units}
                 />
@@ -1032,6 +1387,7 @@ export function PrivateNotesViewer({ accessToken, smartCache }) {
                 </div>
               </CardContent>
             </Card>
+            <NoteTagCloud tagSummary={noteTagSummary} selectedTag={filters.noteTag} onTagSelect={handleNoteTagSelect} />
           </div>
         </TabsContent>
       </Tabs>
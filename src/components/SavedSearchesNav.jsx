@@ -0,0 +1,129 @@
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import {
+  SidebarGroup,
+  SidebarGroupAction,
+  SidebarGroupContent,
+  SidebarGroupLabel,
+  SidebarMenu,
+  SidebarMenuAction,
+  SidebarMenuBadge,
+  SidebarMenuButton,
+  SidebarMenuItem,
+} from '@/components/ui/sidebar';
+import { downloadSavedSearches, savedSearches as savedSearchStore } from '@/lib/saved-searches';
+import { Download, MoreHorizontal, Search, Trash2, Upload } from 'lucide-react';
+import { useRef } from 'react';
+import { toast } from 'sonner';
+
+/**
+ * Sidebar list of saved searches with how many cached activities each matches
+ * Selecting one opens it in the Private Notes Viewer; the group menu exports and imports them as JSON.
+ */
+export function SavedSearchesNav({ savedSearches, counts, onSelect }) {
+  const fileInputRef = useRef(null);
+
+  const handleExport = () => {
+    downloadSavedSearches(savedSearches);
+    toast.success(`Exported ${savedSearches.length} saved ${savedSearches.length === 1 ? 'search' : 'searches'}`);
+  };
+
+  const handleImport = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const { added, updated } = await savedSearchStore.importJson(await file.text());
+      toast.success(`Imported saved searches: ${added} added, ${updated} updated`);
+    } catch (error) {
+      console.error('SavedSearchesNav: Import failed', error);
+      toast.error(`Could not import saved searches: ${error.message}`);
+    }
+  };
+
+  const handleDelete = async (savedSearch) => {
+    try {
+      await savedSearchStore.remove(savedSearch.id);
+      toast.success(`Deleted "${savedSearch.name}"`);
+    } catch (error) {
+      console.error('SavedSearchesNav: Delete failed', error);
+      toast.error(`Could not delete "${savedSearch.name}"`);
+    }
+  };
+
+  return (
+    <SidebarGroup>
+      <SidebarGroupLabel>Saved Searches</SidebarGroupLabel>
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <SidebarGroupAction title="Export or import saved searches">
+            <MoreHorizontal />
+            <span className="sr-only">Saved search options</span>
+          </SidebarGroupAction>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent side="right" align="start">
+          <DropdownMenuItem onClick={handleExport} disabled={savedSearches.length === 0}>
+            <Download className="mr-2 h-4 w-4" />
+            Export as JSON
+          </DropdownMenuItem>
+          <DropdownMenuItem onClick={() => fileInputRef.current?.click()}>
+            <Upload className="mr-2 h-4 w-4" />
+            Import from JSON
+          </DropdownMenuItem>
+        </DropdownMenuContent>
+      </DropdownMenu>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        className="hidden"
+        onChange={handleImport}
+      />
+
+      <SidebarGroupContent>
+        {savedSearches.length === 0 ? (
+          <p className="px-2 text-xs text-muted-foreground">
+            Save the filters in the Private Notes Viewer to keep them here.
+          </p>
+        ) : (
+          <SidebarMenu>
+            {savedSearches.map((savedSearch) => (
+              <SidebarMenuItem key={savedSearch.id}>
+                <SidebarMenuButton
+                  onClick={() => onSelect(savedSearch)}
+                  tooltip={savedSearch.query || 'All activities'}
+                  className="pr-14"
+                >
+                  <Search className="h-4 w-4" />
+                  <span>{savedSearch.name}</span>
+                </SidebarMenuButton>
+                {counts?.has(savedSearch.id) && (
+                  <SidebarMenuBadge className="right-7">{counts.get(savedSearch.id)}</SidebarMenuBadge>
+                )}
+                <DropdownMenu>
+                  <DropdownMenuTrigger asChild>
+                    <SidebarMenuAction showOnHover>
+                      <MoreHorizontal />
+                      <span className="sr-only">More</span>
+                    </SidebarMenuAction>
+                  </DropdownMenuTrigger>
+                  <DropdownMenuContent side="right" align="start">
+                    <DropdownMenuItem onClick={() => handleDelete(savedSearch)}>
+                      <Trash2 className="mr-2 h-4 w-4" />
+                      Delete
+                    </DropdownMenuItem>
+                  </DropdownMenuContent>
+                </DropdownMenu>
+              </SidebarMenuItem>
+            ))}
+          </SidebarMenu>
+        )}
+      </SidebarGroupContent>
+    </SidebarGroup>
+  );
+}
@@ -6,6 +6,7 @@ import { Progress } from '@/components/ui/progress';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Switch } from '@/components/ui/switch';
 import { formatDistance, formatDuration } from '@/lib/strava-api';
+import { StravaAuthError } from '@/lib/strava-errors';
 import { WeeklyMileageCalculator } from '@/lib/weekly-mileage-calculator';
 import { WeeklyMileageDatabase } from '@/lib/weekly-mileage-database';
 import {
@@ -23,11 +24,11 @@ import {
   TrendingUp,
   XCircle,
 } from 'lucide-react';
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { Bar, CartesianGrid, ComposedChart, Legend, Line, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
 import { toast } from 'sonner';
 
-export function WeeklyMileageTracker({ accessToken, smartCache }) {
+export function WeeklyMileageTracker({ isConnected, smartCache }) {
   const [units, setUnits] = useState('imperial'); // Default to imperial
   const [weeklyData, setWeeklyData] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
@@ -37,6 +38,7 @@ export function WeeklyMileageTracker({ accessToken, smartCache }) {
   const [calculator, setCalculator] = useState(null);
   const [database] = useState(new WeeklyMileageDatabase());
   const [hasAutoStarted, setHasAutoStarted] = useState(false);
+  const calculationAbortRef = useRef(null);
 
   // Chart configuration state
   const [chartTimeRange, setChartTimeRange] = useState('6months'); // 6months, 1year, 2years
@@ -49,12 +51,12 @@ export function WeeklyMileageTracker({ accessToken, smartCache }) {
 
   // Initialize calculator when dependencies are ready
   useEffect(() => {
-    if (accessToken && smartCache && !calculator) {
+    if (isConnected && smartCache && !calculator) {
       console.log('WeeklyMileageTracker: Initializing calculator');
-      const calc = new WeeklyMileageCalculator(accessToken, smartCache);
+      const calc = new WeeklyMileageCalculator(smartCache);
       setCalculator(calc);
     }
-  }, [accessToken, smartCache, calculator]);
+  }, [isConnected, smartCache, calculator]);
 
   // Load existing weekly data on component mount
   useEffect(() => {
@@ -71,6 +73,23 @@ export function WeeklyMileageTracker({ accessToken, smartCache }) {
     }
   }, [calculator, hasAutoStarted, isCalculating]);
 
+  // Keep calculated weeks in sync with activities created, edited or deleted on Strava
+  useEffect(() => {
+    if (!smartCache || !calculator) return;
+
+    return smartCache.onActivitiesChanged(async (change) => {
+      try {
+        const updatedWeeks = await calculator.applyActivityChanges(change);
+        if (updatedWeeks.length > 0) {
+          await loadWeeklyData();
+          await loadDatabaseStats();
+        }
+      } catch (error) {
+        console.error('WeeklyMileageTracker: Failed to apply activity changes', error);
+      }
+    });
+  }, [smartCache, calculator]);
+
   // Auto-refresh data every 5 seconds during calculation
   useEffect(() => {
     let interval;
@@ -122,19 +141,27 @@ export function WeeklyMileageTracker({ accessToken, smartCache }) {
       return;
     }
 
+    const abortController = new AbortController();
+    calculationAbortRef.current = abortController;
+
     try {
       setIsCalculating(true);
       toast.info('Starting weekly mileage calculation...');
 
-      const stats = await calculator.calculateWeeklyMileage();
+      const stats = await calculator.calculateWeeklyMileage({ signal: abortController.signal });
       setCalculationStats(stats);
 
       // Reload data after calculation
       await loadWeeklyData();
       await loadDatabaseStats();
 
-      if (stats.rateLimitReached) {
-        toast.warning(`Calculation stopped due to rate limits. Processed ${stats.weeksProcessed} weeks.`, {
+      if (stats.cancelled) {
+        toast.info(`Calculation stopped. Processed ${stats.weeksProcessed} weeks.`);
+      } else if (stats.rateLimitReached) {
+        const resumeHint = stats.rateLimitResetsAt
+          ? ` Try again after ${stats.rateLimitResetsAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`
+          : '';
+        toast.warning(`Calculation stopped due to rate limits. Processed ${stats.weeksProcessed} weeks.${resumeHint}`, {
           duration: 6000,
         });
       } else {
@@ -145,12 +172,24 @@ export function WeeklyMileageTracker({ accessToken, smartCache }) {
       }
     } catch (error) {
       console.error('WeeklyMileageTracker: Calculation failed', error);
-      toast.error(`Calculation failed: ${error.message}`);
+      if (error instanceof StravaAuthError) {
+        toast.error('Your Strava session has expired. Please sign in again to continue the calculation.');
+      } else {
+        toast.error(`Calculation failed: ${error.message}`);
+      }
     } finally {
+      calculationAbortRef.current = null;
       setIsCalculating(false);
     }
   };
 
+  const stopCalculation = () => {
+    calculationAbortRef.current?.abort();
+  };
+
+  // Don't keep spending API quota for a tab section that is no longer shown
+  useEffect(() => () => calculationAbortRef.current?.abort(), []);
+
   const formatWeekRange = (weekStart, weekEnd) => {
     const start = new Date(weekStart);
     const end = new Date(weekEnd);
@@ -381,11 +420,22 @@ export function WeeklyMileageTracker({ accessToken, smartCache }) {
             </div>
 
             {/* Calculation Status */}
-            {isCalculating && (
+            {isCalculating ? (
               <div className="flex items-center gap-2 text-sm text-muted-foreground">
                 <div className="w-2 h-2 bg-orange-500 rounded-full animate-pulse"></div>
                 Calculating...
+                <Button variant="outline" size="sm" onClick={stopCalculation}>
+                  <Pause className="mr-2 h-4 w-4" />
+                  Stop
+                </Button>
               </div>
+            ) : (
+              calculator && (
+                <Button variant="outline" size="sm" onClick={startCalculation}>
+                  <Play className="mr-2 h-4 w-4" />
+                  Calculate
+                </Button>
+              )
             )}
           </div>
         </div>
@@ -768,7 +818,9 @@ export function WeeklyMileageTracker({ accessToken, smartCache }) {
                 <div>
                   <div className="font-medium">Status</div>
                   <div className="text-sm">
-                    {calculationStats.rateLimitReached ? (
+                    {calculationStats.cancelled ? (
+                      <Badge variant="secondary">Stopped</Badge>
+                    ) : calculationStats.rateLimitReached ? (
                       <Badge variant="destructive">Rate Limited</Badge>
                     ) : (
                       <Badge variant="default">Complete</Badge>
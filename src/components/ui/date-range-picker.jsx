@@ -2,7 +2,7 @@ import { Button } from '@/components/ui/button';
 import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
 import { format } from 'date-fns';
 import { CalendarIcon } from 'lucide-react';
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import DatePicker from 'react-datepicker';
 import 'react-datepicker/dist/react-datepicker.css';
 import './date-range-picker.css';
@@ -12,6 +12,12 @@ export function DateRangePicker({ value, onChange, className = '', placeholder =
   const [startDate, setStartDate] = useState(value?.from || null);
   const [endDate, setEndDate] = useState(value?.to || null);
 
+  // Follow ranges set from outside (a link, a saved search, clearing the filters)
+  useEffect(() => {
+    setStartDate(value?.from || null);
+    setEndDate(value?.to || null);
+  }, [value?.from, value?.to]);
+
   const handleDateChange = (dates) => {
     const [start, end] = dates;
     setStartDate(start);
@@ -0,0 +1,19 @@
+import { activityAnnotations } from '@/lib/activity-annotations';
+import { useEffect, useState } from 'react';
+
+/**
+ * Hook for following the athlete's local activity annotations
+ * @returns {Map} - activityId -> annotation
+ */
+export function useActivityAnnotations() {
+  const [annotations, setAnnotations] = useState(() => activityAnnotations.getAll());
+
+  useEffect(() => {
+    const unsubscribe = activityAnnotations.subscribe(setAnnotations);
+    activityAnnotations.load();
+    setAnnotations(activityAnnotations.getAll());
+    return unsubscribe;
+  }, []);
+
+  return annotations;
+}
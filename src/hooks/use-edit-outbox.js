@@ -0,0 +1,22 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * Hook for following the smart cache's edit outbox
+ * @param {SmartActivityCache|null} smartCache
+ * @returns {Array} - Current outbox entries, oldest first (empty without a cache)
+ */
+export function useEditOutbox(smartCache) {
+  const [entries, setEntries] = useState(() => smartCache?.outbox.getEntries() || []);
+
+  useEffect(() => {
+    if (!smartCache) {
+      setEntries([]);
+      return;
+    }
+
+    setEntries(smartCache.outbox.getEntries());
+    return smartCache.outbox.subscribe(setEntries);
+  }, [smartCache]);
+
+  return entries;
+}
@@ -0,0 +1,18 @@
+import { getLocation, subscribe } from '@/lib/router';
+import { useEffect, useState } from 'react';
+
+/**
+ * Hook for following the current path and query string (see lib/router)
+ * @returns {{ pathname: string, search: string, state: * }}
+ */
+export function useLocation() {
+  const [location, setLocation] = useState(getLocation);
+
+  useEffect(() => {
+    const unsubscribe = subscribe(setLocation);
+    setLocation(getLocation());
+    return unsubscribe;
+  }, []);
+
+  return location;
+}
@@ -0,0 +1,54 @@
+import { useActivityAnnotations } from '@/hooks/use-activity-annotations';
+import { useSearchSettings } from '@/hooks/use-search-settings';
+import { countSavedSearchMatches, savedSearches as savedSearchStore } from '@/lib/saved-searches';
+import { useEffect, useState } from 'react';
+
+/**
+ * Hook for following the saved searches and how many cached activities each one matches
+ * Counts are recomputed from the activity database when a search, an annotation, a synced activity or the
+ * text matching settings change.
+ * @param {Object} smartCache - Without one there is nothing cached to count, and counts stay null
+ * @returns {{ savedSearches: Array, counts: Map|null }} - counts: savedSearchId -> number of activities
+ */
+export function useSavedSearches(smartCache) {
+  const [savedSearches, setSavedSearches] = useState(() => savedSearchStore.getAll());
+  const [counts, setCounts] = useState(null);
+  const [activitiesVersion, setActivitiesVersion] = useState(0);
+  const annotations = useActivityAnnotations();
+  const textMatch = useSearchSettings();
+
+  useEffect(() => {
+    const unsubscribe = savedSearchStore.subscribe(setSavedSearches);
+    savedSearchStore.load();
+    setSavedSearches(savedSearchStore.getAll());
+    return unsubscribe;
+  }, []);
+
+  useEffect(() => {
+    if (!smartCache) return;
+    return smartCache.onActivitiesChanged(() => setActivitiesVersion((version) => version + 1));
+  }, [smartCache]);
+
+  useEffect(() => {
+    if (!smartCache || savedSearches.length === 0) {
+      setCounts(null);
+      return;
+    }
+
+    let cancelled = false;
+    smartCache.database
+      .getAllActivities()
+      .then((activities) => {
+        if (!cancelled) setCounts(countSavedSearchMatches(savedSearches, activities, annotations, textMatch));
+      })
+      .catch((error) => {
+        console.error('useSavedSearches: Failed to count saved search matches', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [smartCache, savedSearches, annotations, textMatch, activitiesVersion]);
+
+  return { savedSearches, counts };
+}
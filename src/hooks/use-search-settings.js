@@ -0,0 +1,19 @@
+import { searchSettings } from '@/lib/search-settings';
+import { useEffect, useState } from 'react';
+
+/**
+ * Hook for following the text matching settings (match mode, typo tolerance, synonyms)
+ * @returns {Object} - { mode, fuzzy, synonyms }
+ */
+export function useSearchSettings() {
+  const [settings, setSettings] = useState(() => searchSettings.get());
+
+  useEffect(() => {
+    const unsubscribe = searchSettings.subscribe(setSettings);
+    searchSettings.load();
+    setSettings(searchSettings.get());
+    return unsubscribe;
+  }, []);
+
+  return settings;
+}
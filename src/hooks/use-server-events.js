@@ -0,0 +1,52 @@
+import { StravaAPI } from '@/lib/strava-api';
+import { useEffect, useRef } from 'react';
+
+/**
+ * Hook for subscribing to the backend's Server-Sent Events stream
+ * EventSource reconnects on its own; `onOpen` runs after every (re)connect so callers can catch up on missed events.
+ * @param {boolean} enabled - Whether the stream should be open (needs a backend session)
+ * @param {object} handlers - Map of event type to handler, plus optional onOpen/onError
+ */
+export function useServerEvents(enabled, handlers) {
+  // Handlers change on every render; keep the latest without reopening the stream
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const eventSource = new StravaAPI().openEventStream();
+    const eventTypes = Object.keys(handlersRef.current).filter((type) => type !== 'onOpen' && type !== 'onError');
+
+    const listeners = eventTypes.map((type) => {
+      const listener = (event) => {
+        try {
+          handlersRef.current[type]?.(JSON.parse(event.data));
+        } catch (error) {
+          console.error('useServerEvents: Failed to handle event', { type, error: error.message });
+        }
+      };
+      eventSource.addEventListener(type, listener);
+      return [type, listener];
+    });
+
+    eventSource.onopen = () => {
+      console.log('useServerEvents: Connected to backend event stream');
+      handlersRef.current.onOpen?.();
+    };
+
+    eventSource.onerror = () => {
+      console.warn('useServerEvents: Event stream interrupted, reconnecting', {
+        readyState: eventSource.readyState,
+      });
+      handlersRef.current.onError?.();
+    };
+
+    return () => {
+      for (const [type, listener] of listeners) {
+        eventSource.removeEventListener(type, listener);
+      }
+      eventSource.close();
+    };
+  }, [enabled]);
+}
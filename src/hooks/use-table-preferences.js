@@ -0,0 +1,20 @@
+import { tablePreferences } from '@/lib/activity-table-columns';
+import { useEffect, useState } from 'react';
+
+/**
+ * Hook for following an athlete's activity table columns and sort
+ * @param {string|number|null} athleteId - null before the athlete is known
+ * @returns {Object} - { columns, sort }
+ */
+export function useTablePreferences(athleteId) {
+  const [preferences, setPreferences] = useState(() => tablePreferences.get(athleteId));
+
+  useEffect(() => {
+    const unsubscribe = tablePreferences.subscribe(() => setPreferences(tablePreferences.get(athleteId)));
+    tablePreferences.load();
+    setPreferences(tablePreferences.get(athleteId));
+    return unsubscribe;
+  }, [athleteId]);
+
+  return preferences;
+}
@@ -0,0 +1,157 @@
+/**
+ * Activity Annotations - The athlete's own tags, star ratings, RPE and follow-ups per activity
+ * Kept only in IndexedDB next to the cached activities; nothing here is ever sent to Strava.
+ */
+
+import { activityDatabase } from './activity-database';
+
+export const MAX_RATING = 5;
+
+// Borg CR10 scale of perceived exertion
+export const RPE_SCALE = [
+  { value: 1, label: 'Very light' },
+  { value: 2, label: 'Light' },
+  { value: 3, label: 'Light' },
+  { value: 4, label: 'Moderate' },
+  { value: 5, label: 'Moderate' },
+  { value: 6, label: 'Hard' },
+  { value: 7, label: 'Hard' },
+  { value: 8, label: 'Very hard' },
+  { value: 9, label: 'Very hard' },
+  { value: 10, label: 'Max effort' },
+];
+
+export const EMPTY_ANNOTATION = { tags: [], rating: null, rpe: null, follow_up: '' };
+
+/**
+ * Tags from free text ("tempo, race  Long-run") - lowercased, trimmed and without duplicates
+ * @param {string|Array<string>} input - Comma separated text or a list of tags
+ * @returns {Array<string>}
+ */
+export function normalizeTags(input) {
+  const tags = Array.isArray(input) ? input : String(input || '').split(',');
+  return [...new Set(tags.map((tag) => tag.trim().toLowerCase().replace(/\s+/g, '-')).filter((tag) => tag.length > 0))];
+}
+
+/**
+ * Whether an annotation holds anything worth keeping
+ */
+export function isEmptyAnnotation(annotation) {
+  return (
+    !annotation ||
+    ((annotation.tags?.length ?? 0) === 0 && !annotation.rating && !annotation.rpe && !annotation.follow_up?.trim())
+  );
+}
+
+class ActivityAnnotations {
+  constructor(database = activityDatabase) {
+    this.database = database;
+    this.annotations = new Map(); // activityId -> annotation
+    this.listeners = new Set();
+    this.loadPromise = null;
+  }
+
+  /**
+   * Read every annotation into memory (once; later calls wait for the same load)
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.database
+        .getAllAnnotations()
+        .then((annotations) => {
+          this.annotations = new Map(annotations.map((annotation) => [annotation.activityId, annotation]));
+          console.log('ActivityAnnotations: Loaded annotations', { count: this.annotations.size });
+          this.notify();
+        })
+        .catch((error) => {
+          console.error('ActivityAnnotations: Failed to load annotations', error);
+          this.loadPromise = null;
+        });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * @param {Function} listener - Called with the activityId -> annotation map whenever an annotation changes
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    for (const listener of this.listeners) {
+      listener(this.annotations);
+    }
+  }
+
+  getAll() {
+    return this.annotations;
+  }
+
+  get(activityId) {
+    return this.annotations.get(String(activityId)) || null;
+  }
+
+  /**
+   * Every tag in use, most used first
+   * @returns {Array<{ tag: string, count: number }>}
+   */
+  getTagCounts() {
+    const counts = new Map();
+    for (const annotation of this.annotations.values()) {
+      for (const tag of annotation.tags || []) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    }
+    return [...counts.entries()]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
+  /**
+   * Change an activity's annotation; an annotation left empty is removed
+   * @param {string|number} activityId
+   * @param {Object} changes - Any of { tags, rating, rpe, follow_up }
+   * @returns {Promise<Object|null>} - The stored annotation, or null when it was removed
+   */
+  async update(activityId, changes) {
+    await this.load();
+
+    const id = String(activityId);
+    const annotation = {
+      ...EMPTY_ANNOTATION,
+      ...this.annotations.get(id),
+      ...changes,
+      activityId: id,
+      updated_at: Date.now(),
+    };
+    annotation.tags = normalizeTags(annotation.tags);
+
+    if (isEmptyAnnotation(annotation)) {
+      await this.database.deleteAnnotation(id);
+      this.annotations = new Map(this.annotations);
+      this.annotations.delete(id);
+      console.log('ActivityAnnotations: Removed annotation', { activityId: id });
+      this.notify();
+      return null;
+    }
+
+    const stored = await this.database.storeAnnotation(annotation);
+    this.annotations = new Map(this.annotations).set(id, stored);
+    console.log('ActivityAnnotations: Saved annotation', {
+      activityId: id,
+      tags: stored.tags.length,
+      rating: stored.rating,
+      rpe: stored.rpe,
+    });
+    this.notify();
+    return stored;
+  }
+}
+
+// Create singleton instance
+const activityAnnotations = new ActivityAnnotations();
+
+export { activityAnnotations, ActivityAnnotations };
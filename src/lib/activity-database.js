@@ -3,10 +3,75 @@
  * Uses IndexedDB for long-term storage to minimize API requests
  */
 
+import { extractNoteTags, sortNoteTagSummary } from './note-tags';
+import {
+  buildSearchPostings,
+  findFuzzyWords,
+  prepareQueryTokens,
+  rankSearchResults,
+  tokenizeQuery,
+} from './text-search';
+
 const DB_NAME = 'StravaActivityDatabase';
-const DB_VERSION = 1;
+const DB_VERSION = 8;
 const STORE_NAME = 'activities';
 const METADATA_STORE = 'metadata';
+// Streams, laps and zones per activity - large, so kept apart from the activities and loaded only when shown
+const DETAILS_STORE = 'activity_details';
+// Shoes and bikes referenced by activities' gear_id
+const GEAR_STORE = 'gear';
+// Activity edits waiting to be sent to Strava, in the order they were made
+const OUTBOX_STORE = 'outbox';
+// The athlete's own tags, ratings, RPE and follow-ups - never sent to Strava and kept when the cache is cleared
+const ANNOTATIONS_STORE = 'annotations';
+// Full-text index over names, notes and descriptions: one posting per (stem, activity)...
+const SEARCH_POSTINGS_STORE = 'search_postings';
+// ...and per indexed activity a signature of its text, so unchanged activities aren't indexed again
+const SEARCH_DOCUMENTS_STORE = 'search_documents';
+// Named filter queries with a date range, shown in the sidebar - like annotations, kept when the cache is cleared
+const SAVED_SEARCHES_STORE = 'saved_searches';
+
+/**
+ * Fields derived from an activity when it is stored, for the indexes
+ */
+const enhanceActivity = (activity) => ({
+  ...activity,
+  has_private_note: !!activity.private_note,
+  private_note_length: activity.private_note ? activity.private_note.length : 0,
+  note_tags: extractNoteTags(activity.private_note),
+  last_updated: new Date().toISOString(),
+  cached_at: Date.now(),
+});
+
+/**
+ * Drop an activity's postings from the search index (inside an open transaction on both search stores)
+ */
+const removeFromSearchIndex = (transaction, activityId) => {
+  const postings = transaction.objectStore(SEARCH_POSTINGS_STORE);
+  postings.index('activityId').getAllKeys(String(activityId)).onsuccess = (event) => {
+    for (const key of event.target.result) postings.delete(key);
+  };
+  transaction.objectStore(SEARCH_DOCUMENTS_STORE).delete(String(activityId));
+};
+
+/**
+ * (Re)index an activity whose searchable text changed (inside an open transaction on both search stores)
+ */
+const addToSearchIndex = (transaction, activity) => {
+  const documents = transaction.objectStore(SEARCH_DOCUMENTS_STORE);
+  const { signature, postings } = buildSearchPostings(activity);
+
+  documents.get(String(activity.id)).onsuccess = (event) => {
+    if (event.target.result?.signature === signature) return;
+
+    const postingsStore = transaction.objectStore(SEARCH_POSTINGS_STORE);
+    postingsStore.index('activityId').getAllKeys(String(activity.id)).onsuccess = (keysEvent) => {
+      for (const key of keysEvent.target.result) postingsStore.delete(key);
+      for (const posting of postings) postingsStore.put(posting);
+      documents.put({ activityId: String(activity.id), activityKey: activity.id, signature, indexed_at: Date.now() });
+    };
+  };
+};
 
 class ActivityDatabase {
   constructor() {
@@ -53,6 +118,70 @@ class ActivityDatabase {
           const metaStore = db.createObjectStore(METADATA_STORE, { keyPath: 'key' });
           console.log('ActivityDatabase: Metadata store created');
         }
+
+        // Version 2: streams, laps and zones
+        if (!db.objectStoreNames.contains(DETAILS_STORE)) {
+          db.createObjectStore(DETAILS_STORE, { keyPath: 'activityId' });
+          console.log('ActivityDatabase: Activity details store created');
+        }
+
+        // Version 3: gear
+        if (!db.objectStoreNames.contains(GEAR_STORE)) {
+          db.createObjectStore(GEAR_STORE, { keyPath: 'id' });
+          console.log('ActivityDatabase: Gear store created');
+        }
+
+        // Version 4: edit outbox
+        if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+          const outboxStore = db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+          outboxStore.createIndex('activityId', 'activityId', { unique: false });
+          console.log('ActivityDatabase: Outbox store created');
+        }
+
+        // Version 5: local annotations
+        if (!db.objectStoreNames.contains(ANNOTATIONS_STORE)) {
+          const annotationsStore = db.createObjectStore(ANNOTATIONS_STORE, { keyPath: 'activityId' });
+          annotationsStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+          console.log('ActivityDatabase: Annotations store created');
+        }
+
+        // Version 6: hashtags and @-mentions from private notes, indexed per tag
+        const activitiesStore = event.target.transaction.objectStore(STORE_NAME);
+        if (!activitiesStore.indexNames.contains('note_tags')) {
+          activitiesStore.createIndex('note_tags', 'note_tags', { unique: false, multiEntry: true });
+
+          // Activities cached before this version have no note_tags yet
+          activitiesStore.openCursor().onsuccess = (cursorEvent) => {
+            const cursor = cursorEvent.target.result;
+            if (!cursor) return;
+            cursor.update({ ...cursor.value, note_tags: extractNoteTags(cursor.value.private_note) });
+            cursor.continue();
+          };
+          console.log('ActivityDatabase: Note tags index created');
+        }
+
+        // Version 7: full-text search index
+        if (!db.objectStoreNames.contains(SEARCH_POSTINGS_STORE)) {
+          const postingsStore = db.createObjectStore(SEARCH_POSTINGS_STORE, { keyPath: ['term', 'activityId'] });
+          postingsStore.createIndex('activityId', 'activityId', { unique: false });
+          postingsStore.createIndex('words', 'words', { unique: false, multiEntry: true });
+          db.createObjectStore(SEARCH_DOCUMENTS_STORE, { keyPath: 'activityId' });
+
+          // Index what is already cached
+          activitiesStore.openCursor().onsuccess = (cursorEvent) => {
+            const cursor = cursorEvent.target.result;
+            if (!cursor) return;
+            addToSearchIndex(event.target.transaction, cursor.value);
+            cursor.continue();
+          };
+          console.log('ActivityDatabase: Search index stores created');
+        }
+
+        // Version 8: saved searches
+        if (!db.objectStoreNames.contains(SAVED_SEARCHES_STORE)) {
+          db.createObjectStore(SAVED_SEARCHES_STORE, { keyPath: 'id' });
+          console.log('ActivityDatabase: Saved searches store created');
+        }
       };
     });
   }
@@ -73,24 +202,20 @@ class ActivityDatabase {
   async storeActivity(activity) {
     await this.ensureReady();
 
-    const enhancedActivity = {
-      ...activity,
-      has_private_note: !!activity.private_note,
-      private_note_length: activity.private_note ? activity.private_note.length : 0,
-      last_updated: new Date().toISOString(),
-      cached_at: Date.now(),
-    };
+    const enhancedActivity = enhanceActivity(activity);
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORE_NAME], 'readwrite');
+      const transaction = this.db.transaction([STORE_NAME, SEARCH_POSTINGS_STORE, SEARCH_DOCUMENTS_STORE], 'readwrite');
       const store = transaction.objectStore(STORE_NAME);
       const request = store.put(enhancedActivity);
+      addToSearchIndex(transaction, enhancedActivity);
 
       request.onsuccess = () => {
         console.log('ActivityDatabase: Stored activity', {
           activityId: activity.id,
           hasPrivateNote: !!activity.private_note,
           privateNoteLength: activity.private_note ? activity.private_note.length : 0,
+          noteTags: enhancedActivity.note_tags.length,
         });
         resolve(activity);
       };
@@ -112,17 +237,12 @@ class ActivityDatabase {
   async storeActivities(activities) {
     await this.ensureReady();
 
-    const transaction = this.db.transaction([STORE_NAME], 'readwrite');
+    const transaction = this.db.transaction([STORE_NAME, SEARCH_POSTINGS_STORE, SEARCH_DOCUMENTS_STORE], 'readwrite');
     const store = transaction.objectStore(STORE_NAME);
 
     const promises = activities.map((activity) => {
-      const enhancedActivity = {
-        ...activity,
-        has_private_note: !!activity.private_note,
-        private_note_length: activity.private_note ? activity.private_note.length : 0,
-        last_updated: new Date().toISOString(),
-        cached_at: Date.now(),
-      };
+      const enhancedActivity = enhanceActivity(activity);
+      addToSearchIndex(transaction, enhancedActivity);
 
       return new Promise((resolve, reject) => {
         const request = store.put(enhancedActivity);
@@ -155,10 +275,8 @@ class ActivityDatabase {
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction([STORE_NAME], 'readonly');
       const store = transaction.objectStore(STORE_NAME);
-      const request = store.get(String(activityId));
 
-      request.onsuccess = () => {
-        const activity = request.result;
+      const handleResult = (activity) => {
         if (activity) {
           console.log('ActivityDatabase: Retrieved activity from cache', {
             activityId,
@@ -169,8 +287,86 @@ class ActivityDatabase {
         resolve(activity || null);
       };
 
-      request.onerror = () => {
+      const handleError = (error) => {
         console.error('ActivityDatabase: Failed to retrieve activity', {
+          activityId,
+          error,
+        });
+        reject(error);
+      };
+
+      const getByStringId = () => {
+        const request = store.get(String(activityId));
+        request.onsuccess = () => handleResult(request.result);
+        request.onerror = () => handleError(request.error);
+      };
+
+      // Activities are stored with Strava's numeric id but looked up as strings elsewhere; try either form
+      const numericId = Number(activityId);
+      if (!Number.isFinite(numericId)) {
+        getByStringId();
+        return;
+      }
+
+      const request = store.get(numericId);
+      request.onsuccess = () => (request.result ? handleResult(request.result) : getByStringId());
+      request.onerror = () => handleError(request.error);
+    });
+  }
+
+  /**
+   * Delete an activity from the database
+   * @param {string|number} activityId - Activity ID
+   */
+  async deleteActivity(activityId) {
+    await this.ensureReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [STORE_NAME, DETAILS_STORE, SEARCH_POSTINGS_STORE, SEARCH_DOCUMENTS_STORE],
+        'readwrite',
+      );
+      const store = transaction.objectStore(STORE_NAME);
+
+      // Activities are stored with Strava's numeric id but looked up as strings elsewhere; remove either form
+      store.delete(Number(activityId));
+      store.delete(String(activityId));
+      transaction.objectStore(DETAILS_STORE).delete(String(activityId));
+      removeFromSearchIndex(transaction, activityId);
+
+      transaction.oncomplete = () => {
+        console.log('ActivityDatabase: Deleted activity', { activityId });
+        resolve();
+      };
+
+      transaction.onerror = () => {
+        console.error('ActivityDatabase: Failed to delete activity', {
+          activityId,
+          error: transaction.error,
+        });
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * Get the cached streams, laps and zones of an activity
+   * @param {string|number} activityId - Activity ID
+   * @returns {Object|null} - { activityId, streams, laps, zones, fetched_at }; parts not fetched yet are undefined
+   */
+  async getActivityDetails(activityId) {
+    await this.ensureReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([DETAILS_STORE], 'readonly');
+      const request = transaction.objectStore(DETAILS_STORE).get(String(activityId));
+
+      request.onsuccess = () => {
+        resolve(request.result || null);
+      };
+
+      request.onerror = () => {
+        console.error('ActivityDatabase: Failed to retrieve activity details', {
           activityId,
           error: request.error,
         });
@@ -179,6 +375,401 @@ class ActivityDatabase {
     });
   }
 
+  /**
+   * Store streams, laps and/or zones of an activity, keeping parts stored earlier
+   * @param {string|number} activityId - Activity ID
+   * @param {Object} details - Any of { streams, laps, zones }
+   * @returns {Object} - The merged record
+   */
+  async storeActivityDetails(activityId, details) {
+    await this.ensureReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([DETAILS_STORE], 'readwrite');
+      const store = transaction.objectStore(DETAILS_STORE);
+      const getRequest = store.get(String(activityId));
+      let record;
+
+      getRequest.onsuccess = () => {
+        record = {
+          ...getRequest.result,
+          ...details,
+          activityId: String(activityId),
+          fetched_at: { ...getRequest.result?.fetched_at },
+        };
+        for (const part of Object.keys(details)) {
+          record.fetched_at[part] = Date.now();
+        }
+        store.put(record);
+      };
+
+      transaction.oncomplete = () => {
+        console.log('ActivityDatabase: Stored activity details', {
+          activityId,
+          parts: Object.keys(details),
+        });
+        resolve(record);
+      };
+
+      transaction.onerror = () => {
+        console.error('ActivityDatabase: Failed to store activity details', {
+          activityId,
+          error: transaction.error,
+        });
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * Get all cached gear
+   * @returns {Array} - Gear records as returned by /gear/{id}, plus cached_at
+   */
+  async getAllGear() {
+    await this.ensureReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([GEAR_STORE], 'readonly');
+      const request = transaction.objectStore(GEAR_STORE).getAll();
+
+      request.onsuccess = () => {
+        resolve(request.result || []);
+      };
+
+      request.onerror = () => {
+        console.error('ActivityDatabase: Failed to retrieve gear', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Store a shoe or bike
+   * @param {Object} gear - Gear data from Strava API
+   */
+  async storeGear(gear) {
+    await this.ensureReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([GEAR_STORE], 'readwrite');
+      const request = transaction.objectStore(GEAR_STORE).put({ ...gear, cached_at: Date.now() });
+
+      request.onsuccess = () => {
+        console.log('ActivityDatabase: Stored gear', { gearId: gear.id, name: gear.name });
+        resolve(gear);
+      };
+
+      request.onerror = () => {
+        console.error('ActivityDatabase: Failed to store gear', {
+          gearId: gear.id,
+          error: request.error,
+        });
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Get every outbox entry, oldest first
+   * @returns {Array} - Entries in the order the edits were made
+   */
+  async getOutboxEntries() {
+    await this.ensureReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([OUTBOX_STORE], 'readonly');
+      const request = transaction.objectStore(OUTBOX_STORE).getAll();
+
+      request.onsuccess = () => {
+        resolve(request.result || []);
+      };
+
+      request.onerror = () => {
+        console.error('ActivityDatabase: Failed to retrieve outbox', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Add or update an outbox entry
+   * @param {Object} entry - New entries are given an increasing id, which is also their replay order
+   * @returns {Object} - The stored entry, with its id
+   */
+  async putOutboxEntry(entry) {
+    await this.ensureReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([OUTBOX_STORE], 'readwrite');
+      const request = transaction.objectStore(OUTBOX_STORE).put(entry);
+
+      request.onsuccess = () => {
+        resolve({ ...entry, id: request.result });
+      };
+
+      request.onerror = () => {
+        console.error('ActivityDatabase: Failed to store outbox entry', {
+          activityId: entry.activityId,
+          error: request.error,
+        });
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Remove an outbox entry
+   * @param {number} entryId
+   */
+  async deleteOutboxEntry(entryId) {
+    await this.ensureReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([OUTBOX_STORE], 'readwrite');
+      const request = transaction.objectStore(OUTBOX_STORE).delete(entryId);
+
+      request.onsuccess = () => {
+        resolve();
+      };
+
+      request.onerror = () => {
+        console.error('ActivityDatabase: Failed to delete outbox entry', { entryId, error: request.error });
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Get every annotation
+   * @returns {Array} - Annotation records, keyed by activityId
+   */
+  async getAllAnnotations() {
+    await this.ensureReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([ANNOTATIONS_STORE], 'readonly');
+      const request = transaction.objectStore(ANNOTATIONS_STORE).getAll();
+
+      request.onsuccess = () => {
+        resolve(request.result || []);
+      };
+
+      request.onerror = () => {
+        console.error('ActivityDatabase: Failed to retrieve annotations', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Add or replace an activity's annotation
+   * @param {Object} annotation - { activityId, tags, rating, rpe, follow_up }
+   */
+  async storeAnnotation(annotation) {
+    await this.ensureReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([ANNOTATIONS_STORE], 'readwrite');
+      const record = { ...annotation, activityId: String(annotation.activityId) };
+      const request = transaction.objectStore(ANNOTATIONS_STORE).put(record);
+
+      request.onsuccess = () => {
+        resolve(record);
+      };
+
+      request.onerror = () => {
+        console.error('ActivityDatabase: Failed to store annotation', {
+          activityId: annotation.activityId,
+          error: request.error,
+        });
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Remove an activity's annotation
+   * @param {string|number} activityId
+   */
+  async deleteAnnotation(activityId) {
+    await this.ensureReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([ANNOTATIONS_STORE], 'readwrite');
+      const request = transaction.objectStore(ANNOTATIONS_STORE).delete(String(activityId));
+
+      request.onsuccess = () => {
+        resolve();
+      };
+
+      request.onerror = () => {
+        console.error('ActivityDatabase: Failed to delete annotation', { activityId, error: request.error });
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Get every saved search
+   * @returns {Array} - Saved search records, keyed by id
+   */
+  async getAllSavedSearches() {
+    await this.ensureReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([SAVED_SEARCHES_STORE], 'readonly');
+      const request = transaction.objectStore(SAVED_SEARCHES_STORE).getAll();
+
+      request.onsuccess = () => {
+        resolve(request.result || []);
+      };
+
+      request.onerror = () => {
+        console.error('ActivityDatabase: Failed to retrieve saved searches', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Add or replace saved searches in one transaction
+   * @param {Array} savedSearches - { id, name, query, date_range, units }
+   */
+  async storeSavedSearches(savedSearches) {
+    await this.ensureReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([SAVED_SEARCHES_STORE], 'readwrite');
+      const store = transaction.objectStore(SAVED_SEARCHES_STORE);
+      for (const savedSearch of savedSearches) {
+        store.put(savedSearch);
+      }
+
+      transaction.oncomplete = () => {
+        resolve(savedSearches);
+      };
+
+      transaction.onerror = () => {
+        console.error('ActivityDatabase: Failed to store saved searches', {
+          count: savedSearches.length,
+          error: transaction.error,
+        });
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * Remove a saved search
+   * @param {string} savedSearchId
+   */
+  async deleteSavedSearch(savedSearchId) {
+    await this.ensureReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([SAVED_SEARCHES_STORE], 'readwrite');
+      const request = transaction.objectStore(SAVED_SEARCHES_STORE).delete(savedSearchId);
+
+      request.onsuccess = () => {
+        resolve();
+      };
+
+      request.onerror = () => {
+        console.error('ActivityDatabase: Failed to delete saved search', { savedSearchId, error: request.error });
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Full-text search over the names, private notes and descriptions of all cached activities
+   * @param {string} query - Words to find; all of them have to match (unless mode says otherwise), the last one
+   *   may be unfinished
+   * @param {Object} [options]
+   * @param {Array<string>} [options.fields] - Limit the search to some of the SEARCH_FIELDS
+   * @param {string} [options.mode] - TEXT_MATCH_MODE; phrases are not checked here, only their words
+   * @param {boolean} [options.fuzzy] - Also find words a typo or two away
+   * @param {Array<Array<string>>} [options.synonyms] - Synonym groups
+   * @returns {Array<{ activityId: string, score: number, activity: Object }>} - Best match first
+   */
+  async searchActivities(query, { fields, mode, fuzzy = false, synonyms = [] } = {}) {
+    await this.ensureReady();
+
+    const queryTokens = prepareQueryTokens(tokenizeQuery(query), { fuzzy, synonyms });
+    if (queryTokens.length === 0) return [];
+
+    const toPromise = (request) =>
+      new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+    const transaction = this.db.transaction([SEARCH_POSTINGS_STORE, SEARCH_DOCUMENTS_STORE, STORE_NAME], 'readonly');
+    const postings = transaction.objectStore(SEARCH_POSTINGS_STORE);
+    const documents = transaction.objectStore(SEARCH_DOCUMENTS_STORE);
+
+    const getPostingsWithStem = (stem) => toPromise(postings.getAll(IDBKeyRange.bound([stem, ''], [stem, '\uffff'])));
+
+    // Every distinct indexed word, to look for near misses in - only read when fuzzy matching is on
+    const readVocabulary = () =>
+      new Promise((resolve, reject) => {
+        const words = [];
+        const request = postings.index('words').openKeyCursor(null, 'nextunique');
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve(words);
+            return;
+          }
+          words.push(cursor.key);
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      });
+
+    try {
+      const vocabulary = queryTokens.some((token) => token.maxEdits > 0) ? await readVocabulary() : [];
+
+      const [documentCount, ...matches] = await Promise.all([
+        toPromise(documents.count()),
+        ...queryTokens.map(async (token) => {
+          const [exact, prefix, synonym, fuzzyMatches] = await Promise.all([
+            getPostingsWithStem(token.stem),
+            toPromise(postings.index('words').getAll(IDBKeyRange.bound(token.word, `${token.word}\uffff`))),
+            Promise.all(token.variants.map((variant) => getPostingsWithStem(variant.stem))),
+            Promise.all(
+              findFuzzyWords(vocabulary, token).map((word) => toPromise(postings.index('words').getAll(word))),
+            ),
+          ]);
+          return { exact, prefix, synonym: synonym.flat(), fuzzy: fuzzyMatches.flat() };
+        }),
+      ]);
+
+      const ranked = rankSearchResults(queryTokens, matches, documentCount, fields, mode);
+      const results = await Promise.all(
+        ranked.map(async (result) => {
+          const document = await toPromise(documents.get(result.activityId));
+          const activity = document
+            ? await toPromise(transaction.objectStore(STORE_NAME).get(document.activityKey))
+            : null;
+          return { ...result, activity };
+        }),
+      );
+
+      console.log('ActivityDatabase: Searched activities', {
+        terms: queryTokens.map((token) => token.stem),
+        fields: fields || 'all',
+        mode: mode || 'all',
+        fuzzy,
+        results: results.length,
+      });
+      return results.filter((result) => result.activity);
+    } catch (error) {
+      console.error('ActivityDatabase: Search failed', { query, error });
+      throw error;
+    }
+  }
+
   /**
    * Get multiple activities by IDs
    * @param {Array} activityIds - Array of activity IDs
@@ -258,6 +849,66 @@ class ActivityDatabase {
     });
   }
 
+  /**
+   * Count each note tag across all cached activities, with the first and last date it was used
+   * Reads the note_tags index rather than every note.
+   * @returns {Array<{ tag: string, count: number, firstDate: string, lastDate: string }>} - Most used first
+   */
+  async getNoteTagSummary() {
+    await this.ensureReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORE_NAME], 'readonly');
+      const request = transaction.objectStore(STORE_NAME).index('note_tags').openCursor();
+      const summary = new Map();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(sortNoteTagSummary([...summary.values()]));
+          return;
+        }
+
+        const tag = cursor.key;
+        const date = cursor.value.start_date;
+        const entry = summary.get(tag) || { tag, count: 0, firstDate: date, lastDate: date };
+        entry.count++;
+        if (date < entry.firstDate) entry.firstDate = date;
+        if (date > entry.lastDate) entry.lastDate = date;
+        summary.set(tag, entry);
+        cursor.continue();
+      };
+
+      request.onerror = () => {
+        console.error('ActivityDatabase: Failed to summarize note tags', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Ids of the cached activities whose private notes contain a tag
+   * @param {string} tag - e.g. "#tempo" or "@track"
+   * @returns {Set<string>}
+   */
+  async getActivityIdsWithNoteTag(tag) {
+    await this.ensureReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORE_NAME], 'readonly');
+      const request = transaction.objectStore(STORE_NAME).index('note_tags').getAllKeys(tag);
+
+      request.onsuccess = () => {
+        resolve(new Set((request.result || []).map(String)));
+      };
+
+      request.onerror = () => {
+        console.error('ActivityDatabase: Failed to look up note tag', { tag, error: request.error });
+        reject(request.error);
+      };
+    });
+  }
+
   /**
    * Check which activities from a list are missing from the cache
    * @param {Array} activityIds - Array of activity IDs to check
@@ -333,7 +984,7 @@ class ActivityDatabase {
     const cutoffTime = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORE_NAME], 'readwrite');
+      const transaction = this.db.transaction([STORE_NAME, SEARCH_POSTINGS_STORE, SEARCH_DOCUMENTS_STORE], 'readwrite');
       const store = transaction.objectStore(STORE_NAME);
       const index = store.index('last_updated');
 
@@ -346,6 +997,7 @@ class ActivityDatabase {
           const activity = cursor.value;
           if (activity.cached_at < cutoffTime) {
             cursor.delete();
+            removeFromSearchIndex(transaction, activity.id);
             deletedCount++;
           }
           cursor.continue();
@@ -365,6 +1017,76 @@ class ActivityDatabase {
     });
   }
 
+  /**
+   * Read a value from the metadata store
+   * @param {string} key - Metadata key
+   * @returns {*} - Stored value or null if not set
+   */
+  async getMetadata(key) {
+    await this.ensureReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([METADATA_STORE], 'readonly');
+      const store = transaction.objectStore(METADATA_STORE);
+      const request = store.get(key);
+
+      request.onsuccess = () => {
+        resolve(request.result ? request.result.value : null);
+      };
+
+      request.onerror = () => {
+        console.error('ActivityDatabase: Failed to read metadata', { key, error: request.error });
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Write a value to the metadata store
+   * @param {string} key - Metadata key
+   * @param {*} value - Any structured-cloneable value
+   */
+  async setMetadata(key, value) {
+    await this.ensureReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([METADATA_STORE], 'readwrite');
+      const store = transaction.objectStore(METADATA_STORE);
+      const request = store.put({ key, value, updated_at: Date.now() });
+
+      request.onsuccess = () => {
+        resolve(value);
+      };
+
+      request.onerror = () => {
+        console.error('ActivityDatabase: Failed to write metadata', { key, error: request.error });
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Remove a value from the metadata store
+   * @param {string} key - Metadata key
+   */
+  async deleteMetadata(key) {
+    await this.ensureReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([METADATA_STORE], 'readwrite');
+      const request = transaction.objectStore(METADATA_STORE).delete(key);
+
+      request.onsuccess = () => {
+        resolve();
+      };
+
+      request.onerror = () => {
+        console.error('ActivityDatabase: Failed to delete metadata', { key, error: request.error });
+        reject(request.error);
+      };
+    });
+  }
+
   /**
    * Get database statistics
    * @returns {Object} - Database stats
@@ -389,23 +1111,30 @@ class ActivityDatabase {
 
   /**
    * Clear all cached data
+   * Annotations and saved searches are not a cache of anything on Strava, so they survive this.
    */
   async clearAll() {
     await this.ensureReady();
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORE_NAME], 'readwrite');
-      const store = transaction.objectStore(STORE_NAME);
-      const request = store.clear();
+      const transaction = this.db.transaction(
+        [STORE_NAME, DETAILS_STORE, GEAR_STORE, SEARCH_POSTINGS_STORE, SEARCH_DOCUMENTS_STORE],
+        'readwrite',
+      );
+      transaction.objectStore(STORE_NAME).clear();
+      transaction.objectStore(SEARCH_POSTINGS_STORE).clear();
+      transaction.objectStore(SEARCH_DOCUMENTS_STORE).clear();
+      transaction.objectStore(DETAILS_STORE).clear();
+      transaction.objectStore(GEAR_STORE).clear();
 
-      request.onsuccess = () => {
+      transaction.oncomplete = () => {
         console.log('ActivityDatabase: Cleared all cached activities');
         resolve();
       };
 
-      request.onerror = () => {
-        console.error('ActivityDatabase: Failed to clear cache', request.error);
-        reject(request.error);
+      transaction.onerror = () => {
+        console.error('ActivityDatabase: Failed to clear cache', transaction.error);
+        reject(transaction.error);
       };
     });
   }
@@ -0,0 +1,86 @@
+/**
+ * Activity Export - Cached activities with their local annotations as CSV or JSON files
+ */
+
+export const EXPORT_FORMAT = {
+  CSV: 'csv',
+  JSON: 'json',
+};
+
+const CSV_COLUMNS = [
+  { header: 'id', value: (activity) => activity.id },
+  { header: 'name', value: (activity) => activity.name },
+  { header: 'type', value: (activity) => activity.sport_type || activity.type },
+  { header: 'start_date', value: (activity) => activity.start_date },
+  { header: 'distance_m', value: (activity) => activity.distance },
+  { header: 'moving_time_s', value: (activity) => activity.moving_time },
+  { header: 'elevation_gain_m', value: (activity) => activity.total_elevation_gain },
+  { header: 'private_note', value: (activity) => activity.private_note },
+  { header: 'tags', value: (_, annotation) => annotation?.tags?.join(';') },
+  { header: 'rating', value: (_, annotation) => annotation?.rating },
+  { header: 'rpe', value: (_, annotation) => annotation?.rpe },
+  { header: 'follow_up', value: (_, annotation) => annotation?.follow_up },
+];
+
+/**
+ * Quote a CSV field when it holds a separator, quote or line break (RFC 4180)
+ */
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array} activities
+ * @param {Map} annotations - activityId -> annotation
+ * @returns {string}
+ */
+export function activitiesToCsv(activities, annotations) {
+  const rows = activities.map((activity) => {
+    const annotation = annotations.get(String(activity.id));
+    return CSV_COLUMNS.map((column) => escapeCsv(column.value(activity, annotation))).join(',');
+  });
+  return [CSV_COLUMNS.map((column) => column.header).join(','), ...rows].join('\r\n');
+}
+
+/**
+ * @param {Array} activities
+ * @param {Map} annotations - activityId -> annotation
+ * @returns {string}
+ */
+export function activitiesToJson(activities, annotations) {
+  const exported = activities.map((activity) => {
+    const annotation = annotations.get(String(activity.id));
+    return {
+      ...activity,
+      annotation: annotation
+        ? { tags: annotation.tags, rating: annotation.rating, rpe: annotation.rpe, follow_up: annotation.follow_up }
+        : null,
+    };
+  });
+  return JSON.stringify({ exported_at: new Date().toISOString(), activities: exported }, null, 2);
+}
+
+/**
+ * Build the export and hand it to the browser as a download
+ * @param {Array} activities
+ * @param {Map} annotations - activityId -> annotation
+ * @param {string} format - EXPORT_FORMAT value
+ */
+export function downloadActivities(activities, annotations, format = EXPORT_FORMAT.CSV) {
+  const isCsv = format === EXPORT_FORMAT.CSV;
+  const content = isCsv ? activitiesToCsv(activities, annotations) : activitiesToJson(activities, annotations);
+  const blob = new Blob([content], { type: isCsv ? 'text/csv;charset=utf-8' : 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `strava-activities-${new Date().toISOString().slice(0, 10)}.${format}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+
+  console.log('ActivityExport: Exported activities', { format, count: activities.length });
+}
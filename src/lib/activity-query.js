@@ -0,0 +1,515 @@
+/**
+ * Activity Query - The filter bar's query language
+ *
+ *   type:run distance>10km note:"shin" -title:commute date:2024-03..2024-06 elevation>300m has:note
+ *
+ * A query is a list of clauses that all have to match; "-" in front of a clause negates it and words
+ * without a field search names, notes and descriptions. Numbers compare with : = > >= < <= or take a
+ * range (distance:5..10km); "field:value" on a measurement matches it to the precision written.
+ * The parser never throws - clauses it can't read are reported as errors and left out.
+ */
+
+import { normalizeTags } from './activity-annotations';
+import { extractNoteTags } from './note-tags';
+import { TEXT_MATCH_MODE, prepareQueryTokens, textMatchesQuery, tokenizeQuery } from './text-search';
+
+const FIELD_ALIASES = {
+  name: 'title',
+  notes: 'note',
+  description: 'desc',
+  sport: 'type',
+  duration: 'time',
+};
+
+// Activity text each text field matches against
+const TEXT_FIELDS = {
+  text: ['name', 'private_note', 'description'],
+  title: ['name'],
+  note: ['private_note'],
+  desc: ['description'],
+};
+
+const KEYWORD_FIELDS = ['type', 'tag', 'label'];
+
+const HAS_VALUES = ['note', 'description', 'tags', 'annotation', 'rating', 'rpe', 'follow-up'];
+
+// Units each measurement accepts, in meters / seconds / plain numbers
+const MEASURES = {
+  distance: { units: { km: 1000, mi: 1609.344, m: 1 }, defaultUnit: { metric: 'km', imperial: 'mi' } },
+  elevation: { units: { m: 1, ft: 0.3048 }, defaultUnit: { metric: 'm', imperial: 'ft' } },
+  time: { units: { h: 3600, min: 60, m: 60, s: 1 }, defaultUnit: { metric: 'min', imperial: 'min' } },
+  rating: { units: { '': 1 }, defaultUnit: { metric: '', imperial: '' }, min: 1, max: 5 },
+  rpe: { units: { '': 1 }, defaultUnit: { metric: '', imperial: '' }, min: 1, max: 10 },
+};
+
+export const DEFAULT_FILTERS = {
+  search: '',
+  activityType: 'all',
+  minDistance: '',
+  maxDistance: '',
+  titleKeywords: '',
+  notesKeywords: '',
+  noteTag: 'all',
+  annotationTag: 'all',
+  minRating: 'all',
+  minRpe: '',
+  maxRpe: '',
+};
+
+const FIELD_PREFIX = /([a-z][a-z-]*)(>=|<=|:|=|>|<)/iy;
+const NUMBER_WITH_UNIT = /^(\d+(?:\.\d*)?|\.\d+)\s*([a-z]*)$/i;
+const DATE_VALUE = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/;
+
+class QuerySyntaxError extends Error {}
+
+/**
+ * Read a clause value - "a quoted phrase" or everything up to the next space
+ */
+const readValue = (query, position) => {
+  if (query[position] === '"') {
+    const closing = query.indexOf('"', position + 1);
+    if (closing === -1) {
+      return { end: query.length, error: 'Missing closing quote' };
+    }
+    return { value: query.slice(position + 1, closing), end: closing + 1 };
+  }
+
+  let end = position;
+  while (end < query.length && !/\s/.test(query[end])) end++;
+  return { value: query.slice(position, end), end };
+};
+
+/**
+ * "10km" -> { value: 10000, number: '10', unit: 'km', step: 1000 }; time also takes "1h30m"
+ */
+const parseAmount = (field, text, units) => {
+  const measure = MEASURES[field];
+
+  if (field === 'time' && /^(\d+h)?(\d+m(in)?)?(\d+s)?$/i.test(text) && /[hms]/i.test(text)) {
+    const [, hours, minutes, seconds] = text.match(/^(?:(\d+)h)?(?:(\d+)m(?:in)?)?(?:(\d+)s)?$/i);
+    return {
+      value: Number(hours || 0) * 3600 + Number(minutes || 0) * 60 + Number(seconds || 0),
+      number: text,
+      unit: '',
+      // Precise to the smallest part written
+      step: seconds ? 1 : minutes ? 60 : 3600,
+    };
+  }
+
+  const match = text.match(NUMBER_WITH_UNIT);
+  if (!match)
+    throw new QuerySyntaxError(`"${text}" is not a ${field === 'rating' || field === 'rpe' ? 'number' : field}`);
+
+  const unit = match[2].toLowerCase() || measure.defaultUnit[units];
+  if (!(unit in measure.units)) {
+    const accepted = Object.keys(measure.units).filter(Boolean);
+    throw new QuerySyntaxError(
+      accepted.length > 0 ? `Unknown unit "${match[2]}" - use ${accepted.join(', ')}` : `${field} takes a plain number`,
+    );
+  }
+
+  const number = Number.parseFloat(match[1]);
+  if (measure.min !== undefined && (number < measure.min || number > measure.max)) {
+    throw new QuerySyntaxError(`${field} goes from ${measure.min} to ${measure.max}`);
+  }
+  return { value: number * measure.units[unit], number: match[1], unit, step: measure.units[unit] };
+};
+
+/**
+ * "2024", "2024-03" or "2024-03-15" -> the local-time period it covers, [from, to)
+ */
+const parseDate = (text) => {
+  const match = text.match(DATE_VALUE);
+  if (!match) throw new QuerySyntaxError(`"${text}" is not a date - use YYYY, YYYY-MM or YYYY-MM-DD`);
+
+  const [year, month, day] = [Number(match[1]), match[2] && Number(match[2]), match[3] && Number(match[3])];
+  if (month !== undefined && (month < 1 || month > 12)) throw new QuerySyntaxError(`"${text}" has no month ${month}`);
+  if (day !== undefined && (day < 1 || day > new Date(year, month, 0).getDate())) {
+    throw new QuerySyntaxError(`"${text}" has no day ${day}`);
+  }
+
+  if (day) return { from: new Date(year, month - 1, day).getTime(), to: new Date(year, month - 1, day + 1).getTime() };
+  if (month) return { from: new Date(year, month - 1, 1).getTime(), to: new Date(year, month, 1).getTime() };
+  return { from: new Date(year, 0, 1).getTime(), to: new Date(year + 1, 0, 1).getTime() };
+};
+
+/**
+ * The range of values a measurement or date clause accepts: { min, max, minExclusive, maxExclusive }
+ */
+const compileRange = (clause, units) => {
+  const { field, op, value } = clause;
+  const isDate = field === 'date';
+
+  if (value.includes('..')) {
+    if (op !== ':' && op !== '=') throw new QuerySyntaxError(`Use ${field}:from..to for a range`);
+    const [fromText, toText] = value.split('..');
+    if (!fromText && !toText) throw new QuerySyntaxError('A range needs at least one end');
+    const from = fromText ? (isDate ? parseDate(fromText).from : parseAmount(field, fromText, units).value) : null;
+    const to = toText ? (isDate ? parseDate(toText).to : parseAmount(field, toText, units).value) : null;
+    // Dates cover whole periods, so the upper end is the start of the next one
+    return { min: from, max: to, maxExclusive: isDate };
+  }
+
+  if (isDate) {
+    const { from, to } = parseDate(value);
+    if (op === '>') return { min: to };
+    if (op === '>=') return { min: from };
+    if (op === '<') return { max: from, maxExclusive: true };
+    if (op === '<=') return { max: to, maxExclusive: true };
+    return { min: from, max: to, maxExclusive: true };
+  }
+
+  const amount = parseAmount(field, value, units);
+  clause.amount = amount;
+  if (op === '>') return { min: amount.value, minExclusive: true };
+  if (op === '>=') return { min: amount.value };
+  if (op === '<') return { max: amount.value, maxExclusive: true };
+  if (op === '<=') return { max: amount.value };
+
+  // distance:10km matches to the precision written - 9.5 up to 10.5 km
+  const decimals =
+    /^[\d.]+$/.test(amount.number) && amount.number.includes('.') ? amount.number.split('.')[1].length : 0;
+  const halfStep = (amount.step * 10 ** -decimals) / 2;
+  return { min: amount.value - halfStep, max: amount.value + halfStep, maxExclusive: true };
+};
+
+const compileClause = (clause, units, textMatch) => {
+  const { field, op, value } = clause;
+
+  if (!value.trim()) throw new QuerySyntaxError(`Missing value after ${field}${op}`);
+
+  if (field in TEXT_FIELDS) {
+    if (op !== ':' && op !== '=') throw new QuerySyntaxError(`${field} can only be matched with ${field}:`);
+    return {
+      ...clause,
+      tokens: prepareQueryTokens(tokenizeQuery(value), textMatch),
+      mode: textMatch.mode || TEXT_MATCH_MODE.ALL,
+    };
+  }
+
+  if (KEYWORD_FIELDS.includes(field) || field === 'has') {
+    if (op !== ':' && op !== '=') throw new QuerySyntaxError(`${field} can only be matched with ${field}:`);
+    if (field === 'has' && !HAS_VALUES.includes(value.toLowerCase())) {
+      throw new QuerySyntaxError(`Unknown has:${value} - use ${HAS_VALUES.join(', ')}`);
+    }
+    if (field === 'tag') {
+      const tag = value.toLowerCase();
+      return { ...clause, keyword: /^[#@]/.test(tag) ? tag : `#${tag}` };
+    }
+    if (field === 'label') return { ...clause, keyword: normalizeTags([value])[0] };
+    return { ...clause, keyword: value.toLowerCase() };
+  }
+
+  if (field in MEASURES || field === 'date') {
+    const compiled = { ...clause };
+    compiled.range = compileRange(compiled, units);
+    return compiled;
+  }
+
+  throw new QuerySyntaxError(`Unknown field "${field}"`);
+};
+
+/**
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {string} [options.units] - 'metric' or 'imperial', the unit of numbers written without one
+ * @param {Object} [options.textMatch] - How text clauses match: { mode, fuzzy, synonyms } (see search-settings)
+ * @returns {{ clauses: Array<Object>, errors: Array<{ message: string, start: number, end: number }> }}
+ *   - each clause keeps { field, op, value, negated, start, end, raw } plus what evaluating it needs
+ */
+export function parseActivityQuery(query, { units = 'metric', textMatch = {} } = {}) {
+  const clauses = [];
+  const errors = [];
+  let position = 0;
+
+  while (position < query.length) {
+    if (/\s/.test(query[position])) {
+      position++;
+      continue;
+    }
+
+    const start = position;
+    const negated = query[position] === '-' && position + 1 < query.length && !/\s/.test(query[position + 1]);
+    if (negated) position++;
+
+    let field = 'text';
+    let op = ':';
+    FIELD_PREFIX.lastIndex = position;
+    const fieldMatch = FIELD_PREFIX.exec(query);
+    if (fieldMatch) {
+      field = fieldMatch[1].toLowerCase();
+      field = FIELD_ALIASES[field] || field;
+      op = fieldMatch[2];
+      position += fieldMatch[0].length;
+    }
+
+    const { value, end, error } = readValue(query, position);
+    position = end;
+    const raw = query.slice(start, end);
+
+    if (error) {
+      errors.push({ message: error, start, end });
+      continue;
+    }
+
+    try {
+      clauses.push(compileClause({ field, op, value, negated, start, end, raw }, units, textMatch));
+    } catch (compileError) {
+      if (!(compileError instanceof QuerySyntaxError)) throw compileError;
+      errors.push({ message: compileError.message, start, end });
+    }
+  }
+
+  return { clauses, errors };
+}
+
+const inRange = (value, range) =>
+  value !== null &&
+  value !== undefined &&
+  (range.min === null || range.min === undefined || (range.minExclusive ? value > range.min : value >= range.min)) &&
+  (range.max === null || range.max === undefined || (range.maxExclusive ? value < range.max : value <= range.max));
+
+const matchesClause = (activity, clause, annotation, noteTagIds) => {
+  switch (clause.field) {
+    case 'text':
+    case 'title':
+    case 'note':
+    case 'desc':
+      return textMatchesQuery(
+        TEXT_FIELDS[clause.field].map((field) => activity[field] || '').join('\n'),
+        clause.tokens,
+        clause.mode,
+      );
+    case 'type':
+      return [activity.type, activity.sport_type].some((type) => type?.toLowerCase() === clause.keyword);
+    case 'tag':
+      if (noteTagIds?.has(clause.keyword)) {
+        return noteTagIds.get(clause.keyword).has(String(activity.id));
+      }
+      return extractNoteTags(activity.private_note).includes(clause.keyword);
+    case 'label':
+      return !!annotation?.tags?.includes(clause.keyword);
+    case 'distance':
+      return inRange(activity.distance, clause.range);
+    case 'elevation':
+      return inRange(activity.total_elevation_gain, clause.range);
+    case 'time':
+      return inRange(activity.moving_time, clause.range);
+    case 'rating':
+      return inRange(annotation?.rating, clause.range);
+    case 'rpe':
+      return inRange(annotation?.rpe, clause.range);
+    case 'date':
+      return inRange(new Date(activity.start_date).getTime(), clause.range);
+    case 'has':
+      switch (clause.keyword) {
+        case 'note':
+          return !!activity.private_note;
+        case 'description':
+          return !!activity.description;
+        case 'tags':
+          return extractNoteTags(activity.private_note).length > 0;
+        case 'annotation':
+          return !!annotation;
+        case 'follow-up':
+          return !!annotation?.follow_up;
+        default:
+          return !!annotation?.[clause.keyword];
+      }
+    default:
+      return true;
+  }
+};
+
+/**
+ * Words without a field are one search: "shin calf" in any-word mode finds either, in exact mode the phrase
+ */
+const groupFreeText = (clauses) => {
+  const freeText = clauses.filter((clause) => clause.field === 'text' && !clause.negated);
+  if (freeText.length < 2) return clauses;
+
+  const group = { ...freeText[0], tokens: freeText.flatMap((clause) => clause.tokens) };
+  return [group, ...clauses.filter((clause) => !freeText.includes(clause))];
+};
+
+/**
+ * @param {Object} activity
+ * @param {Array} clauses - From parseActivityQuery
+ * @param {Object} [context]
+ * @param {Map} [context.annotations] - activityId -> local annotation, for label:, rating, rpe and has:
+ * @param {Map} [context.noteTagIds] - tag -> Set of activity ids from the database's note_tags index, for tag:
+ *   (tags missing from it are read from the activity's note)
+ * @returns {boolean} - Whether every clause matches
+ */
+export function matchesActivityQuery(activity, clauses, { annotations = new Map(), noteTagIds } = {}) {
+  const annotation = annotations.get(String(activity.id));
+  return groupFreeText(clauses).every(
+    (clause) => matchesClause(activity, clause, annotation, noteTagIds) !== clause.negated,
+  );
+}
+
+/**
+ * The note tags a query filters by (tag:#tempo, -tag:@track), to look up in the note_tags index
+ * @returns {Array<string>}
+ */
+export function getNoteTagClauses(clauses) {
+  return [...new Set(clauses.filter((clause) => clause.field === 'tag').map((clause) => clause.keyword))];
+}
+
+/**
+ * The text clauses the search index can answer, with the activity fields each one covers
+ * Words without a field are searched together so they rank as one query.
+ * @returns {Array<{ query: string, fields?: Array<string> }>}
+ */
+export function getSearchClauses(clauses) {
+  const positive = clauses.filter((clause) => clause.field in TEXT_FIELDS && !clause.negated);
+  const freeText = positive.filter((clause) => clause.field === 'text').map((clause) => clause.value);
+
+  return [
+    ...(freeText.length > 0 ? [{ query: freeText.join(' ') }] : []),
+    ...positive
+      .filter((clause) => clause.field !== 'text')
+      .map((clause) => ({ query: clause.value, fields: TEXT_FIELDS[clause.field] })),
+  ];
+}
+
+// Wrap values with spaces in quotes (the language has no escapes, so quotes inside are dropped)
+const quote = (value) => (/[\s"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value);
+
+const distanceUnit = (units) => MEASURES.distance.defaultUnit[units];
+
+/**
+ * Read a distance clause back in the units the form shows
+ */
+const readDistance = (clause, units) => {
+  if (clause.amount.unit === distanceUnit(units)) return clause.amount.number;
+  return String(Math.round((clause.amount.value / MEASURES.distance.units[distanceUnit(units)]) * 100) / 100);
+};
+
+/**
+ * The filter form's fields and the clause each one reads and writes
+ * A form field owns the first positive clause of its shape; everything else in the query is left alone.
+ */
+const FORM_FIELDS = {
+  search: {
+    matches: (clause) => clause.field === 'text',
+    read: (clause) => clause.raw,
+    format: (value) => value.trim() || null,
+  },
+  activityType: {
+    matches: (clause) => clause.field === 'type',
+    read: (clause) => clause.value,
+    format: (value) => (value && value !== 'all' ? `type:${quote(value)}` : null),
+  },
+  minDistance: {
+    matches: (clause) => clause.field === 'distance' && clause.op === '>=',
+    read: readDistance,
+    format: (value, units) => (value ? `distance>=${value}${distanceUnit(units)}` : null),
+  },
+  maxDistance: {
+    matches: (clause) => clause.field === 'distance' && clause.op === '<=',
+    read: readDistance,
+    format: (value, units) => (value ? `distance<=${value}${distanceUnit(units)}` : null),
+  },
+  titleKeywords: {
+    matches: (clause) => clause.field === 'title',
+    read: (clause) => clause.value,
+    format: (value) => (value ? `title:${quote(value)}` : null),
+  },
+  notesKeywords: {
+    matches: (clause) => clause.field === 'note',
+    read: (clause) => clause.value,
+    format: (value) => (value ? `note:${quote(value)}` : null),
+  },
+  noteTag: {
+    matches: (clause) => clause.field === 'tag',
+    read: (clause) => clause.keyword,
+    format: (value) => (value && value !== 'all' ? `tag:${value}` : null),
+  },
+  annotationTag: {
+    matches: (clause) => clause.field === 'label',
+    read: (clause) => clause.keyword,
+    format: (value) => (value && value !== 'all' ? `label:${value}` : null),
+  },
+  minRating: {
+    matches: (clause) => clause.field === 'rating' && clause.op === '>=',
+    read: (clause) => clause.amount.number,
+    format: (value) => (value && value !== 'all' ? `rating>=${value}` : null),
+  },
+  minRpe: {
+    matches: (clause) => clause.field === 'rpe' && clause.op === '>=',
+    read: (clause) => clause.amount.number,
+    format: (value) => (value ? `rpe>=${value}` : null),
+  },
+  maxRpe: {
+    matches: (clause) => clause.field === 'rpe' && clause.op === '<=',
+    read: (clause) => clause.amount.number,
+    format: (value) => (value ? `rpe<=${value}` : null),
+  },
+};
+
+const getFormField = (clause) =>
+  clause.negated ? null : Object.keys(FORM_FIELDS).find((key) => FORM_FIELDS[key].matches(clause)) || null;
+
+/**
+ * What the filter form shows for a query
+ * @param {Array} clauses - From parseActivityQuery
+ * @param {string} units
+ * @returns {Object} - In the shape of DEFAULT_FILTERS
+ */
+export function queryToFilters(clauses, units) {
+  const filters = { ...DEFAULT_FILTERS };
+  const seen = new Set();
+
+  for (const clause of clauses) {
+    const key = getFormField(clause);
+    if (!key) continue;
+
+    const value = FORM_FIELDS[key].read(clause, units);
+    if (key === 'search') {
+      filters.search = [filters.search, value].filter(Boolean).join(' ');
+    } else if (!seen.has(key)) {
+      filters[key] = value;
+    }
+    seen.add(key);
+  }
+
+  return filters;
+}
+
+/**
+ * Write filter form values into a query, replacing the clauses the form owns in place and keeping the rest
+ * (including parts with syntax errors) as they were typed
+ * @param {string} query
+ * @param {Object} filters - In the shape of DEFAULT_FILTERS
+ * @param {string} units
+ * @returns {string}
+ */
+export function applyFiltersToQuery(query, filters, units) {
+  const { clauses, errors } = parseActivityQuery(query, { units });
+  const written = new Set();
+  const parts = [];
+
+  const pieces = [...clauses, ...errors.map((error) => ({ ...error, raw: query.slice(error.start, error.end) }))].sort(
+    (a, b) => a.start - b.start,
+  );
+
+  for (const piece of pieces) {
+    const key = piece.field ? getFormField(piece) : null;
+    if (!key) {
+      parts.push(piece.raw);
+    } else if (!written.has(key)) {
+      written.add(key);
+      const formatted = FORM_FIELDS[key].format(filters[key] ?? DEFAULT_FILTERS[key], units);
+      if (formatted) parts.push(formatted);
+    }
+  }
+
+  for (const key of Object.keys(FORM_FIELDS)) {
+    if (written.has(key)) continue;
+    const formatted = FORM_FIELDS[key].format(filters[key] ?? DEFAULT_FILTERS[key], units);
+    if (formatted) parts.push(formatted);
+  }
+
+  return parts.join(' ');
+}
@@ -0,0 +1,107 @@
+/**
+ * Activity Splits - Per-kilometre / per-mile splits and heart rate summaries from activity streams
+ * Falls back to the splits Strava includes in detailed activities when no streams are available.
+ */
+
+// Split length in meters for each unit system
+export const SPLIT_DISTANCE = { metric: 1000, imperial: 1609.344 };
+
+// Leftover distance shorter than this fraction of a split isn't worth showing as a final partial split
+const MIN_PARTIAL_SPLIT_FRACTION = 0.05;
+
+const average = (values) => {
+  const recorded = values.filter((value) => typeof value === 'number' && value > 0);
+  return recorded.length > 0 ? recorded.reduce((sum, value) => sum + value, 0) / recorded.length : null;
+};
+
+/**
+ * Cut an activity into fixed-distance splits
+ * @param {Object} streams - Streams keyed by type; needs time and distance, heartrate and altitude are optional
+ * @param {number} splitDistance - Split length in meters
+ * @returns {Array<Object>} - { split, distance, elapsedTime, elevationDifference, averageHeartrate }; the last one may be partial
+ */
+export function computeSplits(streams, splitDistance = SPLIT_DISTANCE.metric) {
+  const time = streams?.time?.data;
+  const distance = streams?.distance?.data;
+  if (!time?.length || !distance?.length) return [];
+
+  const heartrate = streams.heartrate?.data;
+  const altitude = streams.altitude?.data;
+  const splits = [];
+  let startIndex = 0;
+
+  const addSplit = (endIndex) => {
+    splits.push({
+      split: splits.length + 1,
+      distance: distance[endIndex] - distance[startIndex],
+      elapsedTime: time[endIndex] - time[startIndex],
+      elevationDifference: altitude ? altitude[endIndex] - altitude[startIndex] : null,
+      averageHeartrate: heartrate ? average(heartrate.slice(startIndex, endIndex + 1)) : null,
+    });
+    startIndex = endIndex;
+  };
+
+  let nextBoundary = splitDistance;
+  for (let index = 1; index < distance.length; index++) {
+    if (distance[index] >= nextBoundary) {
+      addSplit(index);
+      // A GPS jump can cross more than one boundary; don't emit empty splits for it
+      while (distance[index] >= nextBoundary) {
+        nextBoundary += splitDistance;
+      }
+    }
+  }
+
+  const lastIndex = distance.length - 1;
+  if (distance[lastIndex] - distance[startIndex] > splitDistance * MIN_PARTIAL_SPLIT_FRACTION) {
+    addSplit(lastIndex);
+  }
+
+  return splits;
+}
+
+/**
+ * Convert the splits_metric / splits_standard of a detailed Strava activity to the computeSplits() shape
+ */
+export function fromStravaSplits(stravaSplits = []) {
+  return stravaSplits.map((split, index) => ({
+    split: split.split ?? index + 1,
+    distance: split.distance,
+    elapsedTime: split.elapsed_time,
+    elevationDifference: split.elevation_difference ?? null,
+    averageHeartrate: split.average_heartrate ?? null,
+  }));
+}
+
+/**
+ * Average and maximum heart rate from the heartrate stream
+ * @returns {{average: number, max: number}|null} - null when no heart rate was recorded
+ */
+export function summarizeHeartrate(streams) {
+  const heartrate = streams?.heartrate?.data;
+  if (!heartrate?.length) return null;
+
+  return {
+    average: Math.round(average(heartrate)),
+    max: Math.max(...heartrate),
+  };
+}
+
+/**
+ * Time in each heart rate zone from the /zones response
+ * @returns {Array<{zone: number, min: number, max: number|null, time: number, share: number}>} - Empty when unavailable
+ */
+export function getHeartrateZones(zones) {
+  const heartrateZones = zones?.find?.((zone) => zone.type === 'heartrate');
+  const buckets = heartrateZones?.distribution_buckets || [];
+  const totalTime = buckets.reduce((sum, bucket) => sum + bucket.time, 0);
+  if (totalTime === 0) return [];
+
+  return buckets.map((bucket, index) => ({
+    zone: index + 1,
+    min: bucket.min,
+    max: bucket.max === -1 ? null : bucket.max, // -1 marks the open-ended top zone
+    time: bucket.time,
+    share: bucket.time / totalTime,
+  }));
+}
@@ -0,0 +1,327 @@
+/**
+ * Activity Table Columns - Which columns the activity table shows and how its rows are sorted
+ * The sort is a list of { column, direction } keys: the first decides, later ones break ties.
+ * Column and sort choices are kept per athlete in the database's metadata store.
+ */
+
+import { activityDatabase } from './activity-database';
+
+const METADATA_KEY = 'table_preferences';
+
+// Used before the athlete is known (demo data, an empty cache)
+const ANONYMOUS_ATHLETE = 'default';
+
+export const SORT_DIRECTION = {
+  ASC: 'asc',
+  DESC: 'desc',
+};
+
+/**
+ * Every column the table can show, in display order
+ * - required: can't be hidden
+ * - value: what the column sorts by (null sorts last either way); columns without one can't be sorted
+ * - defaultDirection: the first click's direction
+ */
+export const TABLE_COLUMNS = [
+  { id: 'type', label: 'Type', defaultVisible: true },
+  { id: 'name', label: 'Activity', required: true, defaultVisible: true },
+  {
+    id: 'date',
+    label: 'Date',
+    defaultVisible: true,
+    value: (activity) => new Date(activity.start_date).getTime(),
+    defaultDirection: SORT_DIRECTION.DESC,
+  },
+  {
+    id: 'distance',
+    label: 'Distance',
+    defaultVisible: true,
+    value: (activity) => activity.distance ?? null,
+    defaultDirection: SORT_DIRECTION.DESC,
+  },
+  {
+    id: 'time',
+    label: 'Time',
+    defaultVisible: true,
+    value: (activity) => activity.moving_time ?? null,
+    defaultDirection: SORT_DIRECTION.DESC,
+  },
+  {
+    id: 'pace',
+    label: 'Pace',
+    defaultVisible: true,
+    // Seconds per meter, so ascending is fastest first
+    value: (activity) => (activity.distance > 0 ? activity.moving_time / activity.distance : null),
+    defaultDirection: SORT_DIRECTION.ASC,
+  },
+  {
+    id: 'elevation',
+    label: 'Elevation',
+    defaultVisible: true,
+    value: (activity) => activity.total_elevation_gain ?? null,
+    defaultDirection: SORT_DIRECTION.DESC,
+  },
+  {
+    id: 'notes',
+    label: 'Private Notes',
+    sortLabel: 'note length',
+    defaultVisible: true,
+    value: (activity) => activity.private_note?.trim().length || 0,
+    defaultDirection: SORT_DIRECTION.DESC,
+  },
+  { id: 'annotations', label: 'Annotations', defaultVisible: true },
+  {
+    id: 'kudos',
+    label: 'Kudos',
+    defaultVisible: false,
+    value: (activity) => activity.kudos_count ?? null,
+    defaultDirection: SORT_DIRECTION.DESC,
+  },
+  {
+    id: 'heartrate',
+    label: 'Avg HR',
+    defaultVisible: false,
+    value: (activity) => activity.average_heartrate ?? null,
+    defaultDirection: SORT_DIRECTION.DESC,
+  },
+  {
+    id: 'suffer_score',
+    label: 'Suffer Score',
+    defaultVisible: false,
+    value: (activity) => activity.suffer_score ?? null,
+    defaultDirection: SORT_DIRECTION.DESC,
+  },
+  {
+    id: 'gear',
+    label: 'Gear',
+    defaultVisible: false,
+    value: (activity, { gearNames }) => getGearName(activity, gearNames),
+    defaultDirection: SORT_DIRECTION.ASC,
+  },
+  {
+    id: 'device',
+    label: 'Device',
+    defaultVisible: false,
+    value: (activity) => activity.device_name || null,
+    defaultDirection: SORT_DIRECTION.ASC,
+  },
+];
+
+const COLUMNS_BY_ID = new Map(TABLE_COLUMNS.map((column) => [column.id, column]));
+
+// No sort keeps the order the activities arrive in: newest first, or by relevance while searching
+export const DEFAULT_TABLE_PREFERENCES = {
+  columns: TABLE_COLUMNS.filter((column) => column.defaultVisible).map((column) => column.id),
+  sort: [],
+};
+
+/**
+ * @param {string} columnId
+ * @returns {Object|undefined} - The column's definition from TABLE_COLUMNS
+ */
+export function getTableColumn(columnId) {
+  return COLUMNS_BY_ID.get(columnId);
+}
+
+/**
+ * The gear shown for an activity: its name when the gear is cached, its id otherwise
+ * @param {Object} activity
+ * @param {Map} [gearNames] - gearId -> name
+ * @returns {string|null}
+ */
+export function getGearName(activity, gearNames) {
+  if (activity.gear?.nickname || activity.gear?.name) return activity.gear.nickname || activity.gear.name;
+  if (!activity.gear_id) return null;
+  return gearNames?.get(activity.gear_id) || activity.gear_id;
+}
+
+/**
+ * Drop columns and sort keys that no longer exist (preferences stored by an older version)
+ * @param {Object} preferences - { columns, sort }
+ * @returns {{ columns: Array<string>, sort: Array<{ column: string, direction: string }> }}
+ */
+export function normalizeTablePreferences(preferences) {
+  const columns = Array.isArray(preferences?.columns)
+    ? TABLE_COLUMNS.filter((column) => column.required || preferences.columns.includes(column.id)).map(
+        (column) => column.id,
+      )
+    : DEFAULT_TABLE_PREFERENCES.columns;
+
+  const sort = Array.isArray(preferences?.sort)
+    ? preferences.sort.filter(
+        (key, index, keys) =>
+          getTableColumn(key?.column)?.value &&
+          Object.values(SORT_DIRECTION).includes(key.direction) &&
+          keys.findIndex((other) => other?.column === key.column) === index,
+      )
+    : DEFAULT_TABLE_PREFERENCES.sort;
+
+  return { columns, sort };
+}
+
+/**
+ * The sort after clicking a column's header
+ * A click sorts by that column alone; with additive (shift-click) it's added as the next tie-breaker.
+ * Clicking the column the table is sorted by flips its direction, and clicking it again removes it.
+ * @param {Array<{ column: string, direction: string }>} sort
+ * @param {string} columnId
+ * @param {Object} [options]
+ * @param {boolean} [options.additive] - Keep the other sort keys
+ * @returns {Array<{ column: string, direction: string }>}
+ */
+export function toggleSort(sort, columnId, { additive = false } = {}) {
+  const column = getTableColumn(columnId);
+  if (!column?.value) return sort;
+
+  const existing = sort.find((key) => key.column === columnId);
+  const isOnlyKey = existing && sort.length === 1;
+  if (!existing || (!additive && !isOnlyKey)) {
+    const first = { column: columnId, direction: column.defaultDirection };
+    return additive ? [...sort, first] : [first];
+  }
+
+  // Second click flips the direction, third click stops sorting by the column
+  if (existing.direction !== column.defaultDirection) {
+    return sort.filter((key) => key.column !== columnId);
+  }
+  const direction = existing.direction === SORT_DIRECTION.ASC ? SORT_DIRECTION.DESC : SORT_DIRECTION.ASC;
+  return sort.map((key) => (key.column === columnId ? { column: columnId, direction } : key));
+}
+
+const compareValues = (a, b) => {
+  if (typeof a === 'string' || typeof b === 'string') {
+    return String(a).localeCompare(String(b), undefined, { sensitivity: 'base', numeric: true });
+  }
+  return a - b;
+};
+
+/**
+ * Sort activities by several columns
+ * Activities missing a value go last whichever the direction; ties keep their incoming order.
+ * @param {Array} activities
+ * @param {Array<{ column: string, direction: string }>} sort
+ * @param {Object} [context]
+ * @param {Map} [context.gearNames] - gearId -> name, for sorting by gear
+ * @returns {Array} - A sorted copy (the same array when there's nothing to sort by)
+ */
+export function sortActivities(activities, sort, { gearNames } = {}) {
+  const keys = sort.map((key) => ({ ...key, column: getTableColumn(key.column) })).filter((key) => key.column?.value);
+  if (keys.length === 0) return activities;
+
+  const rows = activities.map((activity, index) => ({
+    activity,
+    index,
+    values: keys.map((key) => key.column.value(activity, { gearNames })),
+  }));
+
+  rows.sort((a, b) => {
+    for (let i = 0; i < keys.length; i++) {
+      const valueA = a.values[i];
+      const valueB = b.values[i];
+      const missingA = valueA === null || valueA === undefined || Number.isNaN(valueA);
+      const missingB = valueB === null || valueB === undefined || Number.isNaN(valueB);
+      if (missingA || missingB) {
+        if (missingA && missingB) continue;
+        return missingA ? 1 : -1;
+      }
+
+      const comparison = compareValues(valueA, valueB);
+      if (comparison !== 0) {
+        return keys[i].direction === SORT_DIRECTION.ASC ? comparison : -comparison;
+      }
+    }
+    return a.index - b.index;
+  });
+
+  return rows.map((row) => row.activity);
+}
+
+class TablePreferences {
+  constructor(database = activityDatabase) {
+    this.database = database;
+    // athleteId -> { columns, sort }
+    this.preferences = {};
+    this.listeners = new Set();
+    this.loadPromise = null;
+  }
+
+  /**
+   * Read the stored preferences (once; later calls wait for the same load)
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.database
+        .getMetadata(METADATA_KEY)
+        .then((stored) => {
+          this.preferences = stored || {};
+          console.log('TablePreferences: Loaded table preferences', {
+            athletes: Object.keys(this.preferences).length,
+          });
+          this.notify();
+        })
+        .catch((error) => {
+          console.error('TablePreferences: Failed to load table preferences', error);
+          this.loadPromise = null;
+        });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * @param {Function} listener - Called whenever an athlete's preferences change
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    for (const listener of this.listeners) {
+      listener(this.preferences);
+    }
+  }
+
+  /**
+   * @param {string|number|null} athleteId
+   * @returns {{ columns: Array<string>, sort: Array<{ column: string, direction: string }> }}
+   */
+  get(athleteId) {
+    return normalizeTablePreferences(this.preferences[athleteId ?? ANONYMOUS_ATHLETE]);
+  }
+
+  /**
+   * @param {string|number|null} athleteId
+   * @param {Object} changes - Any of { columns, sort }
+   */
+  async update(athleteId, changes) {
+    await this.load();
+
+    const key = athleteId ?? ANONYMOUS_ATHLETE;
+    this.preferences = {
+      ...this.preferences,
+      [key]: normalizeTablePreferences({ ...this.get(athleteId), ...changes }),
+    };
+    this.notify();
+
+    try {
+      await this.database.setMetadata(METADATA_KEY, this.preferences);
+      console.log('TablePreferences: Saved table preferences', { athleteId: key, ...this.preferences[key] });
+    } catch (error) {
+      console.error('TablePreferences: Failed to save table preferences', error);
+    }
+  }
+
+  /**
+   * Go back to the default columns and order
+   * @param {string|number|null} athleteId
+   */
+  reset(athleteId) {
+    return this.update(athleteId, DEFAULT_TABLE_PREFERENCES);
+  }
+}
+
+// Create singleton instance
+const tablePreferences = new TablePreferences();
+
+export { tablePreferences, TablePreferences };
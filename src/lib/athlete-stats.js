@@ -0,0 +1,97 @@
+/**
+ * Athlete Stats - Strava's recent / year-to-date / all-time totals next to the same totals from the local cache
+ * Shows how much of the athlete's history the cache actually covers.
+ *
+ * Strava only counts activities visible to Everyone in these totals, so with private activities cached
+ * the local totals can exceed Strava's and coverage goes above 100%.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Strava's "recent" totals are the last four weeks
+const RECENT_DAYS = 28;
+
+export const STATS_PERIODS = [
+  { id: 'recent', label: 'Last 4 weeks' },
+  { id: 'ytd', label: 'This year' },
+  { id: 'all', label: 'All time' },
+];
+
+// Activity types each of Strava's totals includes
+export const STATS_SPORTS = [
+  { id: 'run', label: 'Run', types: ['Run', 'VirtualRun'] },
+  { id: 'ride', label: 'Ride', types: ['Ride', 'VirtualRide', 'EBikeRide'] },
+  { id: 'swim', label: 'Swim', types: ['Swim'] },
+];
+
+const emptyTotals = () => ({ count: 0, distance: 0, moving_time: 0, elevation_gain: 0 });
+
+/**
+ * Earliest start time included in a period
+ */
+function getPeriodStart(periodId, now) {
+  if (periodId === 'recent') return now - RECENT_DAYS * DAY_MS;
+  if (periodId === 'ytd') return new Date(new Date(now).getFullYear(), 0, 1).getTime();
+  return 0;
+}
+
+/**
+ * Totals per period and sport from cached activities, in the shape of /athletes/{id}/stats totals
+ * @param {Array} activities - Cached activities
+ * @param {number} [now]
+ * @returns {Object} - { recent: { run, ride, swim }, ytd: {...}, all: {...} }
+ */
+export function computeCachedTotals(activities, now = Date.now()) {
+  const totals = Object.fromEntries(
+    STATS_PERIODS.map((period) => [
+      period.id,
+      Object.fromEntries(STATS_SPORTS.map((sport) => [sport.id, emptyTotals()])),
+    ]),
+  );
+
+  for (const activity of activities) {
+    const sport = STATS_SPORTS.find((candidate) => candidate.types.includes(activity.type));
+    if (!sport) continue;
+
+    const startTime = new Date(activity.start_date).getTime();
+    for (const period of STATS_PERIODS) {
+      if (startTime < getPeriodStart(period.id, now)) continue;
+
+      const periodTotals = totals[period.id][sport.id];
+      periodTotals.count++;
+      periodTotals.distance += activity.distance || 0;
+      periodTotals.moving_time += activity.moving_time || 0;
+      periodTotals.elevation_gain += activity.total_elevation_gain || 0;
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Pair Strava's totals with the cached ones
+ * @param {Object} stats - Response of /athletes/{id}/stats
+ * @param {Array} activities - Cached activities
+ * @param {number} [now]
+ * @returns {Array<Object>} - { period, sport, strava, cached, coverage } per period and sport;
+ *   coverage is cached / Strava distance (or count for activities without distance), null when Strava has nothing
+ */
+export function reconcileAthleteStats(stats, activities, now = Date.now()) {
+  const cachedTotals = computeCachedTotals(activities, now);
+
+  return STATS_PERIODS.flatMap((period) =>
+    STATS_SPORTS.map((sport) => {
+      const strava = { ...emptyTotals(), ...stats?.[`${period.id}_${sport.id}_totals`] };
+      const cached = cachedTotals[period.id][sport.id];
+      const measure = strava.distance > 0 ? 'distance' : 'count';
+
+      return {
+        period: period.id,
+        sport: sport.id,
+        strava,
+        cached,
+        coverage: strava[measure] > 0 ? cached[measure] / strava[measure] : null,
+      };
+    }),
+  );
+}
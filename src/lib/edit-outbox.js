@@ -0,0 +1,331 @@
+/**
+ * Edit Outbox - Activity edits made while offline or rate-limited, kept in IndexedDB and replayed in order
+ * Queued edits show up in the cache straight away; each entry then moves from pending to synced, conflicted or failed.
+ */
+
+import { rateLimitBudget } from './rate-limit-budget';
+import { ActivityConflictError, StravaError, StravaRateLimitError } from './strava-errors';
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending', // Waiting to be sent
+  SYNCED: 'synced', // Saved on Strava
+  CONFLICTED: 'conflicted', // Changed on Strava since it was edited here - the athlete has to choose
+  FAILED: 'failed', // Rejected by Strava (e.g. missing write access); retrying as-is won't help
+};
+
+// Synced entries are kept this long so the athlete can see their edits went through
+const SYNCED_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const pick = (source, fields) => Object.fromEntries(fields.map((field) => [field, source?.[field] ?? null]));
+
+export class EditOutbox {
+  /**
+   * @param {SmartActivityCache} smartCache - Cache the edits are applied to and sent through
+   */
+  constructor(smartCache) {
+    this.smartCache = smartCache;
+    this.database = smartCache.database;
+    this.entries = [];
+    this.listeners = new Set();
+    this.flushPromise = null;
+    this.resumeTimer = null;
+    // Id of the entry whose edit is on its way to Strava; later edits must not merge into it
+    this.sendingId = null;
+    this.loadPromise = null;
+    this.ready();
+  }
+
+  /**
+   * Wait for the stored entries (loading them once; a failed load is tried again on the next call)
+   */
+  ready() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.load().catch((error) => {
+        console.error('EditOutbox: Failed to load outbox', error);
+        this.loadPromise = null;
+      });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Read the stored entries, dropping synced ones that are old enough to forget
+   */
+  async load() {
+    const entries = await this.database.getOutboxEntries();
+    const expiredBefore = Date.now() - SYNCED_RETENTION_MS;
+    const expired = entries.filter((entry) => entry.status === OUTBOX_STATUS.SYNCED && entry.synced_at < expiredBefore);
+
+    await Promise.all(expired.map((entry) => this.database.deleteOutboxEntry(entry.id)));
+    this.entries = entries.filter((entry) => !expired.includes(entry));
+
+    console.log('EditOutbox: Loaded outbox', {
+      entries: this.entries.length,
+      pending: this.entries.filter((entry) => entry.status === OUTBOX_STATUS.PENDING).length,
+      expiredSynced: expired.length,
+    });
+    this.notify();
+  }
+
+  /**
+   * @param {Function} listener - Called with the current entries whenever one changes
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    for (const listener of this.listeners) {
+      listener(this.entries);
+    }
+  }
+
+  getEntries() {
+    return this.entries;
+  }
+
+  hasPending() {
+    return this.entries.some((entry) => entry.status === OUTBOX_STATUS.PENDING);
+  }
+
+  /**
+   * Whether a new edit has to go through the outbox instead of straight to Strava
+   * Edits queue behind earlier pending ones so they reach Strava in the order they were made.
+   */
+  shouldQueue() {
+    return !navigator.onLine || rateLimitBudget.shouldBackOff(0) || this.hasPending();
+  }
+
+  /**
+   * Queue an edit and show it in the cache right away
+   * A second edit to an activity that is still pending is merged into the same entry, unless that entry is
+   * being sent - then it gets an entry of its own, sent after it.
+   * @param {Object} activity - The activity being edited (for its id and name)
+   * @param {Object} updates - Any of { name, description, private_note }
+   * @param {Object} [base] - The activity as it was when editing started, for conflict detection
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - The user chose to overwrite Strava's version; skip the conflict check
+   * @returns {Promise<Object>} - The stored entry
+   */
+  async enqueue(activity, updates, base = activity, { force = false } = {}) {
+    await this.ready();
+
+    const activityId = String(activity.id);
+    const existing = this.entries.find(
+      (entry) =>
+        entry.activityId === activityId && entry.status === OUTBOX_STATUS.PENDING && entry.id !== this.sendingId,
+    );
+    const now = Date.now();
+
+    const entry = existing
+      ? {
+          ...existing,
+          updates: { ...existing.updates, ...updates },
+          // Keep what the first edit started from; only fields new to this entry take the later base
+          base: { ...pick(base, Object.keys(updates)), ...existing.base },
+          force: existing.force || force,
+          updated_at: now,
+        }
+      : {
+          activityId,
+          activityName: activity.name,
+          updates,
+          base: pick(base, Object.keys(updates)),
+          force,
+          status: OUTBOX_STATUS.PENDING,
+          attempts: 0,
+          error: null,
+          created_at: now,
+          updated_at: now,
+        };
+
+    const stored = await this.save(entry);
+    await this.applyLocally(activityId, updates);
+
+    console.log('EditOutbox: Queued activity edit', {
+      entryId: stored.id,
+      activityId,
+      fields: Object.keys(stored.updates),
+      merged: !!existing,
+      forced: stored.force,
+    });
+    return stored;
+  }
+
+  /**
+   * Send pending edits to Strava, oldest first
+   * Stops at the first edit that fails for a transient reason, so later edits never overtake it.
+   */
+  async flush() {
+    if (!this.flushPromise) {
+      this.flushPromise = this.replay().finally(() => {
+        this.flushPromise = null;
+      });
+    }
+    return this.flushPromise;
+  }
+
+  async replay() {
+    await this.ready();
+    if (!this.hasPending() || !navigator.onLine || !this.smartCache.hasApiAccess()) return;
+
+    console.log('EditOutbox: Replaying queued edits', {
+      pending: this.entries.filter((entry) => entry.status === OUTBOX_STATUS.PENDING).length,
+    });
+
+    // Edits queued while one is being sent join the end of the queue, so look for the next one each time
+    const attemptedIds = new Set();
+    let entry = this.nextPending(attemptedIds);
+    while (entry) {
+      attemptedIds.add(entry.id);
+      const attempted = { ...entry, attempts: entry.attempts + 1, updated_at: Date.now() };
+
+      this.sendingId = entry.id;
+      try {
+        await this.smartCache.updateActivity(entry.activityId, entry.updates, { base: entry.base, force: entry.force });
+        await this.save({ ...attempted, status: OUTBOX_STATUS.SYNCED, synced_at: Date.now(), error: null });
+        await this.reapplyPending(entry.activityId);
+      } catch (error) {
+        if (error instanceof ActivityConflictError) {
+          await this.save({
+            ...attempted,
+            status: OUTBOX_STATUS.CONFLICTED,
+            remote: pick(error.remote, error.fields),
+            conflictFields: error.fields,
+            error: error.message,
+          });
+        } else if (error instanceof StravaError && error.isRetryable) {
+          await this.save({ ...attempted, error: error.message });
+          if (this.smartCache.updateApiStatus) {
+            this.smartCache.updateApiStatus(false, error);
+          }
+          this.scheduleResume(error);
+          console.warn('EditOutbox: Strava unavailable, keeping remaining edits queued', {
+            entryId: entry.id,
+            error: error.message,
+          });
+          return;
+        } else {
+          console.error('EditOutbox: Edit rejected', { entryId: entry.id, activityId: entry.activityId, error });
+          await this.save({ ...attempted, status: OUTBOX_STATUS.FAILED, error: error.message });
+        }
+      } finally {
+        this.sendingId = null;
+      }
+      entry = this.nextPending(attemptedIds);
+    }
+  }
+
+  /**
+   * The oldest pending entry not yet sent in this replay
+   */
+  nextPending(attemptedIds) {
+    return this.entries.find((entry) => entry.status === OUTBOX_STATUS.PENDING && !attemptedIds.has(entry.id));
+  }
+
+  /**
+   * Strava's response to a sent edit replaces the cached activity; show edits still queued for it on top again
+   */
+  async reapplyPending(activityId) {
+    const queued = this.entries.filter(
+      (entry) => entry.activityId === activityId && entry.status === OUTBOX_STATUS.PENDING,
+    );
+    if (queued.length === 0) return;
+
+    await this.applyLocally(activityId, Object.assign({}, ...queued.map((entry) => entry.updates)));
+  }
+
+  /**
+   * After a 429, try again once the window has reset instead of waiting for the next API success
+   */
+  scheduleResume(error) {
+    if (!(error instanceof StravaRateLimitError) || !error.resetsAt || this.resumeTimer) return;
+
+    this.resumeTimer = setTimeout(
+      () => {
+        this.resumeTimer = null;
+        this.flush();
+      },
+      Math.max(0, error.resetsAt.getTime() - Date.now()),
+    );
+  }
+
+  /**
+   * Send a failed edit again
+   */
+  async retry(entryId) {
+    const entry = this.entries.find((candidate) => candidate.id === entryId);
+    if (!entry) return;
+
+    await this.save({ ...entry, status: OUTBOX_STATUS.PENDING, error: null });
+    return this.flush();
+  }
+
+  /**
+   * Save a conflicted edit over the version on Strava
+   */
+  async overwrite(entryId) {
+    const entry = this.entries.find((candidate) => candidate.id === entryId);
+    if (!entry) return;
+
+    await this.save({ ...entry, status: OUTBOX_STATUS.PENDING, force: true, error: null });
+    await this.applyLocally(entry.activityId, entry.updates);
+    return this.flush();
+  }
+
+  /**
+   * Drop an edit that hasn't been saved, putting back what the activity looked like before it
+   * (a conflicted edit already shows Strava's version, so there is nothing to restore)
+   */
+  async discard(entryId) {
+    const entry = this.entries.find((candidate) => candidate.id === entryId);
+    if (!entry) return;
+
+    await this.remove(entry);
+    if (entry.status === OUTBOX_STATUS.PENDING || entry.status === OUTBOX_STATUS.FAILED) {
+      await this.applyLocally(entry.activityId, entry.base);
+    }
+  }
+
+  /**
+   * Forget edits that were saved
+   */
+  async clearSynced() {
+    const synced = this.entries.filter((entry) => entry.status === OUTBOX_STATUS.SYNCED);
+    await Promise.all(synced.map((entry) => this.database.deleteOutboxEntry(entry.id)));
+    this.entries = this.entries.filter((entry) => !synced.includes(entry));
+    this.notify();
+  }
+
+  async save(entry) {
+    const stored = await this.database.putOutboxEntry(entry);
+    const index = this.entries.findIndex((candidate) => candidate.id === stored.id);
+    if (index === -1) {
+      this.entries = [...this.entries, stored];
+    } else {
+      this.entries = this.entries.map((candidate) => (candidate.id === stored.id ? stored : candidate));
+    }
+    this.notify();
+    return stored;
+  }
+
+  async remove(entry) {
+    await this.database.deleteOutboxEntry(entry.id);
+    this.entries = this.entries.filter((candidate) => candidate.id !== entry.id);
+    this.notify();
+  }
+
+  /**
+   * Show field values on the cached activity without sending anything
+   */
+  async applyLocally(activityId, fields) {
+    const cached = await this.smartCache.getCachedActivity(activityId);
+    if (!cached) return;
+
+    const updated = { ...cached, ...fields };
+    await this.smartCache.storeActivity(updated);
+    this.smartCache.notifyActivitiesChanged({ upserted: [updated], deletedIds: [], removed: [] });
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Gear Mileage - Cumulative distance per shoe and bike, computed from cached activities
+ * Strava's own gear totals include activities this browser hasn't cached; these only count what we have,
+ * so they can be shown next to each other.
+ */
+
+export const GEAR_TYPE = { SHOE: 'shoe', BIKE: 'bike' };
+
+// Default retirement distances in meters; bikes have no default and only warn if the athlete sets one
+export const DEFAULT_RETIREMENT_DISTANCE = {
+  [GEAR_TYPE.SHOE]: 800000,
+  [GEAR_TYPE.BIKE]: null,
+};
+
+// Start warning once a shoe has this share of its retirement distance
+export const RETIREMENT_WARNING_SHARE = 0.9;
+
+/**
+ * Strava prefixes shoe ids with "g" and bike ids with "b"
+ */
+export function getGearType(gearId) {
+  return String(gearId).startsWith('b') ? GEAR_TYPE.BIKE : GEAR_TYPE.SHOE;
+}
+
+/**
+ * Total distance, activity count and first/last use per gear_id
+ * @param {Array} activities - Cached activities (summary or detailed)
+ * @returns {Map<string, {activityCount: number, distance: number, firstUsed: string, lastUsed: string}>}
+ */
+export function summarizeGearUsage(activities) {
+  const usage = new Map();
+
+  for (const activity of activities) {
+    if (!activity.gear_id) continue;
+
+    const entry = usage.get(activity.gear_id) || {
+      activityCount: 0,
+      distance: 0,
+      firstUsed: activity.start_date,
+      lastUsed: activity.start_date,
+    };
+    entry.activityCount++;
+    entry.distance += activity.distance || 0;
+    if (activity.start_date < entry.firstUsed) entry.firstUsed = activity.start_date;
+    if (activity.start_date > entry.lastUsed) entry.lastUsed = activity.start_date;
+    usage.set(activity.gear_id, entry);
+  }
+
+  return usage;
+}
+
+/**
+ * Where a piece of gear stands against its retirement distance
+ * @param {number} distance - Distance covered in meters
+ * @param {number|null} retirementDistance - Threshold in meters, or null for none
+ * @returns {'ok'|'approaching'|'retire'}
+ */
+export function getRetirementStatus(distance, retirementDistance) {
+  if (!retirementDistance) return 'ok';
+  if (distance >= retirementDistance) return 'retire';
+  if (distance >= retirementDistance * RETIREMENT_WARNING_SHARE) return 'approaching';
+  return 'ok';
+}
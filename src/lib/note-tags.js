@@ -0,0 +1,56 @@
+/**
+ * Note Tags - Hashtags and @-mentions written in private notes ("#tempo #knee felt tight @track")
+ * Tags keep their prefix so a #track workout and an @track location stay apart.
+ */
+
+// A tag starts a word - "a@b.com" or "page#top" are not tags
+const NOTE_TAG_PATTERN = /(^|[^\p{L}\p{N}_&])([#@])([\p{L}\p{N}_][\p{L}\p{N}_-]*)/gu;
+
+/**
+ * @param {string} note - Private note text
+ * @returns {Array<string>} - Lowercased tags in the order they first appear, e.g. ['#tempo', '#knee', '@track']
+ */
+export function extractNoteTags(note) {
+  if (!note) return [];
+
+  const tags = new Set();
+  for (const match of note.matchAll(NOTE_TAG_PATTERN)) {
+    // Hyphens at the end belong to the sentence ("#tempo- then easy"), not the tag
+    tags.add(`${match[2]}${match[3].replace(/-+$/, '')}`.toLowerCase());
+  }
+  return [...tags];
+}
+
+/**
+ * Count each tag across activities, with the first and last date it was used
+ * @param {Array} activities
+ * @returns {Array<{ tag: string, count: number, firstDate: string, lastDate: string }>} - Most used first
+ */
+export function summarizeNoteTags(activities) {
+  const summary = new Map();
+
+  for (const activity of activities) {
+    for (const tag of extractNoteTags(activity.private_note)) {
+      const entry = summary.get(tag) || {
+        tag,
+        count: 0,
+        firstDate: activity.start_date,
+        lastDate: activity.start_date,
+      };
+      entry.count++;
+      if (activity.start_date < entry.firstDate) entry.firstDate = activity.start_date;
+      if (activity.start_date > entry.lastDate) entry.lastDate = activity.start_date;
+      summary.set(tag, entry);
+    }
+  }
+
+  return sortNoteTagSummary([...summary.values()]);
+}
+
+/**
+ * @param {Array<{ tag: string, count: number }>} entries
+ * @returns {Array} - Most used first, then alphabetically
+ */
+export function sortNoteTagSummary(entries) {
+  return entries.sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
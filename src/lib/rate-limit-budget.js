@@ -0,0 +1,113 @@
+/**
+ * Rate Limit Budget - Client-side view of the Strava API quota
+ * Updated from the X-RateLimit headers of every response (and from the backend's /api/ratelimit
+ * in proxied mode) so background jobs can back off before Strava starts answering 429
+ */
+
+import { describeWindow, parseRateLimitHeaders } from './rate-limit-windows.js';
+
+// Fraction of each window kept free for interactive requests (e.g. opening an activity)
+const DEFAULT_RESERVE_FRACTION = 0.1;
+
+class RateLimitBudget {
+  constructor() {
+    this.shortTerm = null; // { limit, usage, resetsAt }
+    this.daily = null;
+    this.updatedAt = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Record the budget reported by a Strava (or proxied) response
+   * @param {Headers} headers - Response headers
+   */
+  updateFromHeaders(headers) {
+    const now = Date.now();
+    const windows = parseRateLimitHeaders(headers, now);
+    if (!windows) return;
+
+    this.shortTerm = windows.shortTerm;
+    this.daily = windows.daily;
+    this.updatedAt = now;
+    this.notify();
+  }
+
+  /**
+   * Record a budget snapshot from the backend's /api/ratelimit endpoint
+   * @param {Object} snapshot - { shortTerm, daily, updatedAt } as returned by the backend
+   */
+  updateFromSnapshot(snapshot) {
+    if (!snapshot?.shortTerm || !snapshot?.daily) return;
+
+    const toWindow = (window) => ({
+      limit: window.limit,
+      usage: window.usage,
+      resetsAt: new Date(window.resetsAt).getTime(),
+    });
+
+    this.shortTerm = toWindow(snapshot.shortTerm);
+    this.daily = toWindow(snapshot.daily);
+    this.updatedAt = snapshot.updatedAt ? new Date(snapshot.updatedAt).getTime() : Date.now();
+    this.notify();
+  }
+
+  describeWindow(window, now) {
+    const described = describeWindow(window, now);
+    return described && { ...described, resetsAt: new Date(described.resetsAt) };
+  }
+
+  /**
+   * Get the current budget
+   * @returns {Object} - { shortTerm, daily, updatedAt } with limit/usage/remaining/resetsAt per window
+   */
+  getSnapshot() {
+    const now = Date.now();
+    return {
+      shortTerm: this.describeWindow(this.shortTerm, now),
+      daily: this.describeWindow(this.daily, now),
+      updatedAt: this.updatedAt ? new Date(this.updatedAt) : null,
+    };
+  }
+
+  /**
+   * Whether background work should stop spending quota
+   * @param {number} reserveFraction - Fraction of each window to leave for interactive use
+   * @returns {boolean} - false while the budget is unknown
+   */
+  shouldBackOff(reserveFraction = DEFAULT_RESERVE_FRACTION) {
+    const { shortTerm, daily } = this.getSnapshot();
+    return [shortTerm, daily].some((window) => window && window.remaining <= window.limit * reserveFraction);
+  }
+
+  /**
+   * Milliseconds until every window that is below the reserve has reset
+   */
+  getBackOffDelay(reserveFraction = DEFAULT_RESERVE_FRACTION) {
+    const now = Date.now();
+    const { shortTerm, daily } = this.getSnapshot();
+    return [shortTerm, daily]
+      .filter((window) => window && window.remaining <= window.limit * reserveFraction)
+      .reduce((latest, window) => Math.max(latest, window.resetsAt.getTime() - now), 0);
+  }
+
+  /**
+   * Subscribe to budget updates
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const snapshot = this.getSnapshot();
+    for (const listener of this.listeners) {
+      listener(snapshot);
+    }
+  }
+}
+
+// Create singleton instance
+const rateLimitBudget = new RateLimitBudget();
+
+export { rateLimitBudget, RateLimitBudget };
@@ -0,0 +1,71 @@
+/**
+ * Rate Limit Windows - Strava's 15-minute and daily API windows, read from X-RateLimit headers
+ * Shared by the browser's budget (rate-limit-budget.js) and the backend's (server/rate-limit.js) so both
+ * count the same way. No browser or Node APIs here.
+ */
+
+const SHORT_TERM_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Strava's 15-minute windows reset on the quarter hour (UTC)
+ * @param {number} [from] - Timestamp in ms
+ * @returns {number} - Timestamp in ms
+ */
+export function getNextShortTermReset(from = Date.now()) {
+  return Math.floor(from / SHORT_TERM_WINDOW_MS) * SHORT_TERM_WINDOW_MS + SHORT_TERM_WINDOW_MS;
+}
+
+/**
+ * The daily window resets at midnight UTC
+ * @param {number} [from] - Timestamp in ms
+ * @returns {number} - Timestamp in ms
+ */
+export function getNextDailyReset(from = Date.now()) {
+  const reset = new Date(from);
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset.getTime();
+}
+
+function parsePair(value) {
+  if (!value) return null;
+  const [shortTerm, daily] = value.split(',').map((part) => Number.parseInt(part.trim(), 10));
+  if (Number.isNaN(shortTerm) || Number.isNaN(daily)) return null;
+  return [shortTerm, daily];
+}
+
+/**
+ * Read both windows from X-RateLimit-Limit / X-RateLimit-Usage ("<15-minute>,<daily>")
+ * @param {Headers} headers - Response headers
+ * @param {number} [now] - When the response arrived, in ms
+ * @returns {{ shortTerm: Object, daily: Object }|null} - { limit, usage, resetsAt } per window (resetsAt in ms),
+ *   or null when the headers are missing
+ */
+export function parseRateLimitHeaders(headers, now = Date.now()) {
+  const limits = parsePair(headers.get('x-ratelimit-limit'));
+  const usage = parsePair(headers.get('x-ratelimit-usage'));
+  if (!limits || !usage) return null;
+
+  return {
+    shortTerm: { limit: limits[0], usage: usage[0], resetsAt: getNextShortTermReset(now) },
+    daily: { limit: limits[1], usage: usage[1], resetsAt: getNextDailyReset(now) },
+  };
+}
+
+/**
+ * A recorded window as it stands now
+ * @param {Object|null} window - { limit, usage, resetsAt } with resetsAt in ms
+ * @param {number} now - Timestamp in ms
+ * @returns {{ limit: number, usage: number, remaining: number, resetsAt: number }|null}
+ */
+export function describeWindow(window, now) {
+  if (!window) return null;
+
+  // Once the window has rolled over, Strava has forgotten the usage we recorded
+  const usage = now >= window.resetsAt ? 0 : window.usage;
+  return {
+    limit: window.limit,
+    usage,
+    remaining: Math.max(0, window.limit - usage),
+    resetsAt: window.resetsAt,
+  };
+}
@@ -0,0 +1,214 @@
+/**
+ * Request Scheduler - Shared queue for every Strava API request made by this tab
+ * Bounds how many requests run at once, runs them by priority, shares one request between
+ * callers asking for the same resource, and holds back lower priorities while the quota is low.
+ */
+
+import { rateLimitBudget } from './rate-limit-budget.js';
+
+// Lower number runs first
+export const REQUEST_PRIORITY = {
+  INTERACTIVE: 0, // Something the athlete just clicked (e.g. opening an activity)
+  VISIBLE: 1, // Data for the list or chart on screen
+  BACKGROUND: 2, // Backfill nobody is waiting on (weekly mileage, webhook catch-up)
+};
+
+const DEFAULT_MAX_CONCURRENT = 2;
+
+// Re-check paused work at least this often; the budget doesn't notify when a window rolls over
+const MIN_RESUME_DELAY_MS = 1000;
+
+const createAbortError = () => new DOMException('The request was cancelled', 'AbortError');
+
+class RequestScheduler {
+  constructor(maxConcurrent = DEFAULT_MAX_CONCURRENT) {
+    this.maxConcurrent = maxConcurrent;
+    this.queue = []; // Entries waiting to start
+    this.entries = new Map(); // key -> entry, queued or running
+    this.running = 0;
+    this.sequence = 0;
+    this.resumeTimer = null;
+
+    // A fresher budget (e.g. from /api/ratelimit) may let paused work continue
+    rateLimitBudget.subscribe(() => this.pump());
+  }
+
+  /**
+   * Run a task through the queue
+   * Callers scheduling the same key while it is queued or running share the same result;
+   * a higher priority from a later caller moves the queued task up.
+   * @param {string} key - Identifies the resource (e.g. the API endpoint) for deduplication
+   * @param {Function} task - (signal) => Promise; the signal fires once every caller has cancelled
+   * @param {Object} [options]
+   * @param {number} [options.priority] - One of REQUEST_PRIORITY
+   * @param {AbortSignal} [options.signal] - Cancels this caller's interest in the result
+   * @returns {Promise<*>} - The task's result
+   */
+  schedule(key, task, { priority = REQUEST_PRIORITY.VISIBLE, signal } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    let entry = this.entries.get(key);
+    // A cancelled task is still winding down; it can't serve new callers
+    if (entry?.controller.signal.aborted) {
+      entry = null;
+    }
+    if (entry) {
+      if (!entry.started && priority < entry.priority) {
+        entry.priority = priority;
+      }
+      console.log('RequestScheduler.schedule: Sharing in-flight request', {
+        key,
+        started: entry.started,
+        priority: entry.priority,
+      });
+    } else {
+      entry = this.createEntry(key, task, priority);
+      this.entries.set(key, entry);
+      this.queue.push(entry);
+    }
+
+    entry.waiters++;
+    const result = this.waitFor(entry, signal);
+    this.pump();
+    return result;
+  }
+
+  createEntry(key, task, priority) {
+    const entry = {
+      key,
+      task,
+      priority,
+      sequence: this.sequence++,
+      controller: new AbortController(),
+      waiters: 0,
+      started: false,
+    };
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    // Callers get the outcome through waitFor(); this keeps a fully cancelled entry from being reported as unhandled
+    entry.promise.catch(() => {});
+    return entry;
+  }
+
+  /**
+   * Resolve with the entry's result, or reject early if this caller's signal fires
+   */
+  waitFor(entry, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(signal.reason);
+        this.releaseWaiter(entry);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      entry.promise.then(resolve, reject).finally(() => signal?.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Cancel the task once nobody is waiting for it any more
+   */
+  releaseWaiter(entry) {
+    entry.waiters--;
+    if (entry.waiters > 0) return;
+
+    entry.controller.abort();
+    // New callers for the same key start a fresh task rather than join this aborted one
+    if (this.entries.get(entry.key) === entry) {
+      this.entries.delete(entry.key);
+    }
+    if (!entry.started) {
+      this.queue = this.queue.filter((queued) => queued !== entry);
+      entry.reject(createAbortError());
+    }
+  }
+
+  /**
+   * Whether work of this priority should wait for the quota to recover
+   * Interactive requests always run; they are what the reserve is kept for.
+   */
+  isPaused(priority) {
+    if (priority === REQUEST_PRIORITY.INTERACTIVE) return false;
+    if (priority === REQUEST_PRIORITY.VISIBLE) return rateLimitBudget.shouldBackOff(0);
+    return rateLimitBudget.shouldBackOff();
+  }
+
+  /**
+   * Start queued tasks while there is a free slot
+   */
+  pump() {
+    while (this.running < this.maxConcurrent) {
+      const runnable = this.queue.filter((entry) => !this.isPaused(entry.priority));
+      if (runnable.length === 0) break;
+
+      const next = runnable.reduce((best, entry) =>
+        entry.priority < best.priority || (entry.priority === best.priority && entry.sequence < best.sequence)
+          ? entry
+          : best,
+      );
+      this.queue = this.queue.filter((entry) => entry !== next);
+      this.start(next);
+    }
+
+    if (this.queue.length > 0 && this.running < this.maxConcurrent) {
+      this.scheduleResume();
+    }
+  }
+
+  start(entry) {
+    entry.started = true;
+    this.running++;
+
+    Promise.resolve()
+      .then(() => entry.task(entry.controller.signal))
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        this.running--;
+        // The key may already belong to a newer task if this one was cancelled
+        if (this.entries.get(entry.key) === entry) {
+          this.entries.delete(entry.key);
+        }
+        this.pump();
+      });
+  }
+
+  /**
+   * Try paused work again once the rate-limit windows have reset
+   */
+  scheduleResume() {
+    if (this.resumeTimer) return;
+
+    const delay = Math.max(MIN_RESUME_DELAY_MS, rateLimitBudget.getBackOffDelay());
+    console.log('RequestScheduler: Quota low, pausing queued requests', {
+      queued: this.queue.length,
+      resumeInMs: delay,
+    });
+
+    this.resumeTimer = setTimeout(() => {
+      this.resumeTimer = null;
+      this.pump();
+    }, delay);
+  }
+
+  /**
+   * Current queue state, for diagnostics
+   */
+  getStats() {
+    const queuedByPriority = Object.fromEntries(
+      Object.entries(REQUEST_PRIORITY).map(([name, priority]) => [
+        name,
+        this.queue.filter((entry) => entry.priority === priority).length,
+      ]),
+    );
+    return { running: this.running, queued: this.queue.length, queuedByPriority, maxConcurrent: this.maxConcurrent };
+  }
+}
+
+// Create singleton instance
+const requestScheduler = new RequestScheduler();
+
+export { requestScheduler, RequestScheduler };
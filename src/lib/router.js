@@ -0,0 +1,184 @@
+/**
+ * Router - Paths for the app's modules and activities on top of the History API
+ *
+ *   /notes  /mileage  /stats  /gear  /activity/:id
+ *
+ * State that belongs in a shareable link (filters, date range, view mode, units) goes in the query string.
+ * navigate() pushes or replaces a history entry and tells subscribers; back/forward arrive as popstate.
+ */
+
+import { format, isValid, parseISO } from 'date-fns';
+
+const MODULE_PATHS = {
+  'private-notes': '/notes',
+  'weekly-mileage': '/mileage',
+  'athlete-stats': '/stats',
+  gear: '/gear',
+};
+
+export const DEFAULT_MODULE = 'private-notes';
+
+const ACTIVITY_PATH = /^\/activity\/([^/]+)\/?$/;
+
+// The Private Notes Viewer's state in its query string: ?q=type:run&from=2024-03-01&to=2024-06-30&view=cards&units=imperial
+const NOTES_PARAMS = {
+  query: 'q',
+  from: 'from',
+  to: 'to',
+  viewMode: 'view',
+  units: 'units',
+};
+const VIEW_MODES = ['table', 'cards'];
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+const listeners = new Set();
+
+/**
+ * What a path shows
+ * @param {string} pathname
+ * @returns {{ module: string, activityId: string|null, known: boolean }} - known is false for paths
+ *   no route matches (they show the default module)
+ */
+export function matchRoute(pathname) {
+  const activityMatch = pathname.match(ACTIVITY_PATH);
+  if (activityMatch) {
+    return { module: 'private-notes', activityId: decodeURIComponent(activityMatch[1]), known: true };
+  }
+
+  const path = pathname.replace(/\/+$/, '') || '/';
+  const module = Object.keys(MODULE_PATHS).find((key) => MODULE_PATHS[key] === path);
+  return { module: module || DEFAULT_MODULE, activityId: null, known: !!module || path === '/' };
+}
+
+/**
+ * @param {string} module - A module id, e.g. 'weekly-mileage'
+ * @returns {string}
+ */
+export function modulePath(module) {
+  return MODULE_PATHS[module] || MODULE_PATHS[DEFAULT_MODULE];
+}
+
+/**
+ * @param {string|number} activityId
+ * @returns {string}
+ */
+export function activityPath(activityId) {
+  return `/activity/${encodeURIComponent(activityId)}`;
+}
+
+/**
+ * Read the Private Notes Viewer's state from a query string
+ * @param {string} search - e.g. "?q=tempo&view=cards"
+ * @returns {{ query: string, dateRange: { from: Date|null, to: Date|null }, viewMode: string|null, units: string|null }}
+ *   - viewMode and units are null when the link doesn't set them (or sets something unknown)
+ */
+export function readNotesParams(search) {
+  const params = new URLSearchParams(search);
+  const from = params.get(NOTES_PARAMS.from) ? parseISO(params.get(NOTES_PARAMS.from)) : null;
+  const to = params.get(NOTES_PARAMS.to) ? parseISO(params.get(NOTES_PARAMS.to)) : null;
+  const hasDateRange = from && to && isValid(from) && isValid(to);
+
+  return {
+    query: params.get(NOTES_PARAMS.query) || '',
+    dateRange: hasDateRange ? { from, to } : { from: null, to: null },
+    viewMode: VIEW_MODES.includes(params.get(NOTES_PARAMS.viewMode)) ? params.get(NOTES_PARAMS.viewMode) : null,
+    units: UNIT_SYSTEMS.includes(params.get(NOTES_PARAMS.units)) ? params.get(NOTES_PARAMS.units) : null,
+  };
+}
+
+/**
+ * The query string parameters for some of the Private Notes Viewer's state
+ * @param {Object} state - Any of { query, dateRange, viewMode, units }
+ * @returns {Object} - name -> value (null for parameters to drop), for replaceSearchParams or notesUrl
+ */
+export function notesParams({ query, dateRange, viewMode, units }) {
+  const params = {};
+  if (query !== undefined) params[NOTES_PARAMS.query] = query.trim() ? query : null;
+  if (dateRange !== undefined) {
+    const hasDateRange = dateRange?.from && dateRange?.to;
+    params[NOTES_PARAMS.from] = hasDateRange ? format(dateRange.from, 'yyyy-MM-dd') : null;
+    params[NOTES_PARAMS.to] = hasDateRange ? format(dateRange.to, 'yyyy-MM-dd') : null;
+  }
+  if (viewMode !== undefined) params[NOTES_PARAMS.viewMode] = viewMode;
+  if (units !== undefined) params[NOTES_PARAMS.units] = units;
+  return params;
+}
+
+/**
+ * Link to the Private Notes Viewer showing some state, e.g. a saved search
+ * @param {Object} state - Any of { query, dateRange, viewMode, units }
+ * @returns {string}
+ */
+export function notesUrl(state) {
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(notesParams(state))) {
+    if (value) params.set(name, value);
+  }
+  const search = params.toString();
+  return `${MODULE_PATHS['private-notes']}${search ? `?${search}` : ''}`;
+}
+
+/**
+ * @returns {{ pathname: string, search: string, state: * }}
+ */
+export function getLocation() {
+  return { pathname: window.location.pathname, search: window.location.search, state: window.history.state };
+}
+
+/**
+ * @param {Function} listener - Called with the new location after every navigation, including back/forward
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+const notify = () => {
+  const location = getLocation();
+  for (const listener of listeners) {
+    listener(location);
+  }
+};
+
+window.addEventListener('popstate', notify);
+
+/**
+ * Go to a path (with an optional query string)
+ * @param {string} to - e.g. "/activity/123?q=tempo"
+ * @param {Object} [options]
+ * @param {boolean} [options.replace] - Replace the current history entry instead of adding one
+ * @param {*} [options.state] - Kept with the history entry
+ */
+export function navigate(to, { replace = false, state = null } = {}) {
+  const current = window.location.pathname + window.location.search;
+  if (to === current && !replace) return;
+
+  if (replace) {
+    window.history.replaceState(state, '', to);
+  } else {
+    window.history.pushState(state, '', to);
+  }
+  notify();
+}
+
+/**
+ * Rewrite some query string parameters of the current entry, leaving the path and the other parameters alone
+ * @param {Object} changes - name -> value; empty values remove the parameter
+ */
+export function replaceSearchParams(changes) {
+  const params = new URLSearchParams(window.location.search);
+  for (const [name, value] of Object.entries(changes)) {
+    if (value === null || value === undefined || value === '') {
+      params.delete(name);
+    } else {
+      params.set(name, value);
+    }
+  }
+
+  const search = params.toString();
+  const to = `${window.location.pathname}${search ? `?${search}` : ''}`;
+  if (to !== window.location.pathname + window.location.search) {
+    navigate(to, { replace: true, state: window.history.state });
+  }
+}
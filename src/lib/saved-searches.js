@@ -0,0 +1,270 @@
+/**
+ * Saved Searches - Named filter queries with an optional date range ("Injury notes 2024")
+ * Kept in IndexedDB and shown in the sidebar with how many cached activities match; they can be
+ * exported to a JSON file and imported from one, to share them.
+ */
+
+import { activityDatabase } from './activity-database';
+import { matchesActivityQuery, parseActivityQuery } from './activity-query';
+
+// Identifies an exported file, so importing some other JSON fails with a clear message
+const EXPORT_FILE_TYPE = 'strava-tools-saved-searches';
+const EXPORT_FILE_VERSION = 1;
+
+const NO_DATE_RANGE = { from: null, to: null };
+
+/**
+ * The viewer's { from: Date, to: Date } as stored ({ from: ISO string, to: ISO string }, or null for no range)
+ */
+export function serializeDateRange(dateRange) {
+  if (!dateRange?.from || !dateRange?.to) return null;
+  return { from: dateRange.from.toISOString(), to: dateRange.to.toISOString() };
+}
+
+/**
+ * A stored date range back as the viewer's { from: Date, to: Date }
+ */
+export function deserializeDateRange(dateRange) {
+  if (!dateRange?.from || !dateRange?.to) return NO_DATE_RANGE;
+  return { from: new Date(dateRange.from), to: new Date(dateRange.to) };
+}
+
+/**
+ * Count the activities each saved search matches, the way the viewer filters them
+ * @param {Array} savedSearches
+ * @param {Array} activities
+ * @param {Map} annotations - activityId -> annotation
+ * @param {Object} [textMatch] - { mode, fuzzy, synonyms } from search-settings
+ * @returns {Map} - savedSearchId -> count
+ */
+export function countSavedSearchMatches(savedSearches, activities, annotations, textMatch = {}) {
+  const counts = new Map();
+
+  for (const savedSearch of savedSearches) {
+    const { clauses } = parseActivityQuery(savedSearch.query, { units: savedSearch.units, textMatch });
+    const { from, to } = deserializeDateRange(savedSearch.date_range);
+
+    const count = activities.filter((activity) => {
+      if (from && to) {
+        const activityDate = new Date(activity.start_date);
+        if (activityDate < from || activityDate > to) return false;
+      }
+      return matchesActivityQuery(activity, clauses, { annotations });
+    }).length;
+
+    counts.set(savedSearch.id, count);
+  }
+
+  return counts;
+}
+
+/**
+ * @param {Array} savedSearches
+ * @returns {string} - JSON without the local ids, for sharing
+ */
+export function savedSearchesToJson(savedSearches) {
+  return JSON.stringify(
+    {
+      type: EXPORT_FILE_TYPE,
+      version: EXPORT_FILE_VERSION,
+      exported_at: new Date().toISOString(),
+      saved_searches: savedSearches.map(({ name, query, date_range, units }) => ({ name, query, date_range, units })),
+    },
+    null,
+    2,
+  );
+}
+
+/**
+ * Read saved searches from an exported file
+ * @param {string} json
+ * @returns {Array<{ name, query, date_range, units }>}
+ * @throws {Error} - When the text isn't an export of saved searches
+ */
+export function parseSavedSearchesJson(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (data?.type !== EXPORT_FILE_TYPE || !Array.isArray(data.saved_searches)) {
+    throw new Error('The file is not a saved searches export');
+  }
+  if (data.version > EXPORT_FILE_VERSION) {
+    throw new Error('The file was exported by a newer version of Strava Tools');
+  }
+
+  return data.saved_searches
+    .filter((entry) => typeof entry?.name === 'string' && entry.name.trim() && typeof entry.query === 'string')
+    .map((entry) => {
+      const dateRange = deserializeDateRange(entry.date_range);
+      const validRange =
+        dateRange.from && !Number.isNaN(dateRange.from.getTime()) && !Number.isNaN(dateRange.to.getTime());
+      return {
+        name: entry.name.trim(),
+        query: entry.query,
+        date_range: validRange ? serializeDateRange(dateRange) : null,
+        units: entry.units === 'imperial' ? 'imperial' : 'metric',
+      };
+    });
+}
+
+/**
+ * Save saved searches to a JSON file
+ * @param {Array} savedSearches
+ */
+export function downloadSavedSearches(savedSearches) {
+  const blob = new Blob([savedSearchesToJson(savedSearches)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `strava-saved-searches-${new Date().toISOString().slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+
+  console.log('SavedSearches: Exported saved searches', { count: savedSearches.length });
+}
+
+class SavedSearches {
+  constructor(database = activityDatabase) {
+    this.database = database;
+    this.savedSearches = [];
+    this.listeners = new Set();
+    this.loadPromise = null;
+  }
+
+  /**
+   * Read every saved search into memory (once; later calls wait for the same load)
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.database
+        .getAllSavedSearches()
+        .then((savedSearches) => {
+          this.setSavedSearches(savedSearches);
+          console.log('SavedSearches: Loaded saved searches', { count: savedSearches.length });
+        })
+        .catch((error) => {
+          console.error('SavedSearches: Failed to load saved searches', error);
+          this.loadPromise = null;
+        });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * @param {Function} listener - Called with the saved searches whenever one changes
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    for (const listener of this.listeners) {
+      listener(this.savedSearches);
+    }
+  }
+
+  setSavedSearches(savedSearches) {
+    this.savedSearches = [...savedSearches].sort((a, b) => a.name.localeCompare(b.name));
+    this.notify();
+  }
+
+  /**
+   * @returns {Array} - Sorted by name
+   */
+  getAll() {
+    return this.savedSearches;
+  }
+
+  /**
+   * Save a search under a name; an existing search with the same name (ignoring case) is replaced
+   * @param {Object} search
+   * @param {string} search.name
+   * @param {string} search.query - Filter query, see activity-query
+   * @param {Object} [search.dateRange] - The viewer's { from: Date, to: Date }
+   * @param {string} [search.units] - Units the query's distances without a unit are in
+   * @returns {Promise<Object>} - The stored saved search
+   */
+  async save({ name, query, dateRange = NO_DATE_RANGE, units = 'metric' }) {
+    await this.load();
+
+    const [stored] = await this.storeAll([{ name, query, date_range: serializeDateRange(dateRange), units }]);
+    console.log('SavedSearches: Saved search', { id: stored.id, name: stored.name });
+    return stored;
+  }
+
+  /**
+   * Add saved searches from an exported file, replacing those with the same name
+   * @param {string} json
+   * @returns {Promise<{ added: number, updated: number }>}
+   * @throws {Error} - When the file isn't an export of saved searches
+   */
+  async importJson(json) {
+    await this.load();
+
+    const imported = parseSavedSearchesJson(json);
+    const existingCount = this.savedSearches.length;
+    const records = await this.storeAll(imported);
+
+    const added = this.savedSearches.length - existingCount;
+    const result = { added, updated: records.length - added };
+    console.log('SavedSearches: Imported saved searches', result);
+    return result;
+  }
+
+  /**
+   * Store searches, keeping the id of an existing search with the same name (ignoring case)
+   */
+  async storeAll(entries) {
+    const now = Date.now();
+    // Later entries win over earlier ones with the same name
+    const byName = new Map(
+      this.savedSearches.map((savedSearch) => [savedSearch.name.trim().toLowerCase(), savedSearch]),
+    );
+    const written = new Map();
+    for (const entry of entries) {
+      const key = entry.name.trim().toLowerCase();
+      const existing = byName.get(key);
+      const record = {
+        ...entry,
+        name: entry.name.trim(),
+        id: existing?.id || crypto.randomUUID(),
+        created_at: existing?.created_at || now,
+        updated_at: now,
+      };
+      byName.set(key, record);
+      written.set(key, record);
+    }
+    const records = [...written.values()];
+
+    await this.database.storeSavedSearches(records);
+
+    const ids = new Set(records.map((record) => record.id));
+    this.setSavedSearches([...this.savedSearches.filter((savedSearch) => !ids.has(savedSearch.id)), ...records]);
+    return records;
+  }
+
+  /**
+   * @param {string} savedSearchId
+   */
+  async remove(savedSearchId) {
+    await this.load();
+
+    await this.database.deleteSavedSearch(savedSearchId);
+    this.setSavedSearches(this.savedSearches.filter((savedSearch) => savedSearch.id !== savedSearchId));
+    console.log('SavedSearches: Removed saved search', { id: savedSearchId });
+  }
+}
+
+// Create singleton instance
+const savedSearches = new SavedSearches();
+
+export { savedSearches, SavedSearches };
@@ -0,0 +1,93 @@
+/**
+ * Search Settings - How text in filter queries matches notes, titles and descriptions
+ * Match mode, typo tolerance and the synonym groups are shared by the activity list and the saved
+ * search counts, and kept in the database's metadata store.
+ */
+
+import { activityDatabase } from './activity-database';
+import { DEFAULT_SYNONYMS, TEXT_MATCH_MODE } from './text-search';
+
+const METADATA_KEY = 'search_settings';
+
+export const DEFAULT_SEARCH_SETTINGS = {
+  mode: TEXT_MATCH_MODE.ALL,
+  fuzzy: true,
+  synonyms: DEFAULT_SYNONYMS,
+};
+
+class SearchSettings {
+  constructor(database = activityDatabase) {
+    this.database = database;
+    this.settings = DEFAULT_SEARCH_SETTINGS;
+    this.listeners = new Set();
+    this.loadPromise = null;
+  }
+
+  /**
+   * Read the stored settings (once; later calls wait for the same load)
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.database
+        .getMetadata(METADATA_KEY)
+        .then((stored) => {
+          this.settings = { ...DEFAULT_SEARCH_SETTINGS, ...stored };
+          console.log('SearchSettings: Loaded search settings', {
+            mode: this.settings.mode,
+            fuzzy: this.settings.fuzzy,
+            synonymGroups: this.settings.synonyms.length,
+          });
+          this.notify();
+        })
+        .catch((error) => {
+          console.error('SearchSettings: Failed to load search settings', error);
+          this.loadPromise = null;
+        });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * @param {Function} listener - Called with the settings whenever they change
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    for (const listener of this.listeners) {
+      listener(this.settings);
+    }
+  }
+
+  /**
+   * @returns {{ mode: string, fuzzy: boolean, synonyms: Array<Array<string>> }}
+   */
+  get() {
+    return this.settings;
+  }
+
+  /**
+   * @param {Object} changes - Any of { mode, fuzzy, synonyms }
+   */
+  async update(changes) {
+    await this.load();
+
+    this.settings = { ...this.settings, ...changes };
+    this.notify();
+
+    try {
+      await this.database.setMetadata(METADATA_KEY, this.settings);
+      console.log('SearchSettings: Saved search settings', changes);
+    } catch (error) {
+      console.error('SearchSettings: Failed to save search settings', error);
+    }
+  }
+}
+
+// Create singleton instance
+const searchSettings = new SearchSettings();
+
+export { searchSettings, SearchSettings };
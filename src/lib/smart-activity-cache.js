@@ -5,16 +5,93 @@
  */
 
 import { activityDatabase } from './activity-database';
+import { EditOutbox } from './edit-outbox';
+import { getGearType, summarizeGearUsage } from './gear-mileage';
+import { rateLimitBudget } from './rate-limit-budget';
+import { REQUEST_PRIORITY } from './request-scheduler';
 import { StravaAPI } from './strava-api';
+import {
+  ActivityConflictError,
+  StravaAuthError,
+  StravaError,
+  StravaNotFoundError,
+  StravaRateLimitError,
+  isAbortError,
+} from './strava-errors';
+
+// Metadata key for the last webhook event this browser has applied
+const WEBHOOK_CURSOR_KEY = 'webhook-cursor';
+// How soon to try webhook events again that had to wait (longer while the rate-limit budget is low)
+const WEBHOOK_RETRY_DELAY_MS = 60 * 1000;
+
+// Metadata key for the athlete profile and their /stats totals
+const ATHLETE_PROFILE_KEY = 'athlete-profile';
+// Strava's totals change at most once per upload; don't spend requests on them more often than this
+const ATHLETE_PROFILE_MAX_AGE_MS = 60 * 60 * 1000;
+
+// Extra data per activity that is only fetched when the activity is opened
+export const ACTIVITY_DETAIL_PARTS = ['streams', 'laps', 'zones'];
+
+// What is cached for a part Strava has no data for, so it isn't requested again
+const EMPTY_ACTIVITY_DETAILS = { streams: {}, laps: [], zones: [] };
 
 export class SmartActivityCache {
-  constructor(accessToken, updateApiStatusCallback = null) {
+  /**
+   * @param {string|null} accessToken - Strava access token (null in proxied mode)
+   * @param {Function} [updateApiStatusCallback] - Reports success/failure of API calls
+   * @param {Object} [apiOptions] - proxied, refreshToken, expiresAt and onTokenRefresh, passed on to StravaAPI
+   */
+  constructor(accessToken, updateApiStatusCallback = null, apiOptions = {}) {
     this.accessToken = accessToken;
+    this.proxied = !!apiOptions.proxied;
+    this.refreshToken = apiOptions.refreshToken || null;
+    this.expiresAt = apiOptions.expiresAt || null;
+    this.onTokenRefresh = apiOptions.onTokenRefresh || null;
     this.memoryCache = new Map(); // Fast memory cache for current session
     this.database = activityDatabase;
     this.apiCallCount = 0;
     this.cacheHitCount = 0;
     this.updateApiStatus = updateApiStatusCallback;
+    this.changeListeners = new Set();
+    this.webhookRetryTimer = null;
+    this.outbox = new EditOutbox(this);
+  }
+
+  /**
+   * Whether this cache can fetch from the Strava API (backend session or browser token)
+   */
+  hasApiAccess() {
+    return this.proxied || !!this.accessToken;
+  }
+
+  /**
+   * Replace the tokens used for new API clients (e.g. after the app refreshed them elsewhere)
+   */
+  updateTokens({ accessToken, refreshToken, expiresAt }) {
+    this.accessToken = accessToken;
+    this.refreshToken = refreshToken || null;
+    this.expiresAt = expiresAt || null;
+  }
+
+  /**
+   * Create a StravaAPI client with the latest known tokens.
+   * Refreshed tokens are written back here so later clients don't reuse a rotated refresh token.
+   */
+  createStravaAPI() {
+    return new StravaAPI(this.accessToken, {
+      proxied: this.proxied,
+      refreshToken: this.refreshToken,
+      expiresAt: this.expiresAt,
+      onTokenRefresh: (tokenData) => {
+        this.accessToken = tokenData.access_token;
+        this.refreshToken = tokenData.refresh_token || this.refreshToken;
+        this.expiresAt = tokenData.expires_at || null;
+
+        if (this.onTokenRefresh) {
+          this.onTokenRefresh(tokenData);
+        }
+      },
+    });
   }
 
   /**
@@ -48,8 +125,8 @@ export class SmartActivityCache {
       console.warn('SmartActivityCache: Database cache check failed', { activityId: id, error });
     }
 
-    // 3. Cache miss - fetch from API if we have a token
-    if (this.accessToken) {
+    // 3. Cache miss - fetch from API if we have access
+    if (this.hasApiAccess()) {
       try {
         this.apiCallCount++;
         console.log('SmartActivityCache: Fetching from API', {
@@ -57,7 +134,7 @@ export class SmartActivityCache {
           apiCallCount: this.apiCallCount,
         });
 
-        const stravaAPI = new StravaAPI(this.accessToken);
+        const stravaAPI = this.createStravaAPI();
         const activity = await stravaAPI.getActivity(id);
 
         // Report successful API call
@@ -131,13 +208,13 @@ export class SmartActivityCache {
     }
 
     // 3. Fetch missing activities from API
-    if (this.accessToken && dbMisses.length > 0) {
+    if (this.hasApiAccess() && dbMisses.length > 0) {
       console.log('SmartActivityCache: Fetching missing activities from API', {
         missing: dbMisses.length,
         total: ids.length,
       });
 
-      const stravaAPI = new StravaAPI(this.accessToken);
+      const stravaAPI = this.createStravaAPI();
       const apiPromises = dbMisses.map(async (id) => {
         try {
           this.apiCallCount++;
@@ -172,17 +249,109 @@ export class SmartActivityCache {
       found: finalResults.length,
       memoryHits: ids.length - memoryMisses.length,
       databaseHits: memoryMisses.length - dbMisses.length,
-      apiCalls: this.accessToken ? dbMisses.length : 0,
+      apiCalls: this.hasApiAccess() ? dbMisses.length : 0,
     });
 
     return finalResults;
   }
 
+  /**
+   * Get an activity's streams, laps and zones, fetching only the parts that aren't cached yet
+   * @param {string|number} activityId - Activity ID
+   * @param {Object} [options]
+   * @param {string[]} [options.parts] - Any of ACTIVITY_DETAIL_PARTS
+   * @param {number} [options.priority] - Request priority (REQUEST_PRIORITY)
+   * @param {AbortSignal} [options.signal] - Cancels the fetches
+   * @returns {Promise<Object>} - { streams, laps, zones }; a part is null if it could not be loaded
+   */
+  async getActivityDetails(
+    activityId,
+    { parts = ACTIVITY_DETAIL_PARTS, priority = REQUEST_PRIORITY.VISIBLE, signal } = {},
+  ) {
+    const id = String(activityId);
+
+    let cached = null;
+    try {
+      cached = await this.database.getActivityDetails(id);
+    } catch (error) {
+      console.warn('SmartActivityCache: Activity details cache check failed', { activityId: id, error });
+    }
+
+    const details = Object.fromEntries(parts.map((part) => [part, cached?.[part] ?? null]));
+    const missingParts = parts.filter((part) => cached?.[part] === undefined);
+
+    if (missingParts.length === 0) {
+      this.cacheHitCount++;
+      return details;
+    }
+    if (!this.hasApiAccess()) {
+      return details;
+    }
+
+    console.log('SmartActivityCache: Fetching activity details', { activityId: id, parts: missingParts });
+
+    const stravaAPI = this.createStravaAPI();
+    const fetchers = {
+      streams: () => stravaAPI.getActivityStreams(id, { priority, signal }),
+      laps: () => stravaAPI.getActivityLaps(id, { priority, signal }),
+      zones: () => stravaAPI.getActivityZones(id, { priority, signal }),
+    };
+
+    const fetched = {};
+    await Promise.all(
+      missingParts.map(async (part) => {
+        try {
+          this.apiCallCount++;
+          fetched[part] = await fetchers[part]();
+
+          if (this.updateApiStatus) {
+            this.updateApiStatus(true);
+          }
+        } catch (error) {
+          if (isAbortError(error)) throw error;
+
+          // No recorded data (e.g. a manual activity) or zones without a subscription - remember it as empty
+          if (
+            error instanceof StravaNotFoundError ||
+            (error instanceof StravaError && [402, 403].includes(error.status))
+          ) {
+            fetched[part] = EMPTY_ACTIVITY_DETAILS[part];
+            return;
+          }
+
+          console.warn('SmartActivityCache: Failed to fetch activity details', {
+            activityId: id,
+            part,
+            error: error.message,
+          });
+
+          if (this.updateApiStatus) {
+            this.updateApiStatus(false, error);
+          }
+        }
+      }),
+    );
+
+    if (Object.keys(fetched).length > 0) {
+      try {
+        await this.database.storeActivityDetails(id, fetched);
+      } catch (error) {
+        console.warn('SmartActivityCache: Failed to store activity details', { activityId: id, error });
+      }
+    }
+
+    return { ...details, ...fetched };
+  }
+
   /**
    * Smart activity loading strategy for the PrivateNotesViewer
    * Minimizes API calls while ensuring complete data
+   * @param {Array} summaryActivities - Activities from an activity list
+   * @param {Object} [options]
+   * @param {number} [options.priority] - Request priority for the detail fetches (REQUEST_PRIORITY)
+   * @param {AbortSignal} [options.signal] - Stops fetching; activities fetched so far stay cached
    */
-  async loadActivitiesWithPrivateNotes(summaryActivities) {
+  async loadActivitiesWithPrivateNotes(summaryActivities, { priority = REQUEST_PRIORITY.VISIBLE, signal } = {}) {
     console.log('SmartActivityCache: Starting smart loading strategy', {
       summaryCount: summaryActivities.length,
     });
@@ -251,71 +420,123 @@ export class SmartActivityCache {
       missingToFetch: missingIds.length,
     });
 
-    // Fetch missing activities from API (if we have token)
-    if (this.accessToken && missingIds.length > 0) {
+    // Fetch missing activities from API (if we have access)
+    if (this.hasApiAccess() && missingIds.length > 0) {
       console.log('SmartActivityCache: Fetching missing activities from API', {
         count: missingIds.length,
         sampleIds: missingIds.slice(0, 3),
       });
 
-      const stravaAPI = new StravaAPI(this.accessToken);
+      const stravaAPI = this.createStravaAPI();
+      const summariesById = new Map(summaryActivities.map((activity) => [String(activity.id), activity]));
 
-      // Use a simpler approach: fetch all missing activities individually
-      // This is more reliable than complex batching
-      for (const id of missingIds) {
-        try {
-          this.apiCallCount++;
-          console.log('SmartActivityCache: Fetching activity', {
-            activityId: id,
-            progress: `${missingIds.indexOf(id) + 1}/${missingIds.length}`,
-          });
+      // Cancels the queued requests once Strava rejects us (rate limit or auth) or the budget runs low -
+      // every further request would fail the same way or eat into the interactive reserve
+      const stopController = new AbortController();
+      const fetchSignal = signal ? AbortSignal.any([signal, stopController.signal]) : stopController.signal;
+      let stopReason = null;
+      const stopFetching = (reason) => {
+        if (stopReason) return;
+        stopReason = reason;
+        console.log('SmartActivityCache: Not fetching remaining activities, using summary data', {
+          reason,
+          budget: rateLimitBudget.getSnapshot(),
+        });
+        stopController.abort();
+      };
 
-          const activity = await stravaAPI.getActivity(id);
+      const useSummary = (id) => {
+        const summaryActivity = summariesById.get(String(id));
+        if (summaryActivity) {
+          activityMap.set(String(id), summaryActivity);
+        }
+      };
 
-          // Report successful API call
-          if (this.updateApiStatus) {
-            this.updateApiStatus(true);
-          }
+      // Leave the remaining quota for interactive requests; the summary is good enough for now
+      if (rateLimitBudget.shouldBackOff()) {
+        stopFetching('rate limit budget low');
+      }
+      const unsubscribeBudget = rateLimitBudget.subscribe(() => {
+        if (rateLimitBudget.shouldBackOff()) {
+          stopFetching('rate limit budget low');
+        }
+      });
 
-          // Store in database (with error handling)
-          try {
-            await this.storeActivity(activity);
-          } catch (storeError) {
-            console.warn('SmartActivityCache: Failed to store in database', {
-              activityId: id,
-              error: storeError.message,
-            });
-          }
+      try {
+        // Queue every missing activity at once; the request scheduler decides how many run in parallel
+        await Promise.all(
+          missingIds.map(async (id) => {
+            if (stopReason) {
+              useSummary(id);
+              return;
+            }
 
-          activityMap.set(String(activity.id), activity);
+            try {
+              this.apiCallCount++;
+              const activity = await stravaAPI.getActivity(id, { priority, signal: fetchSignal });
 
-          console.log('SmartActivityCache: Successfully fetched activity', {
-            activityId: id,
-            hasPrivateNote: !!activity.private_note,
-            name: activity.name,
-          });
-        } catch (error) {
-          console.warn('SmartActivityCache: Failed to fetch activity', {
-            activityId: id,
-            error: error.message,
-          });
+              // Report successful API call
+              if (this.updateApiStatus) {
+                this.updateApiStatus(true);
+              }
 
-          // Report failed API call
-          if (this.updateApiStatus) {
-            this.updateApiStatus(false, error);
-          }
+              // Store in database (with error handling)
+              try {
+                await this.storeActivity(activity);
+              } catch (storeError) {
+                console.warn('SmartActivityCache: Failed to store in database', {
+                  activityId: id,
+                  error: storeError.message,
+                });
+              }
 
-          // Use summary data as fallback
-          const summaryActivity = summaryActivities.find((a) => String(a.id) === String(id));
-          if (summaryActivity) {
-            console.log('SmartActivityCache: Using summary data as fallback', { activityId: id });
-            activityMap.set(String(id), summaryActivity);
-          }
+              activityMap.set(String(activity.id), activity);
+
+              console.log('SmartActivityCache: Successfully fetched activity', {
+                activityId: id,
+                hasPrivateNote: !!activity.private_note,
+                name: activity.name,
+              });
+            } catch (error) {
+              if (isAbortError(error)) {
+                // Stopped by the caller: give up on the whole load. Stopped by us: fall back to the summary.
+                if (signal?.aborted) throw error;
+                useSummary(id);
+                return;
+              }
+
+              console.warn('SmartActivityCache: Failed to fetch activity', {
+                activityId: id,
+                error: error.message,
+                errorType: error.name,
+              });
+
+              if (error instanceof StravaRateLimitError || error instanceof StravaAuthError) {
+                stopFetching(error.name);
+              }
+
+              // Report failed API call
+              if (this.updateApiStatus) {
+                this.updateApiStatus(false, error);
+              }
+
+              // Use summary data as fallback
+              console.log('SmartActivityCache: Using summary data as fallback', { activityId: id });
+              useSummary(id);
+            }
+          }),
+        );
+      } catch (error) {
+        if (isAbortError(error)) {
+          console.log('SmartActivityCache: Loading stopped', { fetched: activityMap.size - cachedActivities.length });
         }
+        throw error;
+      } finally {
+        unsubscribeBudget();
       }
     } else {
       console.log('SmartActivityCache: No API access or no missing activities', {
-        hasToken: !!this.accessToken,
+        hasApiAccess: this.hasApiAccess(),
         missingCount: missingIds.length,
       });
 
@@ -351,6 +572,24 @@ export class SmartActivityCache {
     return result;
   }
 
+  /**
+   * Get an activity from memory or IndexedDB without going to the API
+   * @returns {Object|null}
+   */
+  async getCachedActivity(activityId) {
+    const id = String(activityId);
+    if (this.memoryCache.has(id)) {
+      return this.memoryCache.get(id);
+    }
+
+    try {
+      return await this.database.getActivity(id);
+    } catch (error) {
+      console.warn('SmartActivityCache: Database cache check failed', { activityId: id, error });
+      return null;
+    }
+  }
+
   /**
    * Store activity in both memory and persistent cache
    */
@@ -371,6 +610,406 @@ export class SmartActivityCache {
     }
   }
 
+  /**
+   * Save edits to an activity on Strava
+   * The cache and listeners get the edited activity straight away; it is rolled back if the save fails.
+   * The activity is re-read from Strava first, and the save is refused with ActivityConflictError if
+   * an edited field changed there since the copy being edited (base) was cached.
+   * @param {number|string} activityId
+   * @param {Object} updates - Any of { name, description, private_note }
+   * @param {Object} [options]
+   * @param {Object} [options.base] - The activity as it was when editing started (defaults to the cached copy)
+   * @param {boolean} [options.force] - Skip the conflict check and overwrite whatever is on Strava
+   * @param {AbortSignal} [options.signal] - Cancels the save (the edit is rolled back)
+   * @returns {Promise<Object>} - The activity as Strava saved it
+   */
+  async updateActivity(activityId, updates, { base, force = false, signal } = {}) {
+    const id = String(activityId);
+    const previous = await this.getCachedActivity(id);
+    const original = base || previous;
+
+    if (previous) {
+      const optimistic = { ...previous, ...updates };
+      await this.storeActivity(optimistic);
+      this.notifyActivitiesChanged({ upserted: [optimistic], deletedIds: [], removed: [] });
+    }
+
+    const rollback = async (activity) => {
+      if (!activity) return;
+      await this.storeActivity(activity);
+      this.notifyActivitiesChanged({ upserted: [activity], deletedIds: [], removed: [] });
+    };
+
+    const stravaAPI = this.createStravaAPI();
+    try {
+      if (!force && original) {
+        this.apiCallCount++;
+        const remote = await stravaAPI.getActivity(id, { priority: REQUEST_PRIORITY.INTERACTIVE, signal });
+        // A field the base copy lacks (summary activities have no description or private note) counts as empty,
+        // so text written on Strava meanwhile is still caught
+        const conflictingFields = Object.keys(updates).filter(
+          (field) => (remote[field] || null) !== (original[field] || null),
+        );
+
+        if (conflictingFields.length > 0) {
+          console.warn('SmartActivityCache: Activity changed on Strava since it was cached', {
+            activityId: id,
+            fields: conflictingFields,
+          });
+          // What is on Strava now is the best copy to show
+          await rollback(remote);
+          throw new ActivityConflictError('The activity was changed on Strava while you were editing it', {
+            endpoint: `/activities/${id}`,
+            remote,
+            fields: conflictingFields,
+          });
+        }
+      }
+
+      this.apiCallCount++;
+      const saved = await stravaAPI.updateActivity(id, updates, { signal });
+      await this.storeActivity(saved);
+      this.notifyActivitiesChanged({ upserted: [saved], deletedIds: [], removed: [] });
+
+      if (this.updateApiStatus) {
+        this.updateApiStatus(true);
+      }
+
+      console.log('SmartActivityCache: Updated activity on Strava', {
+        activityId: id,
+        fields: Object.keys(updates),
+        forced: force,
+      });
+      return saved;
+    } catch (error) {
+      if (!(error instanceof ActivityConflictError)) {
+        console.warn('SmartActivityCache: Failed to update activity, rolling back', {
+          activityId: id,
+          error: error.message,
+        });
+        await rollback(previous);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Subscribe to activities changing underneath the UI (e.g. from webhook events)
+   * @param {Function} listener - Called with { upserted: Object[], deletedIds: string[], removed: Object[] }
+   *   where removed holds the cached copies of deleted activities that were known locally
+   * @returns {Function} - Unsubscribe function
+   */
+  onActivitiesChanged(listener) {
+    this.changeListeners.add(listener);
+    return () => this.changeListeners.delete(listener);
+  }
+
+  notifyActivitiesChanged(change) {
+    for (const listener of this.changeListeners) {
+      listener(change);
+    }
+  }
+
+  /**
+   * Remove an activity from both memory and persistent cache
+   * @returns {Object|null} - The cached copy that was removed, if there was one
+   */
+  async removeActivity(activityId) {
+    const id = String(activityId);
+    let cachedActivity = this.memoryCache.get(id) || null;
+    this.memoryCache.delete(id);
+
+    try {
+      cachedActivity = cachedActivity || (await this.database.getActivity(id));
+    } catch (error) {
+      console.warn('SmartActivityCache: Failed to read activity before deleting', { activityId: id, error });
+    }
+
+    try {
+      await this.database.deleteActivity(id);
+    } catch (error) {
+      console.warn('SmartActivityCache: Failed to delete from database', {
+        activityId: id,
+        error,
+      });
+    }
+
+    return cachedActivity;
+  }
+
+  /**
+   * Store an activity the backend pushed to us (fetched by another tab) and tell listeners if it changed
+   */
+  async applyActivityUpdate(activity) {
+    const cachedActivity = this.memoryCache.get(String(activity.id));
+    if (cachedActivity && JSON.stringify(cachedActivity) === JSON.stringify(activity)) {
+      return;
+    }
+
+    await this.storeActivity(activity);
+    this.notifyActivitiesChanged({ upserted: [activity], deletedIds: [], removed: [] });
+  }
+
+  /**
+   * Apply Strava webhook events to the cache, in order
+   * New and updated activities are fetched (an update may be an edited private note); deleted ones are removed.
+   * An activity that can't be fetched now (low rate-limit budget, Strava unavailable) keeps its cached copy, and
+   * it and every later activity event wait for the next sync so none is skipped.
+   * @param {Array} events - Events from the backend's /api/webhook/events
+   * @returns {Object} - { upserted, deletedIds, removed, deferred, deauthorized, appliedThrough } where
+   *   appliedThrough is the id of the last event before the first one that has to wait (null if none waits)
+   */
+  async applyWebhookEvents(events) {
+    const result = {
+      upserted: [],
+      deletedIds: [],
+      removed: [],
+      deferred: 0,
+      deauthorized: false,
+      appliedThrough: null,
+    };
+    let previousEventId = null;
+
+    for (const event of events) {
+      if (event.objectType === 'athlete') {
+        // Strava sends { authorized: 'false' } when the athlete revokes access to the app
+        if (event.updates?.authorized === 'false') {
+          result.deauthorized = true;
+        }
+      } else if (result.deferred > 0) {
+        // Applying a later event first could undo it (e.g. an update fetched after a delete)
+        result.deferred++;
+      } else if (!(await this.applyWebhookEvent(event, result))) {
+        result.deferred++;
+        result.appliedThrough = previousEventId;
+      }
+      previousEventId = event.id ?? previousEventId;
+    }
+
+    console.log('SmartActivityCache: Applied webhook events', {
+      events: events.length,
+      upserted: result.upserted.length,
+      deleted: result.deletedIds.length,
+      deferred: result.deferred,
+      deauthorized: result.deauthorized,
+    });
+
+    if (result.upserted.length > 0 || result.deletedIds.length > 0) {
+      this.notifyActivitiesChanged({
+        upserted: result.upserted,
+        deletedIds: result.deletedIds,
+        removed: result.removed,
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Apply one activity event, adding what changed to result
+   * @returns {boolean} - false when the activity couldn't be fetched and the event has to wait
+   */
+  async applyWebhookEvent(event, result) {
+    const id = String(event.objectId);
+
+    if (event.aspectType === 'delete') {
+      const removedActivity = await this.removeActivity(id);
+      result.deletedIds.push(id);
+      if (removedActivity) {
+        result.removed.push(removedActivity);
+      }
+      return true;
+    }
+
+    // create or update - keep the cached copy until a fresh one replaces it
+    if (!this.hasApiAccess() || rateLimitBudget.shouldBackOff()) {
+      return false;
+    }
+
+    try {
+      this.apiCallCount++;
+      const activity = await this.createStravaAPI().getActivity(id, { priority: REQUEST_PRIORITY.BACKGROUND });
+      await this.storeActivity(activity);
+      result.upserted.push(activity);
+
+      if (this.updateApiStatus) {
+        this.updateApiStatus(true);
+      }
+      return true;
+    } catch (error) {
+      // Made private (without the read_all scope) or deleted since the event - drop it like a delete
+      if (error instanceof StravaNotFoundError) {
+        const staleActivity = await this.removeActivity(id);
+        result.deletedIds.push(id);
+        if (staleActivity) {
+          result.removed.push(staleActivity);
+        }
+        return true;
+      }
+
+      console.warn('SmartActivityCache: Failed to fetch activity from webhook event, will retry', {
+        activityId: id,
+        aspectType: event.aspectType,
+        error: error.message,
+      });
+
+      if (this.updateApiStatus) {
+        this.updateApiStatus(false, error);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Pull pending webhook events from the backend and apply them
+   * @returns {Object} - Same as applyWebhookEvents()
+   */
+  async syncWebhookEvents() {
+    // Run one sync at a time so two triggers never apply the same events twice
+    const sync = (this.webhookSync || Promise.resolve()).catch(() => {}).then(() => this.pullWebhookEvents());
+    this.webhookSync = sync;
+    return sync;
+  }
+
+  async pullWebhookEvents() {
+    const after = (await this.database.getMetadata(WEBHOOK_CURSOR_KEY)) || 0;
+    const { events, cursor } = await this.createStravaAPI().getWebhookEvents(after);
+
+    const result = await this.applyWebhookEvents(events);
+
+    // Stop the cursor before the first event that had to wait, so the next sync applies it and those after it
+    const appliedCursor = result.deferred > 0 ? (result.appliedThrough ?? after) : cursor;
+    if (appliedCursor !== after) {
+      await this.database.setMetadata(WEBHOOK_CURSOR_KEY, appliedCursor);
+    }
+    if (result.deferred > 0) {
+      this.scheduleWebhookRetry();
+    }
+    return result;
+  }
+
+  /**
+   * Sync webhook events again once there is budget to fetch the activities that had to wait
+   */
+  scheduleWebhookRetry() {
+    if (this.webhookRetryTimer) return;
+
+    const delay = Math.max(WEBHOOK_RETRY_DELAY_MS, rateLimitBudget.getBackOffDelay());
+    console.log('SmartActivityCache: Retrying deferred webhook events later', { retryInMs: delay });
+
+    this.webhookRetryTimer = setTimeout(() => {
+      this.webhookRetryTimer = null;
+      this.syncWebhookEvents().catch((error) => {
+        console.warn('SmartActivityCache: Deferred webhook event retry failed', { error: error.message });
+      });
+    }, delay);
+  }
+
+  /**
+   * Distance per shoe and bike across all cached activities, with the gear's details from Strava
+   * Gear is fetched once and then served from IndexedDB; pass refresh to pick up renames or retirements.
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Re-fetch gear that is already cached
+   * @param {number} [options.priority] - Request priority for gear fetches (REQUEST_PRIORITY)
+   * @param {AbortSignal} [options.signal] - Cancels the fetches
+   * @returns {Promise<Array>} - { id, type, gear, activityCount, distance, firstUsed, lastUsed }, most distance first;
+   *   gear is null if it could not be loaded
+   */
+  async getGearMileage({ refresh = false, priority = REQUEST_PRIORITY.VISIBLE, signal } = {}) {
+    const [activities, cachedGear] = await Promise.all([this.database.getAllActivities(), this.database.getAllGear()]);
+    const usage = summarizeGearUsage(activities);
+    const gearById = new Map(cachedGear.map((gear) => [gear.id, gear]));
+
+    const gearToFetch = [...usage.keys()].filter((gearId) => refresh || !gearById.has(gearId));
+    if (gearToFetch.length > 0 && this.hasApiAccess()) {
+      console.log('SmartActivityCache: Fetching gear', { gearIds: gearToFetch });
+
+      const stravaAPI = this.createStravaAPI();
+      await Promise.all(
+        gearToFetch.map(async (gearId) => {
+          try {
+            this.apiCallCount++;
+            const gear = await stravaAPI.getGear(gearId, { priority, signal });
+            gearById.set(gearId, gear);
+            await this.database.storeGear(gear);
+
+            if (this.updateApiStatus) {
+              this.updateApiStatus(true);
+            }
+          } catch (error) {
+            if (isAbortError(error)) throw error;
+
+            console.warn('SmartActivityCache: Failed to fetch gear', { gearId, error: error.message });
+            // Gear deleted on Strava still shows up on old activities; that isn't an API problem
+            if (this.updateApiStatus && !(error instanceof StravaNotFoundError)) {
+              this.updateApiStatus(false, error);
+            }
+          }
+        }),
+      );
+    }
+
+    return [...usage.entries()]
+      .map(([gearId, gearUsage]) => ({
+        id: gearId,
+        type: getGearType(gearId),
+        gear: gearById.get(gearId) || null,
+        ...gearUsage,
+      }))
+      .sort((a, b) => b.distance - a.distance);
+  }
+
+  /**
+   * The signed-in athlete and their recent / year-to-date / all-time totals from Strava
+   * Kept in the metadata store and re-fetched once it is older than an hour, or when refresh is set.
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Fetch even if the stored profile is fresh
+   * @param {number} [options.priority] - Request priority (REQUEST_PRIORITY)
+   * @param {AbortSignal} [options.signal] - Cancels the fetches
+   * @returns {Promise<Object|null>} - { athlete, stats, fetched_at }; the stored copy if fetching fails, null if there is none
+   */
+  async getAthleteProfile({ refresh = false, priority = REQUEST_PRIORITY.VISIBLE, signal } = {}) {
+    let cached = null;
+    try {
+      cached = await this.database.getMetadata(ATHLETE_PROFILE_KEY);
+    } catch (error) {
+      console.warn('SmartActivityCache: Athlete profile cache check failed', error);
+    }
+
+    const isFresh = cached && Date.now() - cached.fetched_at < ATHLETE_PROFILE_MAX_AGE_MS;
+    if ((isFresh && !refresh) || !this.hasApiAccess()) {
+      if (cached) this.cacheHitCount++;
+      return cached;
+    }
+
+    try {
+      const stravaAPI = this.createStravaAPI();
+      this.apiCallCount += 2;
+      const athlete = await stravaAPI.getAthlete({ priority, signal });
+      const stats = await stravaAPI.getAthleteStats(athlete.id, { priority, signal });
+
+      if (this.updateApiStatus) {
+        this.updateApiStatus(true);
+      }
+
+      const profile = { athlete, stats, fetched_at: Date.now() };
+      await this.database.setMetadata(ATHLETE_PROFILE_KEY, profile);
+      console.log('SmartActivityCache: Fetched athlete profile', { athleteId: athlete.id });
+      return profile;
+    } catch (error) {
+      if (isAbortError(error) || !cached) throw error;
+
+      console.warn('SmartActivityCache: Failed to refresh athlete profile, using stored copy', {
+        error: error.message,
+        storedAt: new Date(cached.fetched_at).toISOString(),
+      });
+      if (this.updateApiStatus) {
+        this.updateApiStatus(false, error);
+      }
+      return cached;
+    }
+  }
+
   /**
    * Get cache statistics
    */
@@ -394,12 +1033,26 @@ export class SmartActivityCache {
     };
   }
 
+  /**
+   * Forget the stored athlete profile, so the next athlete to sign in never sees the previous one's
+   * @param {ActivityDatabase} [database]
+   */
+  static async clearAthleteProfile(database = activityDatabase) {
+    try {
+      await database.deleteMetadata(ATHLETE_PROFILE_KEY);
+      console.log('SmartActivityCache: Cleared stored athlete profile');
+    } catch (error) {
+      console.warn('SmartActivityCache: Failed to clear stored athlete profile', error);
+    }
+  }
+
   /**
    * Clear all caches
    */
   async clearAll() {
     this.memoryCache.clear();
     await this.database.clearAll();
+    await SmartActivityCache.clearAthleteProfile(this.database);
     this.apiCallCount = 0;
     this.cacheHitCount = 0;
   }
@@ -1,23 +1,178 @@
+import { rateLimitBudget } from './rate-limit-budget.js';
+import { getNextShortTermReset } from './rate-limit-windows.js';
+import { REQUEST_PRIORITY, requestScheduler } from './request-scheduler.js';
+import {
+  BackendUnavailableError,
+  StravaAuthError,
+  StravaError,
+  StravaNetworkError,
+  StravaNotFoundError,
+  StravaRateLimitError,
+  isAbortError,
+  isFetchFailure,
+  parseRetryAfter,
+} from './strava-errors.js';
+import { DEFAULT_SCOPES } from './strava-scopes.js';
+
 const STRAVA_CLIENT_ID = import.meta.env.VITE_STRAVA_CLIENT_ID || '173282'; // Will be loaded from backend
 const STRAVA_REDIRECT_URI = window.location.origin;
-const STRAVA_SCOPE = 'read,activity:read';
 const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3001';
+// Point VITE_STRAVA_BASE_URL at the mock server (npm run mock:strava) to develop without network
+const STRAVA_BASE_URL = import.meta.env.VITE_STRAVA_BASE_URL || 'https://www.strava.com';
+const STRAVA_API_BASE_URL = `${STRAVA_BASE_URL}/api/v3`;
+
+// 'proxied' keeps tokens in the backend session; 'direct' keeps them in the browser and calls Strava itself
+export const STRAVA_API_MODE = import.meta.env.VITE_STRAVA_API_MODE || 'proxied';
+
+// sessionStorage key for the state of the login in progress (bound to this tab)
+const OAUTH_STATE_STORAGE_KEY = 'strava-oauth-state';
+
+// Refresh the access token this many seconds before Strava says it expires
+const TOKEN_REFRESH_MARGIN_SECONDS = 5 * 60;
+
+// In-flight refreshes keyed by refresh token, so instances sharing a token only refresh once
+const pendingTokenRefreshes = new Map();
+
+// Largest page Strava serves for the athlete activity list
+const MAX_ACTIVITIES_PER_PAGE = 200;
+
+// Activity fields the viewer can change through updateActivity()
+export const EDITABLE_ACTIVITY_FIELDS = ['name', 'description', 'private_note'];
+
+// Makes each write its own scheduler entry, so two saves are never merged into one request
+let writeSequence = 0;
+
+// Streams fetched for the activity detail view
+export const DEFAULT_STREAM_KEYS = ['time', 'distance', 'heartrate', 'altitude', 'cadence', 'latlng', 'watts'];
+
+// Retries for GET requests that fail with a network error, a 5xx or a 429
+const DEFAULT_RETRY_OPTIONS = {
+  retries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 10 * 1000,
+  // Longest we'll wait for a rate-limit window to reset before giving up with StravaRateLimitError
+  maxRateLimitWaitMs: 60 * 1000,
+};
+
+/**
+ * Wait for the given time, rejecting early with the signal's AbortError if it fires
+ */
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
 
 export class StravaAPI {
-  constructor(accessToken) {
+  /**
+   * @param {string|null} accessToken - Strava access token
+   * @param {Object} [options]
+   * @param {string} [options.refreshToken] - Refresh token used to renew the access token
+   * @param {number} [options.expiresAt] - Access token expiry as a Unix timestamp (seconds)
+   * @param {Function} [options.onTokenRefresh] - Called with the new token data after a refresh
+   * @param {boolean} [options.proxied] - Send requests through the backend session proxy instead of
+   *   calling Strava directly; no token is needed in the browser in this mode
+   * @param {Object} [options.retry] - Overrides for DEFAULT_RETRY_OPTIONS ({ retries: 0 } disables retries)
+   */
+  constructor(accessToken, options = {}) {
+    this.proxied = !!options.proxied;
     this.accessToken = accessToken || null;
+    this.refreshToken = options.refreshToken || null;
+    this.expiresAt = options.expiresAt || null;
+    this.onTokenRefresh = options.onTokenRefresh || null;
+    this.retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...options.retry };
   }
 
-  getAuthUrl() {
+  /**
+   * Start a login: get a one-time state from the backend (bound to its session cookie)
+   * and remember it in this tab so the callback can be verified on both ends
+   * @returns {Promise<string>} - State to pass to getAuthUrl()
+   */
+  async createAuthState() {
+    const response = await fetch(`${BACKEND_URL}/api/oauth/state`, {
+      method: 'POST',
+      credentials: 'include',
+    });
+
+    if (!response.ok) {
+      throw new BackendUnavailableError(`Backend server returned ${response.status}: ${response.statusText}`, {
+        status: response.status,
+        endpoint: '/api/oauth/state',
+      });
+    }
+
+    const { state } = await response.json();
+    sessionStorage.setItem(OAUTH_STATE_STORAGE_KEY, state);
+    return state;
+  }
+
+  /**
+   * Check the state returned to the OAuth callback against the one this tab started with
+   * The stored state is removed either way, so a callback can only be accepted once
+   * @param {string|null} state - The state query parameter from the callback
+   * @returns {boolean}
+   */
+  verifyAuthState(state) {
+    const expectedState = sessionStorage.getItem(OAUTH_STATE_STORAGE_KEY);
+    sessionStorage.removeItem(OAUTH_STATE_STORAGE_KEY);
+
+    const isValid = !!expectedState && state === expectedState;
+    if (!isValid) {
+      console.warn('StravaAPI.verifyAuthState: OAuth state did not match', {
+        hasExpectedState: !!expectedState,
+        hasState: !!state,
+      });
+    }
+    return isValid;
+  }
+
+  /**
+   * @param {string} state - One-time state from createAuthState()
+   * @param {Object} [options]
+   * @param {string[]} [options.scopes] - Scopes to request
+   * @param {boolean} [options.forcePrompt] - Always show Strava's consent screen (needed to re-grant scopes)
+   */
+  getAuthUrl(state, { scopes = DEFAULT_SCOPES, forcePrompt = false } = {}) {
     const params = new URLSearchParams({
       client_id: STRAVA_CLIENT_ID,
       redirect_uri: STRAVA_REDIRECT_URI,
       response_type: 'code',
-      scope: STRAVA_SCOPE,
-      state: 'strava_auth',
+      scope: scopes.join(','),
+      state,
     });
 
-    return `https://www.strava.com/oauth/authorize?${params.toString()}`;
+    if (forcePrompt) {
+      params.set('approval_prompt', 'force');
+    }
+
+    return `${STRAVA_BASE_URL}/oauth/authorize?${params.toString()}`;
+  }
+
+  /**
+   * Check the backend and redirect the browser to Strava's consent screen
+   * @param {Object} [options] - Same as getAuthUrl()
+   */
+  async startAuthorization(options = {}) {
+    await this.testBackendConnection();
+
+    const state = await this.createAuthState();
+    console.log('StravaAPI.startAuthorization: Redirecting to Strava', {
+      scopes: options.scopes || DEFAULT_SCOPES,
+      forcePrompt: !!options.forcePrompt,
+    });
+    window.location.href = this.getAuthUrl(state, options);
   }
 
   /**
@@ -34,7 +189,10 @@ export class StravaAPI {
       });
 
       if (!response.ok) {
-        throw new Error(`Backend server returned ${response.status}: ${response.statusText}`);
+        throw new BackendUnavailableError(`Backend server returned ${response.status}: ${response.statusText}`, {
+          status: response.status,
+          endpoint: '/api/health',
+        });
       }
 
       const healthData = await response.json();
@@ -54,15 +212,23 @@ export class StravaAPI {
       });
 
       // Provide user-friendly error messages
-      if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        throw new Error(`Cannot connect to backend server at ${BACKEND_URL}. Please ensure the server is running.`);
+      if (isFetchFailure(error)) {
+        throw new BackendUnavailableError(
+          `Cannot connect to backend server at ${BACKEND_URL}. Please ensure the server is running.`,
+          { endpoint: '/api/health', cause: error },
+        );
       }
 
       throw error;
     }
   }
 
-  async exchangeCodeForToken(code) {
+  /**
+   * @param {string} code - Authorization code from the OAuth callback
+   * @param {string} state - The callback's state, checked again by the backend against its session
+   * @param {string|null} scope - Scopes the athlete actually granted, from the callback's scope parameter
+   */
+  async exchangeCodeForToken(code, state, scope = null) {
     console.log('StravaAPI.exchangeCodeForToken: Starting token exchange request', {
       hasCode: !!code,
       codeLength: code ? code.length : 0,
@@ -81,7 +247,8 @@ export class StravaAPI {
           'Content-Type': 'application/json',
         },
         credentials: 'include',
-        body: JSON.stringify({ code }),
+        // The backend decides whether tokens come back (STRAVA_TOKEN_DELIVERY); otherwise they stay in its session
+        body: JSON.stringify({ code, state, scope }),
       });
 
       console.log('StravaAPI.exchangeCodeForToken: Backend response received', {
@@ -99,12 +266,18 @@ export class StravaAPI {
           errorData,
           timestamp: new Date().toISOString(),
         });
-        throw new Error(errorData.error || 'Failed to exchange code for token');
+        // 4xx means the code or state was rejected; anything else is the backend (or Strava behind it) failing
+        const ErrorType = response.status < 500 ? StravaAuthError : BackendUnavailableError;
+        throw new ErrorType(errorData.error || 'Failed to exchange code for token', {
+          status: response.status,
+          endpoint: '/api/oauth/token',
+        });
       }
 
       const tokenData = await response.json();
 
       console.log('StravaAPI.exchangeCodeForToken: Token exchange successful', {
+        proxied: this.proxied,
         hasAccessToken: !!tokenData.access_token,
         tokenType: tokenData.token_type,
         scopes: tokenData.scope,
@@ -112,8 +285,15 @@ export class StravaAPI {
         expiresAt: tokenData.expires_at ? new Date(tokenData.expires_at * 1000).toISOString() : 'unknown',
       });
 
-      // Store the access token for future use
-      this.setAccessToken(tokenData.access_token);
+      // Store the access token for future use (not returned in proxied mode)
+      if (tokenData.access_token) {
+        this.setAccessToken(tokenData.access_token);
+      } else if (!this.proxied) {
+        throw new StravaAuthError(
+          'The backend keeps Strava tokens in its session. Set STRAVA_TOKEN_DELIVERY=direct on the server to use direct mode.',
+          { endpoint: '/api/oauth/token' },
+        );
+      }
 
       return tokenData;
     } catch (error) {
@@ -127,16 +307,13 @@ export class StravaAPI {
       });
 
       // Provide user-friendly error messages for common issues
-      if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        throw new Error(
+      if (isFetchFailure(error)) {
+        throw new BackendUnavailableError(
           `Cannot connect to authentication server at ${BACKEND_URL}. Please ensure the server is running and try again.`,
+          { endpoint: '/api/oauth/token', cause: error },
         );
       }
 
-      if (error.message.includes('NetworkError') || error.message.includes('ERR_CONNECTION_REFUSED')) {
-        throw new Error(`Authentication server is unavailable. Please check your network connection and try again.`);
-      }
-
       throw error;
     }
   }
@@ -145,30 +322,340 @@ export class StravaAPI {
     this.accessToken = token;
   }
 
-  async makeAuthenticatedRequest(endpoint) {
-    if (!this.accessToken) {
-      console.error('StravaAPI.makeAuthenticatedRequest: No access token available', {
-        endpoint,
-        timestamp: new Date().toISOString(),
+  /**
+   * Get the backend session status (proxied mode)
+   * @returns {Object} - { authenticated, athlete, expires_at }
+   */
+  async getSession() {
+    const response = await fetch(`${BACKEND_URL}/api/session`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      credentials: 'include',
+    });
+
+    if (!response.ok) {
+      throw new BackendUnavailableError(`Backend server returned ${response.status}: ${response.statusText}`, {
+        status: response.status,
+        endpoint: '/api/session',
       });
-      throw new Error('No access token available');
     }
 
-    console.log('StravaAPI.makeAuthenticatedRequest: Making authenticated request', {
-      endpoint,
-      hasToken: !!this.accessToken,
-      tokenPrefix: this.accessToken.substring(0, 8) + '...',
-      url: `https://www.strava.com/api/v3${endpoint}`,
+    return response.json();
+  }
+
+  /**
+   * Drop the backend session cookie (proxied mode)
+   */
+  async logout() {
+    const response = await fetch(`${BACKEND_URL}/api/logout`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      credentials: 'include',
     });
 
-    const response = await fetch(`https://www.strava.com/api/v3${endpoint}`, {
+    if (!response.ok) {
+      throw new BackendUnavailableError(`Backend server returned ${response.status}: ${response.statusText}`, {
+        status: response.status,
+        endpoint: '/api/logout',
+      });
+    }
+  }
+
+  /**
+   * Get webhook events the backend received for the signed-in athlete (no Strava quota used)
+   * @param {number} after - Cursor returned by the previous call (0 for everything still queued)
+   * @returns {Promise<{events: Object[], cursor: number}>}
+   */
+  async getWebhookEvents(after = 0) {
+    const response = await fetch(`${BACKEND_URL}/api/webhook/events?after=${after}`, {
+      method: 'GET',
       headers: {
-        Authorization: `Bearer ${this.accessToken}`,
         'Content-Type': 'application/json',
       },
+      credentials: 'include',
+    });
+
+    if (!response.ok) {
+      throw new BackendUnavailableError(`Backend server returned ${response.status}: ${response.statusText}`, {
+        status: response.status,
+        endpoint: '/api/webhook/events',
+      });
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Open the backend's Server-Sent Events stream for the signed-in athlete
+   * @returns {EventSource}
+   */
+  openEventStream() {
+    return new EventSource(`${BACKEND_URL}/api/events`, { withCredentials: true });
+  }
+
+  /**
+   * Check whether the access token expires within the refresh margin
+   */
+  isTokenExpiringSoon() {
+    if (!this.expiresAt) return false;
+    return this.expiresAt - Math.floor(Date.now() / 1000) < TOKEN_REFRESH_MARGIN_SECONDS;
+  }
+
+  /**
+   * Exchange the refresh token for a new access token via the backend
+   * @returns {Object} - Token data with access_token, refresh_token and expires_at
+   */
+  async refreshAccessToken() {
+    if (!this.refreshToken) {
+      throw new StravaAuthError('No refresh token available', { endpoint: '/api/oauth/refresh' });
+    }
+
+    const refreshToken = this.refreshToken;
+    let refreshPromise = pendingTokenRefreshes.get(refreshToken);
+
+    if (!refreshPromise) {
+      console.log('StravaAPI.refreshAccessToken: Refreshing access token', {
+        expiresAt: this.expiresAt ? new Date(this.expiresAt * 1000).toISOString() : 'unknown',
+        backendUrl: BACKEND_URL,
+      });
+
+      refreshPromise = (async () => {
+        const response = await fetch(`${BACKEND_URL}/api/oauth/refresh`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          credentials: 'include',
+          body: JSON.stringify({ refresh_token: refreshToken }),
+        });
+
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}));
+          console.error('StravaAPI.refreshAccessToken: Backend returned error', {
+            status: response.status,
+            errorData,
+            timestamp: new Date().toISOString(),
+          });
+          // A rejected refresh token means signing in again; a failing backend may recover
+          const ErrorType = response.status < 500 ? StravaAuthError : BackendUnavailableError;
+          throw new ErrorType(errorData.error || 'Failed to refresh access token', {
+            status: response.status,
+            endpoint: '/api/oauth/refresh',
+          });
+        }
+
+        return response.json();
+      })().finally(() => {
+        pendingTokenRefreshes.delete(refreshToken);
+      });
+
+      pendingTokenRefreshes.set(refreshToken, refreshPromise);
+    }
+
+    const tokenData = await refreshPromise;
+
+    this.accessToken = tokenData.access_token;
+    this.refreshToken = tokenData.refresh_token || refreshToken;
+    this.expiresAt = tokenData.expires_at || null;
+
+    console.log('StravaAPI.refreshAccessToken: Access token refreshed', {
+      expiresAt: this.expiresAt ? new Date(this.expiresAt * 1000).toISOString() : 'unknown',
+      refreshTokenRotated: this.refreshToken !== refreshToken,
+    });
+
+    if (this.onTokenRefresh) {
+      this.onTokenRefresh(tokenData);
+    }
+
+    return tokenData;
+  }
+
+  /**
+   * Make a request to the Strava API through the shared request scheduler
+   * Concurrent GETs for the same endpoint are made once and share the response.
+   * Writes are never shared or retried: a failed PUT may still have been applied, so the caller decides what to do.
+   * @param {string} endpoint - API path relative to /api/v3
+   * @param {Object} [options]
+   * @param {string} [options.method] - HTTP method (defaults to GET)
+   * @param {Object} [options.body] - JSON body for writes
+   * @param {number} [options.priority] - One of REQUEST_PRIORITY (defaults to VISIBLE)
+   * @param {AbortSignal} [options.signal] - Cancels the request and any backoff wait
+   * @param {Object} [options.retry] - Per-request overrides for this.retryOptions (GET only)
+   */
+  async makeAuthenticatedRequest(
+    endpoint,
+    { method = 'GET', body, priority = REQUEST_PRIORITY.VISIBLE, signal, retry } = {},
+  ) {
+    if (method !== 'GET') {
+      return requestScheduler.schedule(
+        `${method} ${endpoint} #${writeSequence++}`,
+        (schedulerSignal) => this.sendAuthenticatedRequest(endpoint, { method, body, signal: schedulerSignal }),
+        { priority, signal },
+      );
+    }
+
+    return requestScheduler.schedule(
+      endpoint,
+      (schedulerSignal) => this.requestWithRetries(endpoint, { signal: schedulerSignal, retry }),
+      { priority, signal },
+    );
+  }
+
+  /**
+   * Make a GET request, retrying transient failures with jittered exponential backoff.
+   * Network errors and 5xx responses are retried; 429s are retried once the rate-limit window resets,
+   * if that is within maxRateLimitWaitMs. Auth and not-found errors are thrown straight away.
+   * @param {string} endpoint - API path relative to /api/v3
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request and any backoff wait
+   * @param {Object} [options.retry] - Per-request overrides for this.retryOptions
+   */
+  async requestWithRetries(endpoint, { signal, retry } = {}) {
+    const retryOptions = { ...this.retryOptions, ...retry };
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.sendAuthenticatedRequest(endpoint, { signal });
+      } catch (error) {
+        if (isAbortError(error) || signal?.aborted) {
+          throw error;
+        }
+
+        const delay = attempt < retryOptions.retries ? this.getRetryDelay(error, attempt, retryOptions) : null;
+        if (delay === null) {
+          throw error;
+        }
+
+        console.warn('StravaAPI.requestWithRetries: Request failed, retrying', {
+          endpoint,
+          attempt: attempt + 1,
+          retries: retryOptions.retries,
+          delayMs: delay,
+          errorType: error.name,
+          status: error.status,
+        });
+        await wait(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * How long to wait before retrying a failed request
+   * @param {Error} error - Error from sendAuthenticatedRequest
+   * @param {number} attempt - Zero-based number of the attempt that failed
+   * @param {Object} retryOptions
+   * @returns {number|null} - Delay in milliseconds, or null if the request should not be retried
+   */
+  getRetryDelay(error, attempt, retryOptions) {
+    if (error instanceof StravaRateLimitError) {
+      // Retrying before the window resets only spends more quota
+      const resetsAt = error.resetsAt || new Date(getNextShortTermReset());
+      const delay = Math.max(0, resetsAt.getTime() - Date.now()) + Math.random() * 1000;
+      return delay <= retryOptions.maxRateLimitWaitMs ? Math.round(delay) : null;
+    }
+
+    if (!(error instanceof StravaError) || !error.isRetryable) {
+      return null;
+    }
+
+    // Jitter keeps several tabs or loops from retrying in lockstep
+    const ceiling = Math.min(retryOptions.maxDelayMs, retryOptions.baseDelayMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + (Math.random() * ceiling) / 2);
+  }
+
+  /**
+   * Send a single request to the Strava API, refreshing the access token when it is
+   * about to expire or has been rejected (the request is repeated once after a 401).
+   * In proxied mode the request goes to the backend, which holds and refreshes the tokens.
+   * @param {string} endpoint - API path relative to /api/v3
+   * @param {Object} [options]
+   * @param {string} [options.method] - HTTP method (defaults to GET)
+   * @param {Object} [options.body] - JSON body for writes
+   * @param {boolean} [options.allowTokenRefresh] - Set to false to skip refresh handling
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   */
+  async sendAuthenticatedRequest(endpoint, { method = 'GET', body, allowTokenRefresh = true, signal } = {}) {
+    if (allowTokenRefresh && this.refreshToken && this.isTokenExpiringSoon()) {
+      try {
+        await this.refreshAccessToken();
+      } catch (error) {
+        // Fall through with the current token; a 401 below will surface the problem
+        console.warn('StravaAPI.sendAuthenticatedRequest: Proactive token refresh failed', {
+          endpoint,
+          error: error.message,
+        });
+      }
+    }
+
+    if (!this.proxied && !this.accessToken) {
+      console.error('StravaAPI.sendAuthenticatedRequest: No access token available', {
+        endpoint,
+        timestamp: new Date().toISOString(),
+      });
+      throw new StravaAuthError('No access token available', { endpoint });
+    }
+
+    const url = this.proxied ? `${BACKEND_URL}/api/strava${endpoint}` : `${STRAVA_API_BASE_URL}${endpoint}`;
+
+    console.log('StravaAPI.sendAuthenticatedRequest: Making authenticated request', {
+      endpoint,
+      method,
+      proxied: this.proxied,
+      hasToken: !!this.accessToken,
+      tokenPrefix: this.accessToken ? this.accessToken.substring(0, 8) + '...' : 'none',
+      url,
     });
 
-    console.log('StravaAPI.makeAuthenticatedRequest: Strava API response received', {
+    let response;
+    try {
+      response = await fetch(
+        url,
+        this.proxied
+          ? {
+              method,
+              headers: {
+                'Content-Type': 'application/json',
+              },
+              body: body ? JSON.stringify(body) : undefined,
+              credentials: 'include',
+              signal,
+            }
+          : {
+              method,
+              headers: {
+                Authorization: `Bearer ${this.accessToken}`,
+                'Content-Type': 'application/json',
+              },
+              body: body ? JSON.stringify(body) : undefined,
+              signal,
+            },
+      );
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+
+      console.error('StravaAPI.sendAuthenticatedRequest: Request could not be sent', {
+        endpoint,
+        proxied: this.proxied,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      });
+
+      if (this.proxied) {
+        throw new BackendUnavailableError(`Cannot connect to backend server at ${BACKEND_URL}`, {
+          endpoint,
+          cause: error,
+        });
+      }
+      throw new StravaNetworkError('Cannot connect to the Strava API', { endpoint, cause: error });
+    }
+
+    console.log('StravaAPI.sendAuthenticatedRequest: Strava API response received', {
       endpoint,
       status: response.status,
       statusText: response.statusText,
@@ -180,21 +667,35 @@ export class StravaAPI {
       },
     });
 
+    rateLimitBudget.updateFromHeaders(response.headers);
+
     if (!response.ok) {
       const errorMessage = `Strava API error: ${response.status} ${response.statusText}`;
 
       if (response.status === 401) {
-        console.error('StravaAPI.makeAuthenticatedRequest: Authentication failed (401)', {
+        if (allowTokenRefresh && this.refreshToken) {
+          console.warn('StravaAPI.sendAuthenticatedRequest: Received 401, refreshing token and retrying once', {
+            endpoint,
+          });
+          await this.refreshAccessToken();
+          return this.sendAuthenticatedRequest(endpoint, { method, body, allowTokenRefresh: false, signal });
+        }
+
+        console.error('StravaAPI.sendAuthenticatedRequest: Authentication failed (401)', {
           endpoint,
+          proxied: this.proxied,
           status: response.status,
           statusText: response.statusText,
-          tokenPrefix: this.accessToken.substring(0, 8) + '...',
+          tokenPrefix: this.accessToken ? this.accessToken.substring(0, 8) + '...' : 'none',
           timestamp: new Date().toISOString(),
         });
-        throw new Error('Unauthorized - token may be expired');
+        throw new StravaAuthError(
+          this.proxied ? 'Unauthorized - Strava session expired' : 'Unauthorized - token may be expired',
+          { status: response.status, endpoint },
+        );
       }
 
-      console.error('StravaAPI.makeAuthenticatedRequest: API request failed', {
+      console.error('StravaAPI.sendAuthenticatedRequest: API request failed', {
         endpoint,
         status: response.status,
         statusText: response.statusText,
@@ -202,11 +703,11 @@ export class StravaAPI {
         timestamp: new Date().toISOString(),
       });
 
-      throw new Error(errorMessage);
+      throw this.createResponseError(response, endpoint, errorMessage);
     }
 
     const data = await response.json();
-    console.log('StravaAPI.makeAuthenticatedRequest: Request successful', {
+    console.log('StravaAPI.sendAuthenticatedRequest: Request successful', {
       endpoint,
       dataType: Array.isArray(data) ? 'array' : typeof data,
       arrayLength: Array.isArray(data) ? data.length : undefined,
@@ -215,21 +716,92 @@ export class StravaAPI {
     return data;
   }
 
-  async getAthlete() {
-    return this.makeAuthenticatedRequest('/athlete');
+  /**
+   * Turn a failed (non-401) API response into the matching typed error
+   * @param {Response} response
+   * @param {string} endpoint - API path relative to /api/v3
+   * @param {string} message
+   * @returns {StravaError}
+   */
+  createResponseError(response, endpoint, message) {
+    const details = { status: response.status, endpoint };
+
+    if (response.status === 429) {
+      const usage = rateLimitBudget.getSnapshot();
+      // Strava doesn't send Retry-After (the proxy does); otherwise wait for the exhausted windows to reset
+      const retryAfterSeconds = parseRetryAfter(response.headers);
+      const exhaustedWindows = [usage.shortTerm, usage.daily].filter((window) => window && window.remaining === 0);
+      const resetsAt =
+        retryAfterSeconds === null
+          ? (exhaustedWindows.length > 0 ? exhaustedWindows : [usage.shortTerm].filter(Boolean)).reduce(
+              (latest, window) => (!latest || window.resetsAt > latest ? window.resetsAt : latest),
+              null,
+            )
+          : null;
+      return new StravaRateLimitError('Strava API rate limit exceeded', {
+        ...details,
+        retryAfterSeconds,
+        resetsAt,
+        usage,
+      });
+    }
+
+    if (response.status === 404) {
+      return new StravaNotFoundError(message, details);
+    }
+
+    // The proxy answers 502 when it could not reach Strava at all
+    if (this.proxied && response.status === 502) {
+      return new StravaNetworkError('The backend could not reach the Strava API', details);
+    }
+
+    return new StravaError(message, details);
+  }
+
+  /**
+   * Get the current Strava rate-limit budget
+   * In proxied mode the backend's shared accounting is authoritative; otherwise use what this browser has seen
+   * @returns {Promise<Object>} - { shortTerm, daily, updatedAt } with limit/usage/remaining/resetsAt per window
+   */
+  async getRateLimit() {
+    if (this.proxied) {
+      try {
+        const response = await fetch(`${BACKEND_URL}/api/ratelimit`, { credentials: 'include' });
+        if (response.ok) {
+          rateLimitBudget.updateFromSnapshot(await response.json());
+        }
+      } catch (error) {
+        console.warn('StravaAPI.getRateLimit: Could not reach backend, using local budget', {
+          error: error.message,
+        });
+      }
+    }
+
+    return rateLimitBudget.getSnapshot();
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.priority] - One of REQUEST_PRIORITY
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   */
+  async getAthlete({ priority, signal } = {}) {
+    return this.makeAuthenticatedRequest('/athlete', { priority, signal });
   }
 
   async getActivities(optionsOrPage = 1, perPage = 30, before = null, after = null) {
     // Handle both object and individual parameter formats
-    let page, actualPerPage, actualBefore, actualAfter;
+    let page, actualPerPage, actualBefore, actualAfter, priority, signal;
 
     if (typeof optionsOrPage === 'object' && optionsOrPage !== null) {
-      // Object format: getActivities({ page: 1, per_page: 30, before: timestamp, after: timestamp })
+      // Object format: getActivities({ page: 1, per_page: 30, before: timestamp, after: timestamp, priority, signal })
       const options = optionsOrPage;
       page = options.page || 1;
       actualPerPage = options.per_page || 30;
       actualBefore = options.before;
       actualAfter = options.after;
+      priority = options.priority;
+      signal = options.signal;
     } else {
       // Individual parameter format: getActivities(page, perPage, before, after)
       page = optionsOrPage;
@@ -263,15 +835,147 @@ export class StravaAPI {
       hasAccessToken: !!this.accessToken,
     });
 
-    return this.makeAuthenticatedRequest(`/athlete/activities?${params}`);
+    return this.makeAuthenticatedRequest(`/athlete/activities?${params}`, { priority, signal });
   }
 
-  async getActivity(id) {
-    return this.makeAuthenticatedRequest(`/activities/${id}`);
+  /**
+   * Walk the athlete's activity list page by page until Strava has no more
+   * @param {Object} [options]
+   * @param {number|string|Date} [options.after] - Only activities that started after this (Unix seconds or a date)
+   * @param {number|string|Date} [options.before] - Only activities that started before this
+   * @param {number} [options.perPage] - Page size, up to 200
+   * @param {number} [options.priority] - One of REQUEST_PRIORITY
+   * @param {AbortSignal} [options.signal] - Stops before the next page (and cancels the one in flight)
+   * @param {Function} [options.onProgress] - Called after each page with { page, pageSize, total }
+   * @yields {Array} - One page of summary activities, newest first
+   */
+  async *iterateActivities({
+    after = null,
+    before = null,
+    perPage = MAX_ACTIVITIES_PER_PAGE,
+    priority,
+    signal,
+    onProgress,
+  } = {}) {
+    let total = 0;
+
+    for (let page = 1; ; page++) {
+      signal?.throwIfAborted();
+
+      const activities = await this.getActivities({ page, per_page: perPage, after, before, priority, signal });
+      total += activities.length;
+      onProgress?.({ page, pageSize: activities.length, total });
+
+      if (activities.length > 0) {
+        yield activities;
+      }
+
+      // A short page is the last one; no need to spend a request on an empty page
+      if (activities.length < perPage) {
+        console.log('StravaAPI.iterateActivities: All pages fetched', { pages: page, total });
+        return;
+      }
+    }
   }
 
-  async getAthleteStats(id) {
-    return this.makeAuthenticatedRequest(`/athletes/${id}/stats`);
+  /**
+   * Fetch every page of the athlete's activity list
+   * @param {Object} [options] - Same as iterateActivities()
+   * @returns {Promise<Array>} - Summary activities, newest first
+   */
+  async getAllActivities(options = {}) {
+    const activities = [];
+    for await (const page of this.iterateActivities(options)) {
+      activities.push(...page);
+    }
+    return activities;
+  }
+
+  /**
+   * @param {number|string} id - Activity id
+   * @param {Object} [options]
+   * @param {number} [options.priority] - One of REQUEST_PRIORITY
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   */
+  async getActivity(id, { priority, signal } = {}) {
+    return this.makeAuthenticatedRequest(`/activities/${id}`, { priority, signal });
+  }
+
+  /**
+   * Update an activity on Strava (needs the activity:write scope)
+   * Only the fields the viewer edits are sent; anything else in updates is ignored.
+   * @param {number|string} id - Activity id
+   * @param {Object} updates - Any of { name, description, private_note }
+   * @param {Object} [options]
+   * @param {number} [options.priority] - One of REQUEST_PRIORITY (defaults to INTERACTIVE)
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} - The updated detailed activity
+   */
+  async updateActivity(id, updates, { priority = REQUEST_PRIORITY.INTERACTIVE, signal } = {}) {
+    const body = Object.fromEntries(
+      Object.entries(updates).filter(([field]) => EDITABLE_ACTIVITY_FIELDS.includes(field)),
+    );
+    return this.makeAuthenticatedRequest(`/activities/${id}`, { method: 'PUT', body, priority, signal });
+  }
+
+  /**
+   * Get an activity's recorded data series, keyed by type
+   * Strava leaves out series the device didn't record (e.g. no heartrate without a strap).
+   * @param {number|string} id - Activity id
+   * @param {Object} [options]
+   * @param {string[]} [options.keys] - Stream types to fetch
+   * @param {number} [options.priority] - One of REQUEST_PRIORITY
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} - e.g. { time: { data: [...] }, heartrate: { data: [...] } }
+   */
+  async getActivityStreams(id, { keys = DEFAULT_STREAM_KEYS, priority, signal } = {}) {
+    return this.makeAuthenticatedRequest(`/activities/${id}/streams?keys=${keys.join(',')}&key_by_type=true`, {
+      priority,
+      signal,
+    });
+  }
+
+  /**
+   * Get an activity's laps (manual or auto laps recorded by the device)
+   * @param {number|string} id - Activity id
+   * @param {Object} [options]
+   * @param {number} [options.priority] - One of REQUEST_PRIORITY
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   */
+  async getActivityLaps(id, { priority, signal } = {}) {
+    return this.makeAuthenticatedRequest(`/activities/${id}/laps`, { priority, signal });
+  }
+
+  /**
+   * Get time spent in each heart rate and power zone (Strava only serves these to subscribers)
+   * @param {number|string} id - Activity id
+   * @param {Object} [options]
+   * @param {number} [options.priority] - One of REQUEST_PRIORITY
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   */
+  async getActivityZones(id, { priority, signal } = {}) {
+    return this.makeAuthenticatedRequest(`/activities/${id}/zones`, { priority, signal });
+  }
+
+  /**
+   * Get a shoe or bike by the gear_id found on activities
+   * @param {string} id - Gear id (shoes start with "g", bikes with "b")
+   * @param {Object} [options]
+   * @param {number} [options.priority] - One of REQUEST_PRIORITY
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   */
+  async getGear(id, { priority, signal } = {}) {
+    return this.makeAuthenticatedRequest(`/gear/${id}`, { priority, signal });
+  }
+
+  /**
+   * @param {number|string} id - Athlete id
+   * @param {Object} [options]
+   * @param {number} [options.priority] - One of REQUEST_PRIORITY
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   */
+  async getAthleteStats(id, { priority, signal } = {}) {
+    return this.makeAuthenticatedRequest(`/athletes/${id}/stats`, { priority, signal });
   }
 }
 
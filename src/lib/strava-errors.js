@@ -0,0 +1,151 @@
+/**
+ * Strava Errors - Typed errors thrown by StravaAPI
+ * Callers check these with instanceof instead of matching on error messages,
+ * and use the status, endpoint and retry hints they carry to decide what to do next.
+ */
+
+/**
+ * Base class for every error StravaAPI throws
+ */
+export class StravaError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {number|null} [details.status] - HTTP status, if a response was received
+   * @param {string|null} [details.endpoint] - API path (or backend route) that failed
+   * @param {number|null} [details.retryAfterSeconds] - How long to wait before trying again, if known
+   * @param {Error} [details.cause] - Underlying error (e.g. the fetch TypeError)
+   */
+  constructor(message, { status = null, endpoint = null, retryAfterSeconds = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.status = status;
+    this.endpoint = endpoint;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+
+  /**
+   * Whether repeating the same request later could succeed
+   */
+  get isRetryable() {
+    return this.status === null || this.status >= 500;
+  }
+}
+
+/**
+ * The access token (or backend session) was rejected and could not be refreshed - the athlete must sign in again
+ */
+export class StravaAuthError extends StravaError {
+  get isRetryable() {
+    return false;
+  }
+}
+
+/**
+ * Strava answered 429, or the budget is too low to spend more requests on background work
+ */
+export class StravaRateLimitError extends StravaError {
+  /**
+   * @param {string} message
+   * @param {Object} [details] - Same as StravaError, plus:
+   * @param {Date|null} [details.resetsAt] - When enough quota is available again
+   * @param {Object|null} [details.usage] - Budget snapshot ({ shortTerm, daily }) at the time of the error
+   */
+  constructor(message, { resetsAt = null, usage = null, ...details } = {}) {
+    const retryAfterSeconds =
+      details.retryAfterSeconds ?? (resetsAt ? Math.max(0, Math.ceil((resetsAt.getTime() - Date.now()) / 1000)) : null);
+    super(message, { ...details, retryAfterSeconds });
+    this.resetsAt = resetsAt ?? (retryAfterSeconds !== null ? new Date(Date.now() + retryAfterSeconds * 1000) : null);
+    this.usage = usage;
+  }
+
+  get isRetryable() {
+    return true;
+  }
+}
+
+/**
+ * The requested resource does not exist, or is not visible with the granted scopes
+ */
+export class StravaNotFoundError extends StravaError {
+  get isRetryable() {
+    return false;
+  }
+}
+
+/**
+ * Strava could not be reached (connection failure, or the backend proxy could not reach it)
+ */
+export class StravaNetworkError extends StravaError {
+  get isRetryable() {
+    return true;
+  }
+}
+
+/**
+ * The activity changed on Strava since the copy being edited was cached, so saving would overwrite someone else's edit
+ */
+export class ActivityConflictError extends StravaError {
+  /**
+   * @param {string} message
+   * @param {Object} [details] - Same as StravaError, plus:
+   * @param {Object} [details.remote] - The activity as it is on Strava now
+   * @param {string[]} [details.fields] - Edited fields whose value changed remotely
+   */
+  constructor(message, { remote = null, fields = [], ...details } = {}) {
+    super(message, details);
+    this.remote = remote;
+    this.fields = fields;
+  }
+
+  get isRetryable() {
+    return false;
+  }
+}
+
+/**
+ * Our own backend could not be reached or is misbehaving
+ */
+export class BackendUnavailableError extends StravaError {
+  get isRetryable() {
+    return true;
+  }
+}
+
+// Set explicitly rather than from constructor.name, which minification renames
+StravaError.prototype.name = 'StravaError';
+StravaAuthError.prototype.name = 'StravaAuthError';
+StravaRateLimitError.prototype.name = 'StravaRateLimitError';
+StravaNotFoundError.prototype.name = 'StravaNotFoundError';
+StravaNetworkError.prototype.name = 'StravaNetworkError';
+ActivityConflictError.prototype.name = 'ActivityConflictError';
+BackendUnavailableError.prototype.name = 'BackendUnavailableError';
+
+/**
+ * Whether fetch() itself failed (network down, connection refused, CORS) rather than returning a response
+ */
+export function isFetchFailure(error) {
+  return (
+    error?.name === 'TypeError' ||
+    error?.message?.includes('NetworkError') ||
+    error?.message?.includes('ERR_CONNECTION_REFUSED')
+  );
+}
+
+/**
+ * Whether an operation was cancelled through an AbortSignal (fetch or a backoff wait)
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Read a Retry-After header (seconds) if present
+ * @param {Headers} headers
+ * @returns {number|null}
+ */
+export function parseRetryAfter(headers) {
+  const value = headers?.get('retry-after');
+  if (!value) return null;
+  const seconds = Number.parseInt(value, 10);
+  return Number.isNaN(seconds) ? null : seconds;
+}
@@ -0,0 +1,72 @@
+/**
+ * Strava Scopes - Which OAuth scopes the app asks for and what data is missing without them
+ * Strava lets the athlete untick scopes on the consent screen, so the granted scopes can differ from the requested ones
+ */
+
+// Public and follower-only activities; private notes of "Only Me" activities are not included
+export const DEFAULT_SCOPES = ['read', 'activity:read'];
+
+// Everything the app can show, including "Only Me" activities and their private notes
+export const FULL_ACCESS_SCOPES = ['read', 'activity:read_all'];
+
+// Opt-in: lets the viewer save edited names, descriptions and private notes back to Strava
+export const WRITE_SCOPE = 'activity:write';
+export const WRITE_ACCESS_SCOPES = [...FULL_ACCESS_SCOPES, WRITE_SCOPE];
+
+const SCOPE_DESCRIPTIONS = {
+  read: 'Your public profile',
+  'activity:read': 'Activities visible to Everyone or Followers',
+  'activity:read_all': 'Private ("Only Me") activities and their private notes',
+  'activity:write': 'Editing activity names, descriptions and private notes',
+};
+
+// Scopes that include another scope's access
+const IMPLIED_SCOPES = {
+  'activity:read_all': ['activity:read'],
+};
+
+/**
+ * Parse the scope string Strava returns on the OAuth callback ("read,activity:read_all")
+ * @param {string|string[]|null} scope
+ * @returns {string[]|null} - null when the granted scopes are unknown
+ */
+export function parseScopes(scope) {
+  if (!scope) return null;
+  const scopes = Array.isArray(scope) ? scope : scope.split(/[,\s]+/);
+  return scopes.map((part) => part.trim()).filter(Boolean);
+}
+
+/**
+ * Check whether a scope was granted, directly or through a broader scope
+ */
+export function hasScope(grantedScopes, scope) {
+  if (!grantedScopes) return false;
+  return grantedScopes.some((granted) => granted === scope || IMPLIED_SCOPES[granted]?.includes(scope));
+}
+
+/**
+ * List the wanted scopes that were not granted, with a description of the data they unlock
+ * @param {string[]|null} grantedScopes - Scopes granted by the athlete (null if unknown)
+ * @param {string[]} wantedScopes - Scopes the app would like to have
+ * @returns {Array<{scope: string, description: string}>} - Empty when nothing is missing or the grant is unknown
+ */
+export function getMissingScopes(grantedScopes, wantedScopes = FULL_ACCESS_SCOPES) {
+  if (!grantedScopes) return [];
+
+  return wantedScopes
+    .filter((scope) => !hasScope(grantedScopes, scope))
+    .map((scope) => ({ scope, description: SCOPE_DESCRIPTIONS[scope] || scope }));
+}
+
+/**
+ * The scopes to ask for when re-authorizing: the wanted ones plus everything already granted
+ * Strava replaces the grant with whatever the new consent screen asked for, so leaving out a granted scope
+ * (e.g. activity:write) would take it away.
+ * @param {string[]|null} grantedScopes - Scopes granted by the athlete (null if unknown)
+ * @param {string[]} wantedScopes
+ * @returns {string[]} - Without scopes a broader one in the list already includes
+ */
+export function mergeScopes(grantedScopes, wantedScopes) {
+  const scopes = [...new Set([...wantedScopes, ...(grantedScopes || [])])];
+  return scopes.filter((scope) => !scopes.some((other) => IMPLIED_SCOPES[other]?.includes(scope)));
+}
@@ -0,0 +1,461 @@
+/**
+ * Text Search - Tokenizing, stemming and ranking for the full-text index over cached activities
+ * Text is diacritic-folded and lowercased, words are reduced to their stem (Porter step 1) so
+ * "intervals" finds "interval", and the last typed characters match as a prefix. Optionally a query
+ * word also finds its synonyms ("hammy" -> "hamstring") and words a typo or two away ("hamstirng").
+ * ActivityDatabase keeps the postings built here in IndexedDB; ranking and snippets are pure functions.
+ */
+
+// Activity fields in the index, with how much a match in each counts
+export const SEARCH_FIELDS = {
+  name: 2,
+  private_note: 1.5,
+  description: 1,
+};
+
+// How a query's words have to occur: as a phrase, every one of them (anywhere) or at least one
+export const TEXT_MATCH_MODE = {
+  EXACT: 'exact',
+  ALL: 'all',
+  ANY: 'any',
+};
+
+// Words that mean the same in training notes - a query word finds the other words in its group
+export const DEFAULT_SYNONYMS = [
+  ['hamstring', 'hammy', 'hammies', 'hammie'],
+  ['quadriceps', 'quad', 'quads'],
+  ['calf', 'calves'],
+  ['achilles', 'achille'],
+  ['tempo', 'threshold'],
+  ['interval', 'repeat', 'reps'],
+  ['sore', 'achy', 'tender'],
+  ['kilometer', 'kilometre', 'km'],
+];
+
+// A word that only starts with the query, is a synonym of it or is a typo away ranks below a full match
+const PREFIX_MATCH_WEIGHT = 0.6;
+const SYNONYM_MATCH_WEIGHT = 0.8;
+const FUZZY_MATCH_WEIGHT = 0.4;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'for', 'in', 'is', 'it', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+/**
+ * "Café" -> "cafe"
+ */
+export const foldText = (text) => text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+const isConsonant = (word, index) => {
+  const char = word[index];
+  if ('aeiou'.includes(char)) return false;
+  if (char === 'y') return index === 0 || !isConsonant(word, index - 1);
+  return true;
+};
+
+// Porter's m: the number of vowel-consonant sequences in a stem
+const measure = (stem) => {
+  let count = 0;
+  for (let index = 1; index < stem.length; index++) {
+    if (!isConsonant(stem, index - 1) && isConsonant(stem, index)) count++;
+  }
+  return count;
+};
+
+const hasVowel = (stem) => [...stem].some((_, index) => !isConsonant(stem, index));
+
+const endsWithDoubleConsonant = (word) =>
+  word.length > 1 && word.at(-1) === word.at(-2) && isConsonant(word, word.length - 1);
+
+// consonant-vowel-consonant ending, where the last consonant is not w, x or y ("hop", not "snow")
+const endsWithCvc = (word) =>
+  word.length > 2 &&
+  isConsonant(word, word.length - 3) &&
+  !isConsonant(word, word.length - 2) &&
+  isConsonant(word, word.length - 1) &&
+  !'wxy'.includes(word.at(-1));
+
+/**
+ * Reduce a folded word to its stem with step 1 of the Porter stemmer (plurals, -ed, -ing and -y)
+ * "intervals" -> "interval", "running" -> "run", "hopped" -> "hop", "easy" -> "easi"
+ */
+export function stemWord(word) {
+  if (word.length <= 3 || !/^[a-z]+$/.test(word)) return word;
+
+  let stem = word;
+
+  // Step 1a: plurals
+  if (stem.endsWith('sses')) stem = stem.slice(0, -2);
+  else if (stem.endsWith('ies')) stem = stem.slice(0, -2);
+  else if (stem.endsWith('s') && !stem.endsWith('ss')) stem = stem.slice(0, -1);
+
+  // Step 1b: -eed, -ed, -ing
+  if (stem.endsWith('eed')) {
+    if (measure(stem.slice(0, -3)) > 0) stem = stem.slice(0, -1);
+  } else {
+    const suffix = ['ed', 'ing'].find((candidate) => stem.endsWith(candidate));
+    if (suffix && hasVowel(stem.slice(0, -suffix.length))) {
+      stem = stem.slice(0, -suffix.length);
+      if (stem.endsWith('at') || stem.endsWith('bl') || stem.endsWith('iz')) stem += 'e';
+      else if (endsWithDoubleConsonant(stem) && !'lsz'.includes(stem.at(-1))) stem = stem.slice(0, -1);
+      else if (measure(stem) === 1 && endsWithCvc(stem)) stem += 'e';
+    }
+  }
+
+  // Step 1c: -y
+  if (stem.endsWith('y') && hasVowel(stem.slice(0, -1))) stem = `${stem.slice(0, -1)}i`;
+
+  return stem;
+}
+
+/**
+ * Split text into indexable words
+ * @param {string} text
+ * @returns {Array<{ word: string, stem: string, start: number, end: number }>} - word is folded;
+ *   start/end are offsets in the original text, for highlighting
+ */
+export function tokenize(text) {
+  if (!text) return [];
+
+  const tokens = [];
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    const word = foldText(match[0]);
+    if (STOP_WORDS.has(word)) continue;
+    tokens.push({ word, stem: stemWord(word), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Distinct words of a search query
+ */
+export function tokenizeQuery(query) {
+  const seen = new Set();
+  return tokenize(query).filter((token) => !seen.has(token.word) && seen.add(token.word));
+}
+
+/**
+ * Typos a query word may have and still match: none in short words, where one is already a different word
+ */
+const allowedEdits = (word) => (word.length < 4 ? 0 : word.length < 8 ? 1 : 2);
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swapped neighbours ("hmastring") as one edit
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [max] - Stop early once the distance is known to be larger; anything above comes back as max + 1
+ * @returns {number}
+ */
+export function editDistance(a, b, max = Number.POSITIVE_INFINITY) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, beforePrevious[j - 2] + 1);
+      }
+      current.push(distance);
+    }
+    if (Math.min(...current) > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return Math.min(previous[b.length], max + 1);
+}
+
+/**
+ * Synonym groups from text with one group per line ("hammy, hamstring")
+ * @param {string} text
+ * @returns {Array<Array<string>>} - Folded single words; groups of fewer than two words are dropped
+ */
+export function parseSynonymGroups(text) {
+  return text
+    .split('\n')
+    .map((line) => [
+      ...new Set(
+        line
+          .split(',')
+          .map((word) => foldText(word.trim()))
+          .filter((word) => /^[\p{L}\p{N}]+$/u.test(word)),
+      ),
+    ])
+    .filter((group) => group.length > 1);
+}
+
+/**
+ * @param {Array<Array<string>>} groups
+ * @returns {string} - One group per line, for editing
+ */
+export function formatSynonymGroups(groups) {
+  return groups.map((group) => group.join(', ')).join('\n');
+}
+
+/**
+ * Attach what else each query word may match: its synonyms and, with fuzzy matching, how many typos it may have
+ * @param {Array} queryTokens - From tokenizeQuery
+ * @param {Object} [options]
+ * @param {boolean} [options.fuzzy] - Tolerate typos
+ * @param {Array<Array<string>>} [options.synonyms] - Synonym groups
+ * @returns {Array} - The tokens with { variants: Array<{ word, stem }>, maxEdits: number }
+ */
+export function prepareQueryTokens(queryTokens, { fuzzy = false, synonyms = [] } = {}) {
+  return queryTokens.map((token) => {
+    const group = synonyms.find((words) => words.some((word) => word === token.word || stemWord(word) === token.stem));
+    const variants = (group || [])
+      .map((word) => ({ word, stem: stemWord(word) }))
+      .filter((variant) => variant.stem !== token.stem);
+    return { ...token, variants, maxEdits: fuzzy ? allowedEdits(token.word) : 0 };
+  });
+}
+
+/**
+ * Words of an index vocabulary that are a typo or two away from a query word (and not already a prefix match)
+ * @param {Array<string>} words - Folded words
+ * @param {Object} queryToken - From prepareQueryTokens
+ * @returns {Array<string>}
+ */
+export function findFuzzyWords(words, queryToken) {
+  if (!queryToken.maxEdits) return [];
+  return words.filter(
+    (word) =>
+      !word.startsWith(queryToken.word) &&
+      editDistance(word, queryToken.word, queryToken.maxEdits) <= queryToken.maxEdits,
+  );
+}
+
+/**
+ * FNV-1a, to tell whether an activity's searchable text changed since it was indexed
+ */
+const hashText = (text) => {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index++) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+};
+
+/**
+ * Index entries for one activity
+ * @param {Object} activity
+ * @returns {{ signature: string, postings: Array<{ term, activityId, words, fields }> }} - one posting per stem,
+ *   with the folded words it came from (for prefix matching) and its count per field
+ */
+export function buildSearchPostings(activity) {
+  const activityId = String(activity.id);
+  const byTerm = new Map();
+
+  for (const field of Object.keys(SEARCH_FIELDS)) {
+    for (const token of tokenize(activity[field])) {
+      const posting = byTerm.get(token.stem) || { term: token.stem, activityId, words: [], fields: {} };
+      if (!posting.words.includes(token.word)) posting.words.push(token.word);
+      posting.fields[field] = (posting.fields[field] || 0) + 1;
+      byTerm.set(token.stem, posting);
+    }
+  }
+
+  const signature = hashText(
+    Object.keys(SEARCH_FIELDS)
+      .map((field) => activity[field] || '')
+      .join('\u0000'),
+  );
+  return { signature, postings: [...byTerm.values()] };
+}
+
+/**
+ * Score activities against a query - every query word has to match (in one of the given fields), or with
+ * TEXT_MATCH_MODE.ANY at least one; phrases (TEXT_MATCH_MODE.EXACT) are ranked like ALL and checked afterwards
+ * @param {Array} queryTokens - From tokenizeQuery
+ * @param {Array<{ exact: Array, prefix: Array, synonym?: Array, fuzzy?: Array }>} matches - Postings found per
+ *   query token: those with the token's stem, with a word starting with the token, with one of its synonyms'
+ *   stems and with a word a typo or two away
+ * @param {number} documentCount - Activities in the index, for inverse document frequency
+ * @param {Array<string>} [fields] - Fields to search
+ * @param {string} [mode] - TEXT_MATCH_MODE
+ * @returns {Array<{ activityId: string, score: number }>} - Best match first
+ */
+export function rankSearchResults(
+  queryTokens,
+  matches,
+  documentCount,
+  fields = Object.keys(SEARCH_FIELDS),
+  mode = TEXT_MATCH_MODE.ALL,
+) {
+  let scores = null;
+
+  queryTokens.forEach((_, tokenIndex) => {
+    const { exact, prefix, synonym = [], fuzzy = [] } = matches[tokenIndex];
+    const tokenScores = new Map();
+
+    // A posting with several words starting with the token comes back once per word
+    const distinct = new Map(
+      [...exact, ...prefix, ...synonym, ...fuzzy].map((posting) => [
+        `${posting.term}\u0000${posting.activityId}`,
+        posting,
+      ]),
+    );
+    const documentFrequency = new Map();
+    for (const posting of distinct.values()) {
+      documentFrequency.set(posting.term, (documentFrequency.get(posting.term) || 0) + 1);
+    }
+
+    const addPosting = (posting, weight) => {
+      const fieldScore = fields.reduce((sum, field) => {
+        const count = posting.fields[field] || 0;
+        return count > 0 ? sum + SEARCH_FIELDS[field] * (1 + Math.log(count)) : sum;
+      }, 0);
+      if (fieldScore === 0) return;
+
+      const idf = Math.log(1 + documentCount / documentFrequency.get(posting.term));
+      const score = weight * fieldScore * idf;
+      // A word can match both exactly and as a prefix; count it once, at its best
+      tokenScores.set(posting.activityId, Math.max(tokenScores.get(posting.activityId) || 0, score));
+    };
+
+    for (const posting of exact) addPosting(posting, 1);
+    for (const posting of prefix) addPosting(posting, PREFIX_MATCH_WEIGHT);
+    for (const posting of synonym) addPosting(posting, SYNONYM_MATCH_WEIGHT);
+    for (const posting of fuzzy) addPosting(posting, FUZZY_MATCH_WEIGHT);
+
+    if (scores === null) {
+      scores = tokenScores;
+      return;
+    }
+    if (mode === TEXT_MATCH_MODE.ANY) {
+      for (const [activityId, score] of tokenScores) {
+        scores.set(activityId, (scores.get(activityId) || 0) + score);
+      }
+      return;
+    }
+    scores = new Map(
+      [...scores]
+        .filter(([activityId]) => tokenScores.has(activityId))
+        .map(([activityId, score]) => [activityId, score + tokenScores.get(activityId)]),
+    );
+  });
+
+  return [...(scores || [])].map(([activityId, score]) => ({ activityId, score })).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Search activities that are only in memory (e.g. demo data) the same way the IndexedDB index is searched
+ * @param {Array} activities
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {Array<string>} [options.fields]
+ * @param {string} [options.mode] - TEXT_MATCH_MODE
+ * @param {boolean} [options.fuzzy]
+ * @param {Array<Array<string>>} [options.synonyms]
+ * @returns {Array<{ activityId: string, score: number, activity: Object }>} - Best match first
+ */
+export function searchActivitiesInMemory(activities, query, { fields, mode, fuzzy, synonyms } = {}) {
+  const queryTokens = prepareQueryTokens(tokenizeQuery(query), { fuzzy, synonyms });
+  if (queryTokens.length === 0) return [];
+
+  const postings = activities.flatMap((activity) => buildSearchPostings(activity).postings);
+  const vocabulary = [...new Set(postings.flatMap((posting) => posting.words))];
+  const matches = queryTokens.map((token) => {
+    const variantStems = new Set(token.variants.map((variant) => variant.stem));
+    const fuzzyWords = new Set(findFuzzyWords(vocabulary, token));
+    return {
+      exact: postings.filter((posting) => posting.term === token.stem),
+      prefix: postings.filter((posting) => posting.words.some((word) => word.startsWith(token.word))),
+      synonym: postings.filter((posting) => variantStems.has(posting.term)),
+      fuzzy: postings.filter((posting) => posting.words.some((word) => fuzzyWords.has(word))),
+    };
+  });
+
+  const activitiesById = new Map(activities.map((activity) => [String(activity.id), activity]));
+  return rankSearchResults(queryTokens, matches, activities.length, fields, mode).map((result) => ({
+    ...result,
+    activity: activitiesById.get(result.activityId),
+  }));
+}
+
+/**
+ * Activities found by every one of several searches, with their scores added up
+ * @param {Array<Array<{ activityId, score, activity }>>} resultLists
+ * @returns {Array<{ activityId, score, activity }>} - Best match first
+ */
+export function intersectSearchResults(resultLists) {
+  const [first = [], ...rest] = resultLists;
+  const restById = rest.map((results) => new Map(results.map((result) => [result.activityId, result])));
+
+  return first
+    .filter((result) => restById.every((results) => results.has(result.activityId)))
+    .map((result) => ({
+      ...result,
+      score: restById.reduce((sum, results) => sum + results.get(result.activityId).score, result.score),
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+const matchesQueryToken = (token, queryToken) =>
+  token.stem === queryToken.stem ||
+  token.word.startsWith(queryToken.word) ||
+  (queryToken.variants || []).some((variant) => token.stem === variant.stem) ||
+  (queryToken.maxEdits > 0 && editDistance(token.word, queryToken.word, queryToken.maxEdits) <= queryToken.maxEdits);
+
+/**
+ * Whether query words occur in a text the way the mode asks: as a word with the same stem, a word they start,
+ * a synonym or a near miss (the same rules the index uses, for text that doesn't go through the index).
+ * A phrase has to occur word for word.
+ * @param {string} text
+ * @param {Array} queryTokens - From tokenizeQuery or prepareQueryTokens
+ * @param {string} [mode] - TEXT_MATCH_MODE
+ * @returns {boolean}
+ */
+export function textMatchesQuery(text, queryTokens, mode = TEXT_MATCH_MODE.ALL) {
+  if (queryTokens.length === 0) return true;
+
+  const tokens = tokenize(text);
+  if (mode === TEXT_MATCH_MODE.EXACT) {
+    return tokens.some((_, start) =>
+      queryTokens.every((queryToken, offset) => tokens[start + offset]?.word === queryToken.word),
+    );
+  }
+
+  const occurs = (queryToken) => tokens.some((token) => matchesQueryToken(token, queryToken));
+  return mode === TEXT_MATCH_MODE.ANY ? queryTokens.some(occurs) : queryTokens.every(occurs);
+}
+
+/**
+ * The part of a text around its first match, split into plain and highlighted pieces
+ * @param {string} text
+ * @param {Array} queryTokens - From tokenizeQuery or prepareQueryTokens
+ * @param {number} [maxLength] - Characters to show around the first match
+ * @returns {Array<{ text: string, highlight: boolean, start?: number }>|null} - highlighted pieces carry their
+ *   offset in the text; null when the text has no match
+ */
+export function buildSnippet(text, queryTokens, maxLength = 80) {
+  if (!text || queryTokens.length === 0) return null;
+
+  const hits = tokenize(text).filter((token) => queryTokens.some((queryToken) => matchesQueryToken(token, queryToken)));
+  if (hits.length === 0) return null;
+
+  // Start a little before the first match, at a word boundary
+  let start = Math.max(0, hits[0].start - Math.floor(maxLength / 4));
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < hits[0].start ? space + 1 : hits[0].start;
+  }
+  const end = Math.min(text.length, start + maxLength);
+
+  const pieces = [];
+  let cursor = start;
+  for (const hit of hits) {
+    if (hit.start < cursor || hit.end > end) continue;
+    if (hit.start > cursor) pieces.push({ text: text.slice(cursor, hit.start), highlight: false });
+    pieces.push({ text: text.slice(hit.start, hit.end), highlight: true, start: hit.start });
+    cursor = hit.end;
+  }
+  if (cursor < end) pieces.push({ text: text.slice(cursor, end), highlight: false });
+
+  if (start > 0) pieces.unshift({ text: '...', highlight: false });
+  if (end < text.length) pieces.push({ text: '...', highlight: false });
+  return pieces;
+}
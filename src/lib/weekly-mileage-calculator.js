@@ -3,14 +3,14 @@
  * Implements smart caching strategy to minimize API usage while ensuring data completeness
  */
 
-import { StravaAPI } from './strava-api.js';
+import { rateLimitBudget } from './rate-limit-budget.js';
+import { REQUEST_PRIORITY } from './request-scheduler.js';
+import { StravaAuthError, StravaRateLimitError, isAbortError } from './strava-errors.js';
 import { WeeklyMileageDatabase } from './weekly-mileage-database.js';
 
 class WeeklyMileageCalculator {
-  constructor(accessToken, smartCache) {
-    this.accessToken = accessToken;
+  constructor(smartCache) {
     this.smartCache = smartCache;
-    this.stravaAPI = new StravaAPI(accessToken);
     this.weeklyDatabase = new WeeklyMileageDatabase();
     this.isCalculating = false;
     this.calculationStats = {
@@ -18,14 +18,18 @@ class WeeklyMileageCalculator {
       apiCallsMade: 0,
       cacheHits: 0,
       rateLimitReached: false,
+      rateLimitResetsAt: null,
+      cancelled: false,
       lastError: null,
     };
   }
 
   /**
    * Start the weekly mileage calculation process
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops the calculation; weeks saved so far are kept
    */
-  async calculateWeeklyMileage() {
+  async calculateWeeklyMileage({ signal } = {}) {
     if (this.isCalculating) {
       console.log('WeeklyMileageCalculator: Calculation already in progress');
       return this.calculationStats;
@@ -37,12 +41,19 @@ class WeeklyMileageCalculator {
       apiCallsMade: 0,
       cacheHits: 0,
       rateLimitReached: false,
+      rateLimitResetsAt: null,
+      cancelled: false,
       lastError: null,
     };
 
     console.log('WeeklyMileageCalculator: Starting weekly mileage calculation');
 
     try {
+      // Pick up quota spent by other tabs/modules before deciding how far back we can go
+      if (this.smartCache.hasApiAccess()) {
+        await this.smartCache.createStravaAPI().getRateLimit();
+      }
+
       // Start with the most recent complete week (last Monday to Sunday)
       const today = new Date();
       const currentWeekStart = this.weeklyDatabase.getWeekStart(today);
@@ -60,7 +71,7 @@ class WeeklyMileageCalculator {
       let weeksBack = 0;
       const maxWeeksBack = 52 * 3; // Don't go back more than 3 years
 
-      while (weeksBack < maxWeeksBack && !this.calculationStats.rateLimitReached) {
+      while (weeksBack < maxWeeksBack && !this.calculationStats.rateLimitReached && !signal?.aborted) {
         const weekId = this.weeklyDatabase.getWeekId(currentWeek);
         const weekStart = this.weeklyDatabase.getWeekStart(currentWeek);
         const weekEnd = this.weeklyDatabase.getWeekEnd(currentWeek);
@@ -71,15 +82,27 @@ class WeeklyMileageCalculator {
         });
 
         try {
-          await this.processWeek(weekStart, weekEnd);
+          await this.processWeek(weekStart, weekEnd, { signal });
           this.calculationStats.weeksProcessed++;
         } catch (error) {
+          if (isAbortError(error)) {
+            break;
+          }
+
           console.error(`WeeklyMileageCalculator: Error processing week ${weekId}`, error);
 
-          if (error.message.includes('429') || error.message.includes('rate limit')) {
-            console.log('WeeklyMileageCalculator: Rate limit reached, stopping calculation');
+          if (error instanceof StravaRateLimitError) {
+            console.log('WeeklyMileageCalculator: Rate limit reached, stopping calculation', {
+              resetsAt: error.resetsAt?.toISOString(),
+              retryAfterSeconds: error.retryAfterSeconds,
+            });
             this.calculationStats.rateLimitReached = true;
+            this.calculationStats.rateLimitResetsAt = error.resetsAt;
             break;
+          } else if (error instanceof StravaAuthError) {
+            // Every further week would fail the same way
+            this.calculationStats.lastError = error.message;
+            throw error;
           } else {
             this.calculationStats.lastError = error.message;
           }
@@ -96,6 +119,13 @@ class WeeklyMileageCalculator {
         }
       }
 
+      if (signal?.aborted) {
+        console.log('WeeklyMileageCalculator: Calculation stopped', {
+          weeksProcessed: this.calculationStats.weeksProcessed,
+        });
+        this.calculationStats.cancelled = true;
+      }
+
       console.log('WeeklyMileageCalculator: Calculation complete', this.calculationStats);
       return this.calculationStats;
     } catch (error) {
@@ -110,7 +140,7 @@ class WeeklyMileageCalculator {
   /**
    * Process a single week - check cache first, then API if needed
    */
-  async processWeek(weekStart, weekEnd) {
+  async processWeek(weekStart, weekEnd, { signal } = {}) {
     const weekId = this.weeklyDatabase.getWeekId(weekStart);
 
     // Check if we already have complete data for this week
@@ -137,9 +167,20 @@ class WeeklyMileageCalculator {
       weeklyData = this.calculateWeekData(weekId, weekStart, weekEnd, cachedRuns, true);
       this.calculationStats.cacheHits++;
     } else {
-      // Need to fetch additional data from API
+      // Need to fetch additional data from API - unless the shared budget is nearly spent
+      if (rateLimitBudget.shouldBackOff()) {
+        console.log(`WeeklyMileageCalculator: Rate limit budget low, not fetching week ${weekId}`, {
+          budget: rateLimitBudget.getSnapshot(),
+        });
+        const backOffDelay = rateLimitBudget.getBackOffDelay();
+        throw new StravaRateLimitError('Strava rate limit budget nearly exhausted', {
+          resetsAt: new Date(Date.now() + backOffDelay),
+          usage: rateLimitBudget.getSnapshot(),
+        });
+      }
+
       console.log(`WeeklyMileageCalculator: Fetching additional data from API for week ${weekId}`);
-      const allRuns = await this.fetchCompleteWeekData(weekStart, weekEnd, cachedRuns);
+      const allRuns = await this.fetchCompleteWeekData(weekStart, weekEnd, cachedRuns, { signal });
       weeklyData = this.calculateWeekData(weekId, weekStart, weekEnd, allRuns, true);
       this.calculationStats.apiCallsMade++;
     }
@@ -206,13 +247,15 @@ class WeeklyMileageCalculator {
   /**
    * Fetch complete week data from API, combining with cached data
    */
-  async fetchCompleteWeekData(weekStart, weekEnd, cachedRuns) {
+  async fetchCompleteWeekData(weekStart, weekEnd, cachedRuns, { signal } = {}) {
     try {
       // Fetch activities from API for this week
-      const apiActivities = await this.stravaAPI.getActivities({
+      const stravaAPI = this.smartCache.createStravaAPI();
+      const apiActivities = await stravaAPI.getAllActivities({
         after: Math.floor(weekStart.getTime() / 1000),
         before: Math.floor(weekEnd.getTime() / 1000),
-        per_page: 200,
+        priority: REQUEST_PRIORITY.BACKGROUND,
+        signal,
       });
 
       console.log(`WeeklyMileageCalculator: Fetched ${apiActivities.length} activities from API`);
@@ -229,7 +272,10 @@ class WeeklyMileageCalculator {
       // If we have new runs, we need detailed data to save to cache
       if (newRuns.length > 0) {
         // Use smart cache to get detailed data efficiently
-        const detailedNewRuns = await this.smartCache.loadActivitiesWithPrivateNotes(newRuns);
+        const detailedNewRuns = await this.smartCache.loadActivitiesWithPrivateNotes(newRuns, {
+          priority: REQUEST_PRIORITY.BACKGROUND,
+          signal,
+        });
 
         // The smart cache automatically saves to database, so we don't need to do that manually
         console.log(`WeeklyMileageCalculator: Processed ${detailedNewRuns.length} detailed runs through smart cache`);
@@ -242,8 +288,8 @@ class WeeklyMileageCalculator {
     } catch (error) {
       console.error('WeeklyMileageCalculator: Error fetching from API', error);
 
-      if (error.message.includes('429') || error.message.includes('rate limit')) {
-        throw error; // Re-throw rate limit errors to stop calculation
+      if (isAbortError(error) || error instanceof StravaRateLimitError || error instanceof StravaAuthError) {
+        throw error; // Re-throw so the calculation stops instead of saving incomplete weeks
       }
 
       // For other errors, use cached data if available
@@ -278,10 +324,79 @@ class WeeklyMileageCalculator {
         moving_time: run.moving_time,
         start_date: run.start_date,
         type: run.type,
+        total_elevation_gain: run.total_elevation_gain,
       })),
     };
   }
 
+  /**
+   * Update already calculated weeks for activities that changed on Strava, without any API calls
+   * Totals are recalculated from the week's stored run summaries with the changed runs swapped in
+   * @param {Object} change - { upserted: Object[], deletedIds: string[] } from SmartActivityCache.onActivitiesChanged
+   * @returns {Promise<string[]>} - Ids of the weeks that were updated
+   */
+  async applyActivityChanges({ upserted = [], deletedIds = [] }) {
+    const isRun = (activity) => activity.type === 'Run' || activity.sport_type === 'Run';
+    const changedIds = new Set([...deletedIds.map(String), ...upserted.map((activity) => String(activity.id))]);
+
+    const weeks = await this.weeklyDatabase.getAllWeeklyMileage();
+    const affectedWeeks = new Map();
+    for (const week of weeks) {
+      if (week.activities?.some((run) => changedIds.has(String(run.id)))) {
+        affectedWeeks.set(week.weekId, week);
+      }
+    }
+    for (const activity of upserted.filter(isRun)) {
+      const week = weeks.find((w) => w.weekId === this.weeklyDatabase.getWeekId(new Date(activity.start_date)));
+      if (week) {
+        affectedWeeks.set(week.weekId, week);
+      }
+    }
+
+    for (const week of affectedWeeks.values()) {
+      const keptRuns = await Promise.all(
+        (week.activities || []).filter((run) => !changedIds.has(String(run.id))).map((run) => this.withElevation(run)),
+      );
+      const addedRuns = upserted.filter(
+        (activity) => isRun(activity) && this.weeklyDatabase.getWeekId(new Date(activity.start_date)) === week.weekId,
+      );
+
+      const updatedWeek = this.calculateWeekData(
+        week.weekId,
+        new Date(week.weekStart),
+        new Date(week.weekEnd),
+        [...keptRuns, ...addedRuns],
+        week.isComplete,
+      );
+
+      await this.weeklyDatabase.storeWeeklyMileage(updatedWeek);
+    }
+
+    console.log('WeeklyMileageCalculator: Applied activity changes', {
+      upserted: upserted.length,
+      deleted: deletedIds.length,
+      weeksUpdated: affectedWeeks.size,
+    });
+
+    return [...affectedWeeks.keys()];
+  }
+
+  /**
+   * A stored run summary with its elevation gain
+   * Weeks stored before summaries kept total_elevation_gain read it from the cached activity instead.
+   */
+  async withElevation(run) {
+    if (run.total_elevation_gain !== undefined) return run;
+
+    try {
+      const cached = await this.smartCache.database.getActivity(run.id);
+      return { ...run, total_elevation_gain: cached?.total_elevation_gain };
+    } catch (error) {
+      console.warn('WeeklyMileageCalculator: Failed to read cached run', { activityId: run.id, error });
+      return run;
+    }
+  }
+
   /**
    * Get calculation statistics
    */